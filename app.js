@@ -1,5 +1,6 @@
 'use strict';
 
+const cluster = require('cluster');
 const http = require('http');
 const BBPromise = require('bluebird');
 const express = require('express');
@@ -8,6 +9,7 @@ const bodyParser = require('body-parser');
 const fs = BBPromise.promisifyAll(require('fs'));
 const sUtil = require('./lib/util');
 const apiUtil = require('./lib/api-util');
+const { setupRenderService, closeRenderService } = require('./lib/renderService');
 const packageInfo = require('./package.json');
 const yaml = require('js-yaml');
 const addShutdown = require('http-shutdown');
@@ -99,9 +101,9 @@ function initApp(options) {
         if (app.conf.cors !== false) {
             res.header('access-control-allow-origin', app.conf.cors);
             // eslint-disable-next-line max-len
-            res.header('access-control-allow-headers', 'accept, content-type, content-length, cache-control');
+            res.header('access-control-allow-headers', 'accept, content-type, content-length, cache-control, if-none-match, if-modified-since');
             res.header('access-control-expose-headers', 'etag');
-            res.header('access-control-allow-methods', 'GET,HEAD');
+            res.header('access-control-allow-methods', 'GET,HEAD,POST');
         }
         if (app.conf.csp !== false) {
             res.header('x-xss-protection', '1; mode=block');
@@ -130,7 +132,11 @@ function initApp(options) {
 
     // disable the X-Powered-By header
     app.set('x-powered-by', false);
-    // disable the ETag header - users should provide them!
+    // take the client address from the x-forwarded-for header of the proxies in front of us
+    if (app.conf.trust_proxy !== undefined) {
+        app.set('trust proxy', app.conf.trust_proxy);
+    }
+    // disable the ETag header - routes compute their own from the revision
     app.set('etag', false);
     // enable compression
     app.use(compression({ level: app.conf.compression_level }));
@@ -234,6 +240,29 @@ function createServer(app) {
         );
         server = addShutdown(server);
     }).then(() => {
+        // service-runner closes the server when the worker stops, e.g. on
+        // SIGTERM. The render queue is drained first, while the server still
+        // answers, so that new requests are refused instead of dropped.
+        const closeServer = server.close.bind(server);
+        let closed = null;
+        // without workers, service-runner runs the service in its own process
+        // and leaves SIGTERM to the default handler, which exits right away
+        const onTerminate = () => server.close().finally(() => process.exit(0));
+        if (cluster.isMaster) {
+            process.once('SIGTERM', onTerminate);
+        }
+        server.close = (callback) => {
+            if (!closed) {
+                process.removeListener('SIGTERM', onTerminate);
+                app.logger.log('info', `Worker ${process.pid} is draining the render queue`);
+                closed = closeRenderService(app).then(() => {
+                    server.close = closeServer;
+                    return BBPromise.fromCallback(cb => server.shutdown(cb));
+                });
+            }
+            return closed.asCallback(callback);
+        };
+
         app.logger.log('info',
             `Worker ${process.pid} listening on ${app.conf.interface || '*'}:${app.conf.port}`);
 
@@ -261,6 +290,9 @@ function createServer(app) {
 module.exports = function(options) {
 
     return initApp(options)
+    // the render queue and browser pool are shared by the routes, so they are
+    // set up before any route is loaded
+    .then(setupRenderService)
     .then(loadRoutes)
     .then((app) => {
         // serve static files from static/
@@ -1,9 +1,220 @@
 'use strict';
 
+const preq = require('preq');
+const sUtil = require('./util');
 const Template = require('swagger-router').Template;
 
+const HTTPError = sUtil.HTTPError;
+
+/**
+ * Checks the domain against the network policy. The domain comes from the
+ * client, so the service must not request it unchecked either.
+ * @param {!Object} app the application object
+ * @param {string} domain the domain to issue the request to
+ * @return {!Promise} a promise which is rejected with a 403 HTTPError when
+ * the domain is blocked
+ */
+function checkDomain(app, domain) {
+    return app.networkPolicy.check(`https://${domain}/`, 'api').then((reason) => {
+        if (reason) {
+            throw new HTTPError({
+                status: 403,
+                type: 'forbidden_url',
+                title: 'Forbidden',
+                detail: `Domain '${domain}' is blocked by the network policy: ${reason}`
+            });
+        }
+    });
+}
+
+/**
+ * Makes the request to the wiki of the client resolve its host through the
+ * network policy when it connects, so that a host rebound to a private address
+ * after checkDomain() is not reached either. Redirects are only followed within
+ * the wiki. Requests to the hosts the config sets instead are left alone, as
+ * are requests sent through the outbound proxy, which resolves the host itself.
+ * @param {!Object} app the application object
+ * @param {string} domain the domain of the wiki
+ * @param {!Object} request the request options for preq
+ * @return {!Object} the request options
+ */
+function pinToNetworkPolicy(app, domain, request) {
+    const uri = String(request.uri);
+    if (app.conf.proxy || new URL(uri).hostname !== domain) {
+        return request;
+    }
+    return Object.assign(request, {
+        lookup: app.networkPolicy.lookup,
+        followRedirect: response => new URL(response.headers.location, uri).hostname === domain
+    });
+}
+
+/**
+ * Calls the MW API with the supplied query as its body
+ * @param {!Object} app the application object
+ * @param {string} domain the domain to issue the request to
+ * @param {?Object} query an object with all the query parameters for the MW API
+ * @return {!Promise} a promise resolving as the response object from the MW API
+ */
+function mwApiGet(app, domain, query) {
+
+    query = Object.assign({
+        format: 'json',
+        formatversion: 2
+    }, query);
+
+    const request = app.mwapi_tpl.expand({
+        request: {
+            params: { domain },
+            headers: { 'user-agent': app.conf.user_agent },
+            query
+        }
+    });
+
+    return checkDomain(app, domain)
+    .then(() => preq(pinToNetworkPolicy(app, domain, request)))
+    .then((response) => {
+        if (response.status < 200 || response.status > 399) {
+            // there was an error when calling the upstream service, propagate that
+            throw new HTTPError({
+                status: response.status,
+                type: 'api_error',
+                title: 'MW API error',
+                detail: response.body
+            });
+        }
+        return response;
+    });
+
+}
+
+/**
+ * Normalises the title like MediaWiki does, except for the namespace aliases
+ * @param {string} title
+ * @param {boolean} firstLetter whether the wiki capitalises the first letter
+ * @return {string}
+ */
+function normalizeTitle(title, firstLetter) {
+    const normalized = title.replace(/_/g, ' ').trim();
+    return firstLetter ? normalized.charAt(0).toUpperCase() + normalized.slice(1) : normalized;
+}
+
+/**
+ * Checks that the requested title names the page the revision belongs to,
+ * so that a revision of another page is not rendered under the title
+ * @param {!Object} app the application object
+ * @param {string} domain the domain of the wiki
+ * @param {string} title the requested title
+ * @param {string} revision the ID of the revision
+ * @param {!Object} page the page of the revision, as returned by the MW API
+ * @param {!Object} general the general site info of the wiki
+ * @return {!Promise} a promise which is rejected with a 404 HTTPError when the
+ * revision belongs to another page
+ */
+function checkRevisionPage(app, domain, title, revision, page, general) {
+    if (normalizeTitle(title, general.case !== 'case-sensitive') === page.title) {
+        return Promise.resolve();
+    }
+    // the title may still be a redirect to the page, or use a namespace alias
+    return mwApiGet(app, domain, {
+        action: 'query',
+        titles: title,
+        redirects: true
+    }).then((response) => {
+        const query = response.body && response.body.query;
+        const titlePage = query && query.pages && query.pages[0];
+        if (!titlePage || titlePage.pageid !== page.pageid) {
+            throw new HTTPError({
+                status: 404,
+                type: 'revision_not_found',
+                title: 'Not Found',
+                detail: `Revision ${revision} is not a revision of '${title}'`
+            });
+        }
+    });
+}
+
+/**
+ * Fetches the requested revision of the page, or its latest revision following
+ * redirects, together with the page and wiki details the PDF metadata is made of
+ * @param {!Object} app the application object
+ * @param {string} domain the domain of the wiki
+ * @param {string} title the title of the page
+ * @param {string} [revision] the ID of the revision, the latest one when not set
+ * @return {!Promise} a promise resolving as an object with the normalised title,
+ * the revision ID, the revision timestamp, the display title, the canonical URL,
+ * the page language and the site name and license, or null when the page or
+ * the revision does not exist, and rejected with a 404 HTTPError when the
+ * revision belongs to another page
+ */
+function getRevision(app, domain, title, revision) {
+
+    const query = {
+        action: 'query',
+        prop: 'revisions|info',
+        rvprop: 'ids|timestamp',
+        inprop: 'url|displaytitle',
+        meta: 'siteinfo',
+        siprop: 'general|rightsinfo'
+    };
+    if (revision) {
+        query.revids = revision;
+    } else {
+        query.redirects = true;
+        query.titles = title;
+    }
+
+    return mwApiGet(app, domain, query).then((response) => {
+        const query = response.body && response.body.query;
+        const page = query && query.pages && query.pages[0];
+        if (!page || page.missing || page.invalid || !page.revisions) {
+            return null;
+        }
+        const general = query.general || {};
+        const rights = query.rightsinfo || {};
+        const checked = revision ?
+            checkRevisionPage(app, domain, title, revision, page, general) : Promise.resolve();
+        return checked.then(() => ({
+            title: page.title,
+            revid: page.revisions[0].revid,
+            timestamp: page.revisions[0].timestamp,
+            // the display title may contain markup
+            displayTitle: page.displaytitle ?
+                page.displaytitle.replace(/<[^>]*>/g, '') : page.title,
+            url: page.canonicalurl,
+            language: page.pagelanguage || general.lang,
+            siteName: general.sitename,
+            license: rights.text ? { text: rights.text, url: rights.url } : null
+        }));
+    });
+
+}
+
+/**
+ * Fetches the language variants of the wiki, the scripts and spellings its
+ * content can be converted to
+ * @param {!Object} app the application object
+ * @param {string} domain the domain of the wiki
+ * @return {!Promise} a promise resolving as the list of variant codes, empty
+ * when the content language has no variants, and rejected with a 403 HTTPError
+ * when the network policy blocks the wiki
+ */
+function getLanguageVariants(app, domain) {
+
+    return mwApiGet(app, domain, {
+        action: 'query',
+        meta: 'siteinfo',
+        siprop: 'general'
+    }).then((response) => {
+        const query = response.body && response.body.query;
+        const variants = query && query.general && query.general.variants;
+        return (variants || []).map(variant => variant.code);
+    });
+
+}
+
 /**
- * Sets up the request template for MW requests
+ * Sets up the request templates for MW, MW API and Parsoid HTML requests
  * @param {!Application} app the application object
  */
 function setupRequestTemplate(app) {
@@ -27,9 +238,42 @@ function setupRequestTemplate(app) {
     }
 
     app.mw_tpl = new Template(mwRequestConfig, templateGlobals);
+
+    // set up the MW API request template
+    let mwApiRequestConfig = app.conf.mwapi_req;
+    if (!mwApiRequestConfig) {
+        mwApiRequestConfig = {
+            method: 'post',
+            uri: 'https://{{domain}}/w/api.php',
+            headers: {
+                'user-agent': '{{user-agent}}'
+            },
+            body: '{{ default(request.query, {}) }}'
+        };
+    }
+
+    app.mwapi_tpl = new Template(mwApiRequestConfig);
+
+    // set up the Parsoid HTML request template
+    let parsoidRequestConfig = app.conf.parsoid_req;
+    if (!parsoidRequestConfig) {
+        parsoidRequestConfig = {
+            method: 'get',
+            uri: 'https://{{domain}}/api/rest_v1/page/html/{title}{/revision}',
+            headers: {
+                'user-agent': '{{user-agent}}'
+            }
+        };
+    }
+
+    app.parsoid_tpl = new Template(parsoidRequestConfig);
 }
 
 module.exports = {
+    checkDomain,
+    pinToNetworkPolicy,
+    mwApiGet,
+    getRevision,
+    getLanguageVariants,
     setupRequestTemplate
 };
-
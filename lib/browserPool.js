@@ -0,0 +1,347 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const EventEmitter = require('events');
+const fs = BBPromise.promisifyAll(require('fs'));
+const puppeteer = require('puppeteer-core');
+
+/**
+ * @typedef {Object} PooledBrowser
+ * @prop {Browser} browser Puppeteer browser instance
+ * @prop {number} renderCount number of renders finished by this browser
+ * @prop {boolean} busy whether the browser is handed out to a renderer
+ */
+/**
+ * Pool of warm Chromium instances.
+ *
+ * Launching Chromium is the most expensive part of a render, so instead of
+ * launching a browser per request the pool keeps `size` browsers running and
+ * hands them out to renderers. Renderers are expected to isolate themselves
+ * in an incognito context and give the browser back with release(), or
+ * destroy() it when the render has to be stopped immediately.
+ */
+class BrowserPool extends EventEmitter {
+    /**
+     * @param {Object} poolOptions
+     * @param {number} poolOptions.size number of browsers kept warm
+     * @param {number} poolOptions.maxRenders number of renders after which
+     * a browser is closed and replaced by a fresh one
+     * @param {number} poolOptions.maxMemory resident memory (in bytes) above
+     * which a browser is closed and replaced by a fresh one
+     * @param {Object} puppeteerOptions options used in starting puppeteer, as defined in
+     * puppeteer documentation
+     */
+    constructor(poolOptions, puppeteerOptions) {
+        super();
+        this.CLOSE_TIMEOUT = 3000;
+        this.LAUNCH_RETRY_DELAY = 1000;
+        this.MAX_LAUNCH_RETRY_DELAY = 30 * 1000;
+        this._options = poolOptions;
+        this._puppeteerOptions = puppeteerOptions;
+        /**
+         * Browsers which are running, both idle and busy ones
+         * @type {Array<PooledBrowser>}
+         * @private
+         */
+        this._browsers = [];
+        /**
+         * Number of browsers which are being launched
+         * @type {number}
+         * @private
+         */
+        this._launching = 0;
+        /**
+         * Renderers waiting for a browser, each one has defined resolve and reject
+         * @type {Array<Object>}
+         * @private
+         */
+        this._waiting = [];
+        /**
+         * Number of milliseconds to wait before launching again after a failed
+         * launch, doubled with every failure in a row
+         * @type {number}
+         * @private
+         */
+        this._launchDelay = 0;
+        this._relaunchTimer = null;
+        this._closed = false;
+    }
+
+    /**
+     * Launches browsers until the pool is warm
+     */
+    start() {
+        this._fill();
+    }
+
+    /**
+     * Returns a snapshot of the pool state
+     * @return {Object}
+     */
+    getState() {
+        const busy = this._browsers.filter(entry => entry.busy).length;
+        return {
+            size: this._options.size,
+            idle: this._browsers.length - busy,
+            busy,
+            launching: this._launching,
+            waiting: this._waiting.length
+        };
+    }
+
+    /**
+     * Takes an idle browser out of the pool
+     * @return {BBPromise<Browser>} Promise which resolves when a browser is available
+     */
+    acquire() {
+        return new BBPromise((resolve, reject) => {
+            if (this._closed) {
+                reject(new Error('Browser pool is closed'));
+                return;
+            }
+            this._waiting.push({ resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Gives the browser back to the pool. Browsers which rendered too many pages or
+     * use too much memory are closed and replaced instead.
+     * @param {Browser} browser
+     * @return {BBPromise} Promise which resolves when the browser is reusable or closed
+     */
+    release(browser) {
+        const entry = this._find(browser);
+        if (!entry) {
+            // browser was destroyed in the meantime
+            return BBPromise.resolve();
+        }
+        entry.renderCount++;
+        if (entry.renderCount >= this._options.maxRenders) {
+            return this._recycle(entry, 'renders');
+        }
+        return this._getMemoryUsage(browser).then((memory) => {
+            if (this._options.maxMemory && memory > this._options.maxMemory) {
+                return this._recycle(entry, 'memory');
+            }
+            entry.busy = false;
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Removes the browser from the pool and closes it. If the browser does not
+     * exit in time, its process gets killed. A replacement is launched afterwards.
+     * @param {Browser} browser
+     * @return {BBPromise} Promise which resolves when browser exited or has been killed
+     */
+    destroy(browser) {
+        this._remove(browser);
+        return this._closeBrowser(browser).finally(() => {
+            this._fill();
+            this._emitState();
+        });
+    }
+
+    /**
+     * Closes all browsers and rejects renderers still waiting for one
+     * @return {BBPromise}
+     */
+    close() {
+        this._closed = true;
+        clearTimeout(this._relaunchTimer);
+        this._waiting.splice(0).forEach(({ reject }) => {
+            reject(new Error('Browser pool is closed'));
+        });
+        return BBPromise.map(this._browsers.splice(0), entry => this._closeBrowser(entry.browser));
+    }
+
+    /**
+     * Launches a new Chromium instance
+     * @return {Promise<Browser>}
+     * @private
+     */
+    _launchBrowser() {
+        return puppeteer.launch(this._puppeteerOptions);
+    }
+
+    /**
+     * Launches browsers until there are `size` of them, unless a relaunch
+     * after a failed launch is pending
+     * @private
+     */
+    _fill() {
+        if (this._closed || this._relaunchTimer) {
+            return;
+        }
+        const missing = this._options.size - this._browsers.length - this._launching;
+        for (let i = 0; i < missing; i++) {
+            this._launch();
+        }
+        this._emitState();
+    }
+
+    /**
+     * Launches a single browser and adds it to the pool
+     * @private
+     */
+    _launch() {
+        this._launching++;
+        BBPromise.resolve(this._launchBrowser()).then((browser) => {
+            this._launching--;
+            this._launchDelay = 0;
+            if (this._closed) {
+                return this._closeBrowser(browser);
+            }
+            this._browsers.push({ browser, renderCount: 0, busy: false });
+            // a crashed browser is of no use, it has to leave the pool
+            browser.on('disconnected', () => {
+                if (this._find(browser)) {
+                    this._remove(browser);
+                    this._fill();
+                }
+            });
+            this.emit('browser.launched', { pid: browser.process().pid });
+            this._dispatch();
+        }, (err) => {
+            this._launching--;
+            this._scheduleRelaunch();
+            this.emit('browser.failure', { err, retryIn: this._launchDelay });
+            // no browser may be available for a while, so the waiting renderers
+            // fail rather than wait for the relaunch
+            this._waiting.splice(0).forEach(({ reject }) => {
+                reject(err);
+            });
+            this._emitState();
+        });
+    }
+
+    /**
+     * Refills the pool after a delay, which grows with every failed launch in
+     * a row up to MAX_LAUNCH_RETRY_DELAY
+     * @private
+     */
+    _scheduleRelaunch() {
+        if (this._closed || this._relaunchTimer) {
+            return;
+        }
+        this._launchDelay = Math.min(
+            this._launchDelay * 2 || this.LAUNCH_RETRY_DELAY,
+            this.MAX_LAUNCH_RETRY_DELAY
+        );
+        this._relaunchTimer = setTimeout(() => {
+            this._relaunchTimer = null;
+            this._fill();
+        }, this._launchDelay);
+        this._relaunchTimer.unref();
+    }
+
+    /**
+     * Hands out idle browsers to waiting renderers
+     * @private
+     */
+    _dispatch() {
+        let idle = this._browsers.find(entry => !entry.busy);
+        while (idle && this._waiting.length) {
+            idle.busy = true;
+            this._waiting.shift().resolve(idle.browser);
+            idle = this._browsers.find(entry => !entry.busy);
+        }
+        this._fill();
+    }
+
+    /**
+     * Closes the browser and launches a fresh one in its place
+     * @param {PooledBrowser} entry
+     * @param {string} reason
+     * @return {BBPromise}
+     * @private
+     */
+    _recycle(entry, reason) {
+        this.emit('browser.recycled', {
+            pid: entry.browser.process().pid,
+            renderCount: entry.renderCount,
+            reason
+        });
+        return this.destroy(entry.browser);
+    }
+
+    /**
+     * @param {Browser} browser
+     * @return {PooledBrowser|undefined}
+     * @private
+     */
+    _find(browser) {
+        return this._browsers.find(entry => entry.browser === browser);
+    }
+
+    /**
+     * @param {Browser} browser
+     * @private
+     */
+    _remove(browser) {
+        this._browsers = this._browsers.filter(entry => entry.browser !== browser);
+    }
+
+    /**
+     * Returns the resident memory of the browser process in bytes, or 0 when
+     * it cannot be determined
+     * @param {Browser} browser
+     * @return {BBPromise<number>}
+     * @private
+     */
+    _getMemoryUsage(browser) {
+        const childProcess = browser.process();
+        if (!childProcess || !childProcess.pid) {
+            return BBPromise.resolve(0);
+        }
+        return fs.readFileAsync(`/proc/${childProcess.pid}/status`, 'utf8').then((status) => {
+            const match = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+            return match ? parseInt(match[1], 10) * 1024 : 0;
+        }).catch(() => 0);
+    }
+
+    /**
+     * Closes the browser. Additionally to prevent resources leak
+     * script will wait 3 seconds, and if Chromium Process is still present, it will be killed
+     * @param {Browser} browser
+     * @return {BBPromise} Promise which resolves when browser exited or has been killed
+     * @private
+     */
+    _closeBrowser(browser) {
+        return new BBPromise((resolve) => {
+            const childProcess = browser.process();
+            let closePromise = null;
+
+            closePromise = BBPromise.resolve(browser.close())
+            .timeout(this.CLOSE_TIMEOUT)
+            .then(null, () => {
+                this.emit('browser.killed', { pid: childProcess.pid });
+                try {
+                    childProcess.kill('SIGKILL');
+                } catch (err) {
+                    // ignore the exception
+                }
+            })
+            .finally(resolve);
+
+            childProcess.on('exit', () => {
+                // Process left by itself, there is no need to kill it.
+                // bluebird cancellation does not affect finally handlers
+                // so no need to resolve here.
+                closePromise.cancel();
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _emitState() {
+        this.emit('pool.state', this.getState());
+    }
+}
+
+module.exports = {
+    BrowserPool
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * A helper method to bind logger and metrics to browser pool actions
+ * @param {BrowserPool} pool
+ * @param {Object} logger
+ * @param {Object} metrics
+ */
+function bindBrowserPoolLoggerAndMetrics(pool, logger, metrics) {
+    const poolEventMetric = metrics.makeMetric({
+        type: 'Counter',
+        name: 'browser_pool.events',
+        prometheus: {
+            name: 'proton_browser_pool_events_total',
+            help: 'browser pool events'
+        },
+        labels: {
+            names: ['type'],
+            omitLabelNames: true
+        }
+    });
+    const poolBrowsersMetric = metrics.makeMetric({
+        type: 'Gauge',
+        name: 'browser_pool.browsers',
+        prometheus: {
+            name: 'proton_browser_pool_browsers',
+            help: 'browsers in the pool by state'
+        },
+        labels: {
+            names: ['state'],
+            omitLabelNames: true
+        }
+    });
+
+    pool.on('pool.state', ({ idle, busy, launching }) => {
+        poolBrowsersMetric.set(idle, ['idle']);
+        poolBrowsersMetric.set(busy, ['busy']);
+        poolBrowsersMetric.set(launching, ['launching']);
+    })
+        .on('browser.launched', ({ pid }) => {
+            logger.log(
+                'debug/browser',
+                {
+                    msg: 'Spawned new Chromium instance',
+                    childId: pid
+                }
+            );
+            poolEventMetric.increment(1, ['launched']);
+        })
+        .on('browser.failure', ({ err, retryIn }) => {
+            logger.log(
+                'error/browser',
+                {
+                    msg: `Could not launch Chromium: ${err.message}`,
+                    trace: err.stack,
+                    retryIn
+                }
+            );
+            poolEventMetric.increment(1, ['failed']);
+        })
+        .on('browser.recycled', ({ pid, renderCount, reason }) => {
+            logger.log(
+                'debug/browser',
+                {
+                    msg: 'Recycling Chromium instance',
+                    childId: pid,
+                    renderCount,
+                    reason
+                }
+            );
+            poolEventMetric.increment(1, [`recycled_${reason}`]);
+        })
+        .on('browser.killed', ({ pid }) => {
+            logger.log(
+                'error/browser',
+                {
+                    msg: 'Killing chromium process',
+                    childId: pid
+                }
+            );
+            poolEventMetric.increment(1, ['killed']);
+        });
+}
+
+module.exports = {
+    bindBrowserPoolLoggerAndMetrics
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+const fs = require('fs');
+const preq = require('preq');
+const BBPromise = require('bluebird');
+const apiUtil = require('./api-util');
+const { assembleRequest } = require('./renderService');
+const { escapeHtml, getLanguage } = require('./pdfTemplates');
+const errors = require('./errors');
+const sUtil = require('./util');
+
+/**
+ * Where the HTML of articles comes from:
+ * - `index`: the page as the skin outputs it, loaded from index.php
+ * - `parsoid`: the Parsoid HTML of the page, wrapped in the print stylesheet
+ *   of the service
+ * @type {Array<string>}
+ */
+const CONTENT_SOURCES = ['index', 'parsoid'];
+
+/**
+ * Print stylesheets read so far, indexed by their path
+ * @type {Object<string, string>}
+ */
+const stylesheets = {};
+
+/**
+ * @typedef {Object} Content
+ * @prop {string} uri URL Chromium loads
+ * @prop {Object} headers Headers to set for the requests
+ * @prop {Object} [content] Content served instead of fetching it from `uri`,
+ * see Renderer.articleToPdf()
+ */
+
+/**
+ * Builds the content rendered instead of the MW page from an HTML bundle.
+ * The document is served from a path of the wiki which MediaWiki does not use, so
+ * that its relative links to wiki resources keep working.
+ * @param {string} uri URI of the MW page
+ * @param {HtmlBundle} bundle The HTML document and its assets
+ * @return {Object}
+ */
+function buildContent(uri, bundle) {
+    const contentUrl = `${new URL(uri).origin}/_proton/document/`;
+    const resources = {};
+
+    resources[contentUrl] = {
+        contentType: 'text/html; charset=utf-8',
+        body: bundle.html
+    };
+    Object.keys(bundle.assets).forEach((name) => {
+        resources[`${contentUrl}${encodeURI(name)}`] = bundle.assets[name];
+    });
+    return { url: contentUrl, resources };
+}
+
+/**
+ * Returns the content source to render with
+ * @param {!Application} app the application object
+ * @param {string} [requested] Source requested by the client
+ * @return {string} one of CONTENT_SOURCES
+ * @throws {HTTPError} when the source is unknown
+ */
+function getContentSource(app, requested) {
+    const name = requested || app.conf.content_source || 'index';
+    if (!CONTENT_SOURCES.includes(name)) {
+        throw sUtil.badRequest('source', `Unsupported source: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * @param {string} path
+ * @return {string}
+ */
+function readStylesheet(path) {
+    if (stylesheets[path] === undefined) {
+        stylesheets[path] = fs.readFileSync(path, 'utf8');
+    }
+    return stylesheets[path];
+}
+
+/**
+ * Wraps the Parsoid HTML of the page in a document printed with the stylesheet.
+ * The body of the Parsoid document is kept, its head is replaced, except for
+ * the base URL its relative links depend on.
+ * @param {string} html The Parsoid HTML
+ * @param {Object} page
+ * @param {string} page.domain
+ * @param {string} page.title
+ * @param {string} stylesheet CSS of the printed document
+ * @return {string}
+ */
+function wrapParsoidHtml(html, page, stylesheet) {
+    const htmlTag = /<html\b([^>]*)>/i.exec(html);
+    const attribute = (name) => {
+        const match = htmlTag && new RegExp(`\\b${name}="([^"]*)"`, 'i').exec(htmlTag[1]);
+        return match ? match[1] : null;
+    };
+    const base = /<base\b[^>]*\bhref="([^"]*)"/i.exec(html);
+    const title = /<title>([^<]*)<\/title>/i.exec(html);
+    const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+    const baseUrl = base ? base[1].replace(/^\/\//, 'https://') : `https://${page.domain}/wiki/`;
+    const heading = title ? title[1] : escapeHtml(page.title.replace(/_/g, ' '));
+
+    return [
+        '<!DOCTYPE html>',
+        `<html lang="${attribute('lang') || getLanguage(page.domain)}" ` +
+            `dir="${attribute('dir') || 'ltr'}">`,
+        '<head>',
+        '<meta charset="utf-8">',
+        `<base href="${baseUrl}">`,
+        `<title>${heading}</title>`,
+        `<style>${stylesheet}</style>`,
+        '</head>',
+        '<body>',
+        `<h1 class="firstHeading">${heading}</h1>`,
+        body ? body[1] : html,
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+/**
+ * Fetches the Parsoid HTML of the page, of the requested revision if any,
+ * converted to the requested language variant if any
+ * @param {!Application} app the application object
+ * @param {Object} params the request parameters passed in to the service
+ * @return {BBPromise<string>}
+ * @throws {ForbiddenError} when the network policy blocks the wiki
+ * @throws {NavigationError} when the HTML cannot be fetched
+ */
+function fetchParsoidHtml(app, params) {
+    const request = app.parsoid_tpl.expand({
+        request: {
+            params: { domain: params.domain, title: params.title, revision: params.revision },
+            headers: { 'user-agent': app.conf.user_agent }
+        }
+    });
+    if (params.variant) {
+        request.headers = Object.assign({}, request.headers, { 'accept-language': params.variant });
+    }
+    // the HTML is fetched by the service, not by the browser which enforces the
+    // network policy on its own
+    return app.networkPolicy.check(`https://${params.domain}/`, 'api').then((reason) => {
+        if (reason) {
+            throw new errors.ForbiddenError(`URL is blocked by the network policy: ${reason}`);
+        }
+        return BBPromise.resolve(preq(apiUtil.pinToNetworkPolicy(app, params.domain, request)))
+        .then(response => String(response.body))
+        .catch((error) => {
+            throw new errors.NavigationError(
+                error.status || 500,
+                `Could not fetch the Parsoid HTML: ${error.message || error.status}`
+            );
+        });
+    });
+}
+
+/**
+ * Loads the content of the article from the requested source
+ * @param {!Application} app the application object
+ * @param {Object} params the request parameters passed in to the service,
+ * including the source
+ * @return {BBPromise<Content>}
+ */
+function loadContent(app, params) {
+    if (params.source !== 'parsoid') {
+        const request = assembleRequest(app, params);
+        return BBPromise.resolve({ uri: request.uri, headers: request.headers });
+    }
+    return fetchParsoidHtml(app, params).then((html) => {
+        const stylesheet = readStylesheet(
+            app.conf.parsoid_stylesheet || `${__dirname}/print.css`
+        );
+        const content = buildContent(`https://${params.domain}/`, {
+            html: wrapParsoidHtml(html, params, stylesheet),
+            assets: {}
+        });
+        return { uri: content.url, headers: {}, content };
+    });
+}
+
+module.exports = {
+    CONTENT_SOURCES,
+    buildContent,
+    getContentSource,
+    wrapParsoidHtml,
+    loadContent
+};
@@ -53,6 +53,37 @@ class JobTimeout extends Error {
     }
 }
 
+/**
+ * Thrown when an operator cancels the job
+ */
+class JobCancelled extends Error {
+    constructor() {
+        super();
+        Error.captureStackTrace(this, JobCancelled);
+    }
+}
+
+/**
+ * Thrown when the queue takes no new jobs, because it is paused
+ */
+class QueuePaused extends Error {
+    constructor() {
+        super();
+        Error.captureStackTrace(this, QueuePaused);
+    }
+}
+
+/**
+ * Thrown when the queue takes no new jobs, because the service shuts down,
+ * and when the render is aborted for the same reason
+ */
+class QueueDraining extends Error {
+    constructor() {
+        super();
+        Error.captureStackTrace(this, QueueDraining);
+    }
+}
+
 /**
  * Thrown when we want to cancel not existing job
  */
@@ -87,13 +118,35 @@ class ForbiddenError extends Error {
     }
 }
 
+/**
+ * Thrown when a render exceeds one of its budgets: the number of subresources
+ * the page requests, the bytes it transfers, the number of pages or the size
+ * of the output
+ */
+class BudgetExceeded extends Error {
+    /**
+     * @param {string} budget One of subresources, transfer_size, pages and output_size
+     * @param {number} limit The budget
+     */
+    constructor(budget, limit) {
+        super(`The render exceeded the ${budget} budget of ${limit}`);
+        Error.captureStackTrace(this, BudgetExceeded);
+        this.budget = budget;
+        this.limit = limit;
+    }
+}
+
 module.exports = {
     JobNotFound,
+    JobCancelled,
     NavigationError,
     QueueTimeout,
     JobTimeout,
     QueueFull,
+    QueuePaused,
+    QueueDraining,
     ProcessingCancelled,
     PuppeteerMalformedResponseError,
     ForbiddenError,
+    BudgetExceeded,
 };
@@ -0,0 +1,177 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+
+/**
+ * Paper sizes in inches, as Chromium prints them
+ * @type {Object<string, Object>}
+ */
+const PAPER_FORMATS = {
+    letter: { width: 8.5, height: 11 },
+    legal: { width: 8.5, height: 14 },
+    tabloid: { width: 11, height: 17 },
+    ledger: { width: 17, height: 11 },
+    a0: { width: 33.1, height: 46.8 },
+    a1: { width: 23.4, height: 33.1 },
+    a2: { width: 16.54, height: 23.4 },
+    a3: { width: 11.7, height: 16.54 },
+    a4: { width: 8.27, height: 11.7 },
+    a5: { width: 5.83, height: 8.27 },
+    a6: { width: 4.13, height: 5.83 }
+};
+
+/**
+ * Number of CSS pixels in a unit
+ * @type {Object<string, number>}
+ */
+const UNITS = {
+    px: 1,
+    in: 96,
+    cm: 37.8,
+    mm: 3.78
+};
+
+/**
+ * @typedef {Object} Heading
+ * @prop {number} level 1 for h1, up to 6 for h6
+ * @prop {string} text Text of the heading
+ * @prop {number} pageIndex Zero-based index of the PDF page the heading is printed on
+ * @prop {number} top Distance of the heading from the top edge of the page, in CSS pixels
+ */
+
+/**
+ * Converts a length in CSS units, as accepted by page.pdf(), to CSS pixels
+ * @param {string|number} [value]
+ * @return {number}
+ */
+function toPixels(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^\s*([\d.]+)\s*(px|in|cm|mm)?\s*$/i.exec(value || '');
+    if (!match) {
+        return 0;
+    }
+    return parseFloat(match[1]) * UNITS[(match[2] || 'px').toLowerCase()];
+}
+
+/**
+ * Returns the size and the margins of the printed pages in CSS pixels
+ * @param {Object} pdfOptions Options passed to page.pdf()
+ * @return {Object} width, height and margin with top, right, bottom and left
+ */
+function getPageBox(pdfOptions) {
+    const paper = PAPER_FORMATS[(pdfOptions.format || 'letter').toLowerCase()] ||
+        PAPER_FORMATS.letter;
+    let width = pdfOptions.width ? toPixels(pdfOptions.width) : paper.width * UNITS.in;
+    let height = pdfOptions.height ? toPixels(pdfOptions.height) : paper.height * UNITS.in;
+    if (pdfOptions.landscape) {
+        [width, height] = [height, width];
+    }
+    const margin = pdfOptions.margin || {};
+    return {
+        width,
+        height,
+        margin: {
+            top: toPixels(margin.top),
+            right: toPixels(margin.right),
+            bottom: toPixels(margin.bottom),
+            left: toPixels(margin.left)
+        }
+    };
+}
+
+/**
+ * Returns the dimensions of the printed content in CSS pixels, unscaled
+ * @param {Object} pdfOptions Options passed to page.pdf()
+ * @return {Object} box, the page box, scale, contentWidth and contentHeight
+ */
+function getPrintLayout(pdfOptions) {
+    const box = getPageBox(pdfOptions);
+    const scale = pdfOptions.scale || 1;
+    return {
+        box,
+        scale,
+        contentWidth: (box.width - box.margin.left - box.margin.right) / scale,
+        contentHeight: (box.height - box.margin.top - box.margin.bottom) / scale
+    };
+}
+
+/**
+ * Lays the page out for print at the width of the printed content, calls
+ * `fn` and restores the viewport
+ * @param {Page} page Loaded puppeteer page
+ * @param {Object} layout The print layout, see getPrintLayout()
+ * @param {Function} fn Returns a promise, which is waited for
+ * @return {BBPromise} Promise which resolves with the result of fn
+ */
+function inPrintLayout(page, layout, fn) {
+    const viewport = page.viewport();
+
+    return BBPromise.resolve(page.emulateMediaType('print'))
+    .then(() => page.setViewport(Object.assign({}, viewport, {
+        width: Math.floor(layout.contentWidth)
+    })))
+    .then(fn)
+    .then(result => BBPromise.resolve(page.setViewport(viewport)).thenReturn(result));
+}
+
+/**
+ * Assigns the measured headings to the printed pages
+ * @param {Array<Object>} measured Headings with defined level, text and offset,
+ * the distance from the top of the document
+ * @param {Object} layout The print layout, see getPrintLayout()
+ * @param {number} [pageOffset] Number of pages printed before the document
+ * @return {Array<Heading>}
+ */
+function placeHeadings(measured, layout, pageOffset) {
+    return measured.map((heading) => {
+        const pageIndex = Math.floor(heading.offset / layout.contentHeight);
+        return {
+            level: heading.level,
+            text: heading.text,
+            pageIndex: pageIndex + (pageOffset || 0),
+            top: layout.box.margin.top +
+                (heading.offset - pageIndex * layout.contentHeight) * layout.scale
+        };
+    });
+}
+
+/**
+ * Measures where the h1-h6 headings of the page will be printed.
+ *
+ * The page is laid out for print at the width of the printed content, and
+ * the headings are assigned to pages by slicing the layout by the height of
+ * the printed content. Page breaks forced by the print styles are not
+ * accounted for, so positions are an approximation.
+ * @param {Page} page Loaded puppeteer page
+ * @param {Object} pdfOptions Options which will be passed to page.pdf()
+ * @return {BBPromise<Array<Heading>>} visible headings in document order
+ */
+function measureHeadings(page, pdfOptions) {
+    const layout = getPrintLayout(pdfOptions);
+
+    return inPrintLayout(page, layout, () => page.evaluate(() =>
+        Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .map((heading) => {
+                const rect = heading.getBoundingClientRect();
+                return {
+                    level: Number(heading.tagName.slice(1)),
+                    text: heading.innerText.replace(/\s+/g, ' ').trim(),
+                    offset: rect.top + window.scrollY,
+                    visible: rect.width > 0 && rect.height > 0
+                };
+            })
+            .filter(heading => heading.visible && heading.text)
+    ))
+    .then(headings => placeHeadings(headings, layout));
+}
+
+module.exports = {
+    toPixels,
+    getPageBox,
+    getPrintLayout,
+    inPrintLayout,
+    placeHeadings,
+    measureHeadings
+};
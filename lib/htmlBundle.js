@@ -0,0 +1,162 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const bodyParser = require('body-parser');
+const busboy = require('busboy');
+const sUtil = require('./util');
+
+/**
+ * @typedef {Object} HtmlBundle
+ * @prop {string} html The HTML document to render
+ * @prop {Object<string, Object>} assets Assets referenced by the document, indexed by
+ * their file name. Each one has defined contentType and body.
+ */
+
+/**
+ * Maximum number of parts of a multipart request, the document and its assets
+ * @type {number}
+ */
+const MAX_PARTS = 100;
+
+/**
+ * Builds the error of a request body which is too large
+ * @param {string} detail
+ * @return {HTTPError}
+ */
+function tooLarge(detail) {
+    return new sUtil.HTTPError({
+        status: 413,
+        type: 'too_large',
+        title: 'Payload Too Large',
+        detail
+    });
+}
+
+/**
+ * Reads the HTML document posted as `text/html`
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {string} limit Maximum size of the request body
+ * @return {BBPromise<HtmlBundle>}
+ */
+function readHtml(req, res, limit) {
+    const parse = bodyParser.text({ type: 'text/html', limit });
+    return new BBPromise((resolve, reject) => {
+        parse(req, res, (err) => {
+            if (err && err.type === 'entity.too.large') {
+                reject(tooLarge('The request body is too large'));
+            } else if (err) {
+                reject(err);
+            } else {
+                resolve({ html: req.body, assets: {} });
+            }
+        });
+    });
+}
+
+/**
+ * Reads the HTML document and its assets posted as `multipart/form-data`.
+ * The document is the part named `html`, every other file part is an asset
+ * addressed by its file name.
+ * @param {Object} req Express Request object
+ * @param {number} limit Maximum size of all parts together in bytes
+ * @return {BBPromise<HtmlBundle>}
+ */
+function readMultipart(req, limit) {
+    return new BBPromise((resolve, reject) => {
+        const bundle = { html: undefined, assets: {} };
+        const parser = busboy({
+            headers: req.headers,
+            limits: { fileSize: limit, fieldSize: limit, files: MAX_PARTS, parts: MAX_PARTS }
+        });
+        let failed = false;
+        let size = 0;
+        const fail = (err) => {
+            if (!failed) {
+                failed = true;
+                req.unpipe(parser);
+                reject(err);
+            }
+        };
+        // the limits of busboy apply to every part on its own
+        const count = (length) => {
+            size += length;
+            if (size > limit) {
+                fail(tooLarge('The request body is too large'));
+            }
+            return !failed;
+        };
+
+        parser.on('field', (name, value, info) => {
+            if (info.valueTruncated) {
+                fail(tooLarge(`Part '${name}' is too large`));
+            } else if (count(Buffer.byteLength(value)) && name === 'html') {
+                bundle.html = value;
+            }
+        });
+        parser.on('file', (name, stream, info) => {
+            const chunks = [];
+            stream.on('data', (chunk) => {
+                if (count(chunk.length)) {
+                    chunks.push(chunk);
+                }
+            });
+            stream.on('limit', () => {
+                fail(tooLarge(`Part '${info.filename || name}' is too large`));
+            });
+            stream.on('end', () => {
+                const body = Buffer.concat(chunks);
+                if (name === 'html') {
+                    bundle.html = body.toString('utf8');
+                } else if (info.filename) {
+                    bundle.assets[info.filename] = {
+                        contentType: info.mimeType,
+                        body
+                    };
+                }
+            });
+        });
+        parser.on('filesLimit', () => fail(tooLarge('The request body has too many parts')));
+        parser.on('partsLimit', () => fail(tooLarge('The request body has too many parts')));
+        parser.on('error', fail);
+        parser.on('close', () => {
+            if (!failed) {
+                resolve(bundle);
+            }
+        });
+        req.pipe(parser);
+    });
+}
+
+/**
+ * Reads the HTML document, and optionally its assets, from the request body
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {number} limit Maximum size of the request body in bytes
+ * @return {BBPromise<HtmlBundle>}
+ */
+function readHtmlBundle(req, res, limit) {
+    let promise;
+    if (req.is('text/html')) {
+        promise = readHtml(req, res, limit);
+    } else if (req.is('multipart/form-data')) {
+        promise = readMultipart(req, limit);
+    } else {
+        return BBPromise.reject(new sUtil.HTTPError({
+            status: 415,
+            type: 'unsupported_media_type',
+            title: 'Unsupported Media Type',
+            detail: 'Expected a text/html or multipart/form-data request body'
+        }));
+    }
+    return promise.then((bundle) => {
+        if (typeof bundle.html !== 'string' || !bundle.html.trim()) {
+            throw sUtil.badRequest('html', 'The request body does not contain an HTML document');
+        }
+        return bundle;
+    });
+}
+
+module.exports = {
+    readHtmlBundle
+};
@@ -0,0 +1,251 @@
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Number of times a job which did not get a spot in the queue, because it was
+ * full or the job waited too long, is put back into the backlog. The job fails
+ * with the last error afterwards.
+ * @type {number}
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * @typedef {Object} StoredJob
+ * @prop {string} id Job ID handed out to the client
+ * @prop {QueueItem|null} job Queued job to execute, null when the job was
+ * added with its result
+ * @prop {Object} params Request parameters the job was created with
+ * @prop {number} createdAt Time when the job was submitted
+ * @prop {number|null} finishedAt Time when the job was done or failed
+ * @prop {Object|null} result Render result of a successful job
+ * @prop {*} error Rejection reason of a failed job
+ * @prop {number} retries Number of times the job was put back into the backlog
+ * @prop {Function} [onResult] Called with the result once the job is done
+ */
+/**
+ * Keeps the track of asynchronous render jobs.
+ *
+ * Jobs are not rejected when the queue is full. Instead they wait in the store
+ * until the queue can take them, and once finished they are kept for
+ * `resultTtl` milliseconds so that clients can download the result. The
+ * finished jobs count against `maxJobCount` as well, their results take memory
+ * until they expire. The oldest one is dropped to make room for a new job.
+ */
+class JobStore {
+    /**
+     * @param {Queue} queue queue the jobs are rendered in
+     * @param {Object} storeOptions
+     * @param {number} storeOptions.resultTtl number of milliseconds finished
+     * jobs are kept for
+     * @param {number} storeOptions.maxJobCount number of jobs the store keeps,
+     * finished or not. New jobs will be rejected once this number of jobs is
+     * unfinished.
+     */
+    constructor(queue, storeOptions) {
+        /**
+         * All known jobs, indexed by job ID
+         * @type {Map<string, StoredJob>}
+         * @private
+         */
+        this._jobs = new Map();
+        /**
+         * Jobs waiting for a free spot in the queue
+         * @type {Array<StoredJob>}
+         * @private
+         */
+        this._backlog = [];
+        /**
+         * Finished jobs in the order they finished, the oldest first
+         * @type {Set<StoredJob>}
+         * @private
+         */
+        this._finished = new Set();
+        this._queue = queue;
+        this._options = storeOptions;
+
+        this._queue.on('queue.leave', () => this._submit());
+        this._queue.on('queue.resume', () => this._submit());
+        this._queue.on('queue.drain', () => this._failBacklog(new errors.QueueDraining()));
+    }
+
+    /**
+     * Returns the number of jobs which are not finished yet
+     * @return {number}
+     */
+    countUnfinishedJobs() {
+        let count = 0;
+        this._jobs.forEach((stored) => {
+            if (!stored.finishedAt) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Adds new job to the store and submits it to the queue when possible
+     * @param {string} id Job ID
+     * @param {QueueItem} job
+     * @param {Object} params Request parameters the job was created with
+     * @param {Function} [onResult] Called with the render result once the
+     * job is done
+     * @return {StoredJob}
+     * @throws {errors.QueueFull} when the store holds too many unfinished jobs
+     * @throws {errors.QueuePaused} when the queue takes no new jobs
+     * @throws {errors.QueueDraining} when the queue is drained
+     */
+    add(id, job, params, onResult) {
+        if (this._queue.isDraining()) {
+            throw new errors.QueueDraining();
+        }
+        if (this._queue.isPaused()) {
+            throw new errors.QueuePaused();
+        }
+        if (this.countUnfinishedJobs() >= this._options.maxJobCount) {
+            throw new errors.QueueFull();
+        }
+        const stored = this._create(id, job, params);
+        stored.onResult = onResult;
+        this._backlog.push(stored);
+        this._submit();
+        return stored;
+    }
+
+    /**
+     * Adds a job which needs no render, as its result is known already, e.g.
+     * from the PDF cache. The job is finished right away.
+     * @param {string} id Job ID
+     * @param {Object} params Request parameters the job was created with
+     * @param {Object} result Render result
+     * @return {StoredJob}
+     */
+    addResult(id, params, result) {
+        const stored = this._create(id, null, params);
+        stored.result = result;
+        this._finish(stored);
+        return stored;
+    }
+
+    /**
+     * @param {string} id Job ID
+     * @return {StoredJob|undefined}
+     */
+    get(id) {
+        return this._jobs.get(id);
+    }
+
+    /**
+     * Returns the state of the job, one of waiting, processing, done and failed
+     * @param {StoredJob} stored
+     * @return {string}
+     */
+    getState(stored) {
+        if (stored.finishedAt) {
+            return stored.result ? 'done' : 'failed';
+        }
+        return stored.job.processStartedAt ? 'processing' : 'waiting';
+    }
+
+    /**
+     * Moves jobs from the backlog into the queue while it has free spots
+     * @private
+     */
+    _submit() {
+        while (this._backlog.length && !this._queue.isPaused() &&
+                !this._queue.isQueueFull(this._backlog[0].job.priority)) {
+            this._push(this._backlog.shift());
+        }
+    }
+
+    /**
+     * Stores a new job, after dropping the oldest finished job when the store
+     * is full
+     * @param {string} id Job ID
+     * @param {QueueItem|null} job
+     * @param {Object} params Request parameters the job was created with
+     * @return {StoredJob}
+     * @private
+     */
+    _create(id, job, params) {
+        if (this._jobs.size >= this._options.maxJobCount && this._finished.size) {
+            this._remove(this._finished.values().next().value);
+        }
+        const stored = {
+            id,
+            job,
+            params,
+            createdAt: Date.now(),
+            finishedAt: null,
+            result: null,
+            error: null,
+            retries: 0
+        };
+        this._jobs.set(id, stored);
+        return stored;
+    }
+
+    /**
+     * Fails the jobs which are waiting for a spot in the queue
+     * @param {Error} error
+     * @private
+     */
+    _failBacklog(error) {
+        this._backlog.splice(0).forEach((stored) => {
+            stored.error = error;
+            this._finish(stored);
+        });
+    }
+
+    /**
+     * @param {StoredJob} stored
+     * @private
+     */
+    _push(stored) {
+        this._queue.push(stored.job).then((result) => {
+            stored.result = result;
+            this._finish(stored);
+            if (stored.onResult) {
+                stored.onResult(result);
+            }
+        }, (error) => {
+            if ((error instanceof errors.QueueFull || error instanceof errors.QueueTimeout) &&
+                    stored.retries < MAX_RETRIES) {
+                // the job did not get to the rendering phase, give it another chance
+                stored.retries++;
+                this._backlog.unshift(stored);
+                this._submit();
+                return;
+            }
+            stored.error = error;
+            this._finish(stored);
+        });
+    }
+
+    /**
+     * Marks the job as finished and schedules its removal
+     * @param {StoredJob} stored
+     * @private
+     */
+    _finish(stored) {
+        stored.finishedAt = Date.now();
+        this._finished.add(stored);
+        setTimeout(() => this._remove(stored), this._options.resultTtl).unref();
+    }
+
+    /**
+     * Forgets the finished job and its result
+     * @param {StoredJob} stored
+     * @private
+     */
+    _remove(stored) {
+        this._finished.delete(stored);
+        if (this._jobs.get(stored.id) === stored) {
+            this._jobs.delete(stored.id);
+        }
+    }
+}
+
+module.exports = {
+    JobStore
+};
@@ -0,0 +1,258 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const EventEmitter = require('events');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges the browser must not reach: unspecified, loopback, private
+ * (RFC 1918 and unique local), carrier-grade NAT, link-local, including the
+ * cloud metadata services, multicast and reserved addresses. IPv4-mapped and
+ * NAT64 addresses are blocked altogether, as they can wrap any of the above.
+ * @type {Array<Array>}
+ */
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['::ffff:0:0', 96, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+/**
+ * The private ranges by IP version. Node checks IPv4 addresses against the
+ * IPv4-mapped IPv6 ranges as well, so the versions are kept apart.
+ * @type {Object<string, net.BlockList>}
+ */
+const privateAddresses = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+PRIVATE_RANGES.forEach(([address, prefix, type]) => {
+    privateAddresses[type].addSubnet(address, prefix, type);
+});
+
+/**
+ * Number of milliseconds the addresses of a host are kept
+ * @type {number}
+ */
+const LOOKUP_TTL = 10 * 1000;
+
+/**
+ * Number of hosts whose addresses are kept at most
+ * @type {number}
+ */
+const MAX_LOOKUPS = 1000;
+
+/**
+ * Checks whether the IP address belongs to one of the private ranges
+ * @param {string} address IPv4 or IPv6 address
+ * @return {boolean}
+ */
+function isPrivateAddress(address) {
+    const version = net.isIP(address);
+    if (!version) {
+        return false;
+    }
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    return privateAddresses[type].check(address, type);
+}
+
+/**
+ * Decides which URLs the browser is allowed to request, the page itself and
+ * every resource of it, and which wikis the service itself is allowed to
+ * request. A URL is blocked when:
+ * - it is not a http(s) or data URL (`protocol`)
+ * - it carries credentials (`credentials`)
+ * - its host matches the blacklist (`blacklist`)
+ * - the allowlist is set and its host does not match it (`allowlist`)
+ * - private addresses are blocked and its host resolves to one (`private_address`),
+ *   or cannot be resolved (`unresolved`)
+ *
+ * Blocked URLs are reported with the `request.blocked` event.
+ */
+class NetworkPolicy extends EventEmitter {
+    /**
+     * @param {Object} policyOptions
+     * @param {RegExp} [policyOptions.blacklist] Regexp of hosts (domain or
+     * domain:non-default-port) the browser is not allowed to access
+     * @param {RegExp} [policyOptions.allowlist] Regexp of the only hosts the
+     * browser is allowed to access, all hosts are when not set
+     * @param {boolean} [policyOptions.blockPrivateAddresses] Whether to resolve
+     * the hosts and block the ones with private addresses
+     * @param {Function} [lookup] dns.lookup() compatible resolver
+     */
+    constructor(policyOptions, lookup) {
+        super();
+        this._options = policyOptions || {};
+        this._lookup = BBPromise.promisify(lookup || dns.lookup);
+        /**
+         * Addresses of the hosts resolved lately, indexed by the host name. Each
+         * entry has defined the addresses promise and the expiry time.
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this._lookups = new Map();
+        this.lookup = this.lookup.bind(this);
+    }
+
+    /**
+     * Resolves the host name to its addresses, caching them for a while
+     * @param {string} hostname
+     * @return {BBPromise<Array<string>>}
+     * @private
+     */
+    _resolve(hostname) {
+        if (net.isIP(hostname)) {
+            return BBPromise.resolve([hostname]);
+        }
+        let entry = this._lookups.get(hostname);
+        if (!entry || entry.expires < Date.now()) {
+            if (this._lookups.size >= MAX_LOOKUPS) {
+                this._lookups.clear();
+            }
+            entry = {
+                addresses: this._lookup(hostname, { all: true, verbatim: true })
+                .then(results => results.map(result => result.address)),
+                expires: Date.now() + LOOKUP_TTL
+            };
+            this._lookups.set(hostname, entry);
+            entry.addresses.catch(() => {
+                // resolve the host again with the next request
+                if (this._lookups.get(hostname) === entry) {
+                    this._lookups.delete(hostname);
+                }
+            });
+        }
+        return entry.addresses;
+    }
+
+    /**
+     * Checks the URL without resolving its host
+     * @param {URL} parsedUrl
+     * @return {string|null} reason of the block, null when the URL is allowed
+     * @private
+     */
+    _checkUrl(parsedUrl) {
+        if (parsedUrl.protocol === 'data:') {
+            return null;
+        }
+        if (!/^https?:$/.test(parsedUrl.protocol)) {
+            return 'protocol';
+        }
+        if (parsedUrl.username || parsedUrl.password) {
+            return 'credentials';
+        }
+        if (this._options.blacklist && this._options.blacklist.test(parsedUrl.host)) {
+            return 'blacklist';
+        }
+        if (this._options.allowlist && !this._options.allowlist.test(parsedUrl.host)) {
+            return 'allowlist';
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether the browser is allowed to request the URL. The addresses
+     * are checked at the time of the request, so that a host which resolves to
+     * a private address is caught, even when it did not before.
+     * @param {string} url
+     * @param {string} resource `document` for the page, `subresource` for its
+     * resources, `api` for the requests the service sends itself
+     * @return {BBPromise<string|null>} reason of the block, null when the URL is allowed
+     */
+    check(url, resource) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (e) {
+            return BBPromise.resolve(this._block(url, resource, 'protocol'));
+        }
+        const reason = this._checkUrl(parsedUrl);
+        if (reason || parsedUrl.protocol === 'data:' || !this._options.blockPrivateAddresses) {
+            return BBPromise.resolve(reason && this._block(url, resource, reason));
+        }
+        const hostname = parsedUrl.hostname.replace(/^\[(.*)\]$/, '$1');
+        return this._resolve(hostname).then((addresses) => {
+            const address = addresses.find(isPrivateAddress);
+            if (address || !addresses.length) {
+                return this._block(url, resource, address ? 'private_address' : 'unresolved', address);
+            }
+            return null;
+        }, () => this._block(url, resource, 'unresolved'));
+    }
+
+    /**
+     * Checks the address the browser connected to. The browser resolves the
+     * hosts on its own, so a host can resolve to a private address after it
+     * has been checked.
+     * @param {string} url
+     * @param {string} resource
+     * @param {string} [address] IP address of the server, not set when the
+     * response did not come from the network
+     * @return {string|null} reason of the block, null when the address is allowed
+     */
+    checkAddress(url, resource, address) {
+        if (!this._options.blockPrivateAddresses || !address || !isPrivateAddress(address)) {
+            return null;
+        }
+        return this._block(url, resource, 'private_address', address);
+    }
+
+    /**
+     * dns.lookup() compatible resolver for the requests the service sends
+     * itself, which fails for hosts with private addresses. The addresses are
+     * checked right when the request connects, so that a host rebound after
+     * check() does not get through.
+     * @param {string} hostname
+     * @param {Object|number} options
+     * @param {Function} callback
+     */
+    lookup(hostname, options, callback) {
+        const all = typeof options === 'object' && options.all;
+        this._lookup(hostname, { all: true, verbatim: true }).then((results) => {
+            const address = this._options.blockPrivateAddresses &&
+                results.map(result => result.address).find(isPrivateAddress);
+            if (address) {
+                this._block(hostname, 'api', 'private_address', address);
+                const error = new Error(`${hostname} resolves to the private address ${address}`);
+                error.code = 'EACCES';
+                throw error;
+            }
+            if (!results.length) {
+                throw Object.assign(new Error(`ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+            }
+            return all ? results : [results[0].address, results[0].family];
+        }).asCallback(callback, { spread: !all });
+    }
+
+    /**
+     * Reports the blocked URL
+     * @param {string} url
+     * @param {string} resource
+     * @param {string} reason
+     * @param {string} [address] The private address the host resolved to
+     * @return {string} the reason
+     * @private
+     */
+    _block(url, resource, reason, address) {
+        this.emit('request.blocked', { url, resource, reason, address });
+        return reason;
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    NetworkPolicy
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * A helper method to bind logger and metrics to the requests blocked by the
+ * network policy
+ * @param {NetworkPolicy} policy
+ * @param {Object} logger
+ * @param {Object} metrics
+ */
+function bindNetworkPolicyLoggerAndMetrics(policy, logger, metrics) {
+    const blockedRequestMetric = metrics.makeMetric({
+        type: 'Counter',
+        name: 'network.blocked',
+        prometheus: {
+            name: 'proton_network_blocked_total',
+            help: 'requests blocked by the network policy'
+        },
+        labels: {
+            names: ['reason', 'resource'],
+            omitLabelNames: true
+        }
+    });
+
+    policy.on('request.blocked', ({ url, resource, reason, address }) => {
+        logger.log(
+            'warn/render',
+            {
+                msg: 'Blocked request',
+                url,
+                resource,
+                reason,
+                address
+            }
+        );
+        blockedRequestMetric.increment(1, [reason, resource]);
+    });
+}
+
+module.exports = {
+    bindNetworkPolicyLoggerAndMetrics
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const sUtil = require('./util');
+
+/**
+ * Resolves the local reference of the spec, e.g. `#/components/parameters/toc`
+ * @param {Object} spec The OpenAPI spec
+ * @param {Object} node A spec object, which may be a reference
+ * @return {Object} the referenced object, or the node itself
+ */
+function resolveRef(spec, node) {
+    if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/')) {
+        return node;
+    }
+    return node.$ref.slice(2).split('/')
+        .reduce((target, name) => target && target[name], spec);
+}
+
+/**
+ * Collects the allowed values of the enum parameters of the operation from the
+ * OpenAPI spec, including the properties of its JSON request body
+ * @param {Object} spec The OpenAPI spec
+ * @param {string} path Path of the operation in the spec
+ * @param {string} method HTTP method of the operation
+ * @return {Object<string, Array<string>>} allowed values by parameter name
+ */
+function getParameterEnums(spec, path, method) {
+    const operation = spec && spec.paths && spec.paths[path] && spec.paths[path][method];
+    const enums = {};
+    if (!operation) {
+        return enums;
+    }
+    (operation.parameters || []).forEach((ref) => {
+        const parameter = resolveRef(spec, ref);
+        const schema = parameter && resolveRef(spec, parameter.schema);
+        if (schema && Array.isArray(schema.enum)) {
+            enums[parameter.name] = schema.enum.map(String);
+        }
+    });
+    const content = operation.requestBody && operation.requestBody.content;
+    const bodySchema = content && content['application/json'] &&
+        resolveRef(spec, content['application/json'].schema);
+    const properties = (bodySchema && bodySchema.properties) || {};
+    Object.keys(properties).forEach((name) => {
+        const schema = resolveRef(spec, properties[name]);
+        if (schema && Array.isArray(schema.enum) && !enums[name]) {
+            enums[name] = schema.enum.map(String);
+        }
+    });
+    return enums;
+}
+
+/**
+ * Validates the request parameters which the spec restricts to an enum
+ * @param {Object<string, Array<string>>} enums allowed values by parameter name,
+ * see getParameterEnums()
+ * @param {Object} params Parameter values by name, undefined when not passed
+ * @throws {HTTPError} naming the first parameter with a value out of its enum
+ */
+function validateParams(enums, params) {
+    Object.keys(params).forEach((name) => {
+        const value = params[name];
+        if (value === undefined || !enums[name] || enums[name].includes(String(value))) {
+            return;
+        }
+        throw sUtil.badRequest(
+            name,
+            `Unsupported ${name} '${value}', expected one of: ${enums[name].join(', ')}`
+        );
+    });
+}
+
+module.exports = {
+    getParameterEnums,
+    validateParams
+};
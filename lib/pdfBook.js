@@ -0,0 +1,192 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { escapeHtml } = require('./pdfTemplates');
+const { addOutline } = require('./pdfOutline');
+
+/**
+ * Font size of the page numbers, in PDF points
+ * @type {number}
+ */
+const PAGE_NUMBER_SIZE = 9;
+
+/**
+ * Distance of the page numbers from the bottom edge of the page, in PDF points
+ * @type {number}
+ */
+const PAGE_NUMBER_BOTTOM = 18;
+
+/**
+ * @typedef {Object} BookArticle
+ * @prop {string} title Title of the article
+ * @prop {string|null} chapter Heading of the chapter the article starts
+ * @prop {Buffer|null} buffer The rendered PDF, null when the render failed
+ * @prop {number} pageCount Number of pages of the rendered PDF
+ */
+
+/**
+ * Counts the pages of the PDF
+ * @param {Buffer} buffer
+ * @return {BBPromise<number>}
+ */
+function countPages(buffer) {
+    return BBPromise.resolve(PDFDocument.load(buffer, { updateMetadata: false }))
+    .then(doc => doc.getPageCount());
+}
+
+/**
+ * Returns the page numbers the articles start on, following the cover and the
+ * table of contents. Failed articles have no page number.
+ * @param {Array<BookArticle>} articles
+ * @param {number} frontMatterPageCount Number of pages of the cover and contents
+ * @return {Array<number|null>}
+ */
+function getStartPages(articles, frontMatterPageCount) {
+    let next = frontMatterPageCount + 1;
+    return articles.map((article) => {
+        if (!article.buffer) {
+            return null;
+        }
+        const start = next;
+        next += article.pageCount;
+        return start;
+    });
+}
+
+/**
+ * Returns the page number the chapter starting at the article starts on
+ * @param {Array<BookArticle>} articles
+ * @param {Array<number|null>} startPages Page numbers the articles start on
+ * @param {number} index Index of the article starting the chapter
+ * @return {number|null} null when none of the articles of the chapter was rendered
+ */
+function getChapterStart(articles, startPages, index) {
+    for (let i = index; i < articles.length && (i === index || !articles[i].chapter); i++) {
+        if (startPages[i] !== null) {
+            return startPages[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the HTML of the cover page and the table of contents
+ * @param {Object} book
+ * @param {string} book.title
+ * @param {string} book.domain
+ * @param {Array<BookArticle>} articles
+ * @param {Array<number|null>} startPages Page numbers the articles start on
+ * @param {Object<string, string>} messages
+ * @return {string}
+ */
+function buildFrontMatterHtml(book, articles, startPages, messages) {
+    const rows = [];
+    articles.forEach((article, index) => {
+        if (article.chapter) {
+            const chapterStart = getChapterStart(articles, startPages, index);
+            rows.push(
+                `<li class="chapter"><span>${escapeHtml(article.chapter)}</span>` +
+                `<span>${chapterStart || ''}</span></li>`
+            );
+        }
+        rows.push(startPages[index] === null ?
+            `<li class="failed"><span>${escapeHtml(article.title)} ` +
+                `(${escapeHtml(messages.unavailable)})</span><span></span></li>` :
+            `<li><span>${escapeHtml(article.title)}</span><span>${startPages[index]}</span></li>`
+        );
+    });
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><style>',
+        'body { font-family: sans-serif; }',
+        '.cover { height: 100vh; display: flex; flex-direction: column;',
+        '    justify-content: center; text-align: center; page-break-after: always; }',
+        '.cover h1 { font-size: 32pt; }',
+        'ol { list-style: none; padding: 0; }',
+        'li { display: flex; justify-content: space-between; margin: 4pt 0 4pt 16pt; }',
+        'li.chapter { font-weight: bold; margin-left: 0; margin-top: 12pt; }',
+        'li.failed { color: #72777d; font-style: italic; }',
+        '</style></head><body>',
+        `<div class="cover"><h1>${escapeHtml(book.title)}</h1>`,
+        `<p>${escapeHtml(book.domain)}</p></div>`,
+        `<h2>${escapeHtml(messages.contents)}</h2>`,
+        `<ol>${rows.join('')}</ol>`,
+        '</body></html>'
+    ].join('\n');
+}
+
+/**
+ * Merges the cover, the table of contents and the articles into one PDF.
+ * Pages are numbered continuously, except the cover, and the outline links
+ * the chapters and the articles.
+ * @param {Object} book
+ * @param {string} book.title
+ * @param {Buffer} frontMatter The rendered cover and table of contents
+ * @param {Array<BookArticle>} articles
+ * @return {BBPromise<Buffer>} Promise which resolves with the book PDF
+ */
+function mergeBook(book, frontMatter, articles) {
+    const rendered = articles.filter(article => article.buffer);
+    let frontMatterPageCount;
+
+    return BBPromise.all([
+        PDFDocument.create(),
+        PDFDocument.load(frontMatter, { updateMetadata: false })
+    ].concat(rendered.map(article => PDFDocument.load(article.buffer))))
+    .then(([doc, ...sources]) => BBPromise.mapSeries(sources, (source) => {
+        return BBPromise.resolve(doc.copyPages(source, source.getPageIndices()))
+        .then(pages => pages.forEach(page => doc.addPage(page)));
+    }).then(() => {
+        frontMatterPageCount = sources[0].getPageCount();
+        return doc.embedFont(StandardFonts.Helvetica);
+    }).then((font) => {
+        doc.getPages().forEach((page, index) => {
+            if (index === 0) {
+                // the cover is not numbered
+                return;
+            }
+            const text = String(index + 1);
+            page.drawText(text, {
+                x: (page.getWidth() - font.widthOfTextAtSize(text, PAGE_NUMBER_SIZE)) / 2,
+                y: PAGE_NUMBER_BOTTOM,
+                size: PAGE_NUMBER_SIZE,
+                font
+            });
+        });
+        doc.setTitle(book.title);
+        return doc.save();
+    }))
+    .then((bytes) => {
+        const startPages = getStartPages(articles, frontMatterPageCount);
+        const headings = [];
+        articles.forEach((article, index) => {
+            const chapterStart = article.chapter ?
+                getChapterStart(articles, startPages, index) : null;
+            if (chapterStart) {
+                headings.push({
+                    level: 1,
+                    text: article.chapter,
+                    pageIndex: chapterStart - 1,
+                    top: 0
+                });
+            }
+            if (startPages[index] !== null) {
+                headings.push({
+                    level: 2,
+                    text: article.title,
+                    pageIndex: startPages[index] - 1,
+                    top: 0
+                });
+            }
+        });
+        return addOutline(Buffer.from(bytes), headings);
+    });
+}
+
+module.exports = {
+    countPages,
+    getStartPages,
+    buildFrontMatterHtml,
+    mergeBook
+};
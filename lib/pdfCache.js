@@ -0,0 +1,286 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const crypto = require('crypto');
+const fs = BBPromise.promisifyAll(require('fs'));
+const path = require('path');
+
+/**
+ * @typedef {Object} CacheEntry
+ * @prop {number} size Size of the PDF in bytes
+ * @prop {number} storedAt Time when the PDF was stored
+ * @prop {string} lastModified Last modification date of the rendered page
+ */
+/**
+ * Least recently used cache of rendered PDFs.
+ *
+ * The cache keeps the index of entries in memory, in the order of their last
+ * use, and leaves storing the PDFs to the backends which implement
+ * _read(), _write() and _remove().
+ */
+class PdfCache {
+    /**
+     * @param {Object} cacheOptions
+     * @param {number} cacheOptions.maxSize number of bytes the cached PDFs can take
+     * @param {number} cacheOptions.maxAge number of milliseconds a PDF is served from the cache
+     */
+    constructor(cacheOptions) {
+        /**
+         * Cache entries in the order of their last use, the oldest first
+         * @type {Map<string, CacheEntry>}
+         * @private
+         */
+        this._index = new Map();
+        this._size = 0;
+        /**
+         * Last pending write of each key. The writes of a key are serialized,
+         * so that the entry they replace is always in the index.
+         * @type {Map<string, BBPromise>}
+         * @private
+         */
+        this._writes = new Map();
+        this._options = cacheOptions;
+        this._ready = BBPromise.resolve();
+    }
+
+    /**
+     * Returns the cached PDF
+     * @param {string} key
+     * @return {BBPromise<Object|null>} Promise which resolves with the PDF buffer and
+     * its last modification date, or null when the PDF is not cached
+     */
+    get(key) {
+        return this._ready.then(() => {
+            const entry = this._index.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (Date.now() - entry.storedAt > this._options.maxAge) {
+                return this._delete(key).thenReturn(null);
+            }
+            // mark the entry as the most recently used one
+            this._index.delete(key);
+            this._index.set(key, entry);
+            return BBPromise.resolve(this._read(key, entry)).then(buffer => ({
+                buffer,
+                lastModified: entry.lastModified
+            }), () => this._delete(key).thenReturn(null));
+        });
+    }
+
+    /**
+     * Stores the rendered PDF, and evicts the least recently used PDFs when the
+     * cache grows too large
+     * @param {string} key
+     * @param {Object} pdfDetails The render result
+     * @return {BBPromise}
+     */
+    set(key, pdfDetails) {
+        const previous = this._writes.get(key) || BBPromise.resolve();
+        const write = previous.reflect().then(() => this._ready).then(() => {
+            if (pdfDetails.buffer.length > this._options.maxSize) {
+                return undefined;
+            }
+            const entry = {
+                size: pdfDetails.buffer.length,
+                storedAt: Date.now(),
+                lastModified: pdfDetails.lastModified
+            };
+            return BBPromise.resolve(this._index.has(key) && this._delete(key))
+            .then(() => this._write(key, pdfDetails.buffer, entry))
+            .then(() => {
+                this._index.set(key, entry);
+                this._size += entry.size;
+                return this._evict();
+            });
+        }).finally(() => {
+            if (this._writes.get(key) === write) {
+                this._writes.delete(key);
+            }
+        });
+        this._writes.set(key, write);
+        return write;
+    }
+
+    /**
+     * Removes the PDFs whose key starts with the prefix
+     * @param {string} [prefix] Removes all PDFs when not given
+     * @return {BBPromise<number>} Promise which resolves with the number of removed PDFs
+     */
+    purge(prefix) {
+        return this._ready.then(() => {
+            const keys = Array.from(this._index.keys())
+                .filter(key => !prefix || key.startsWith(prefix));
+            return BBPromise.map(keys, key => this._delete(key)).thenReturn(keys.length);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @return {BBPromise}
+     * @private
+     */
+    _delete(key) {
+        const entry = this._index.get(key);
+        if (!entry) {
+            return BBPromise.resolve();
+        }
+        this._index.delete(key);
+        this._size -= entry.size;
+        return BBPromise.resolve(this._remove(key, entry)).catch(() => {
+            // the PDF is not reachable through the index anymore
+        });
+    }
+
+    /**
+     * Removes the least recently used PDFs until the cache fits in its size
+     * @return {BBPromise}
+     * @private
+     */
+    _evict() {
+        const evicted = [];
+        const keys = this._index.keys();
+        let next = keys.next();
+        while (this._size > this._options.maxSize && !next.done) {
+            evicted.push(this._delete(next.value));
+            next = keys.next();
+        }
+        return BBPromise.all(evicted);
+    }
+}
+
+/**
+ * PDF cache keeping the PDFs in memory. Meant for tests and development.
+ */
+class MemoryCache extends PdfCache {
+    constructor(cacheOptions) {
+        super(cacheOptions);
+        this._buffers = new Map();
+    }
+
+    _read(key) {
+        return this._buffers.get(key);
+    }
+
+    _write(key, buffer) {
+        this._buffers.set(key, buffer);
+    }
+
+    _remove(key) {
+        this._buffers.delete(key);
+    }
+}
+
+/**
+ * PDF cache keeping the PDFs in a local directory. Each PDF is stored next to
+ * a JSON file with its key and cache entry, so that the index can be rebuilt
+ * when the service restarts.
+ */
+class FileSystemCache extends PdfCache {
+    /**
+     * @param {Object} cacheOptions
+     * @param {string} cacheOptions.path directory to store the PDFs in
+     * @param {number} cacheOptions.maxSize number of bytes the cached PDFs can take
+     * @param {number} cacheOptions.maxAge number of milliseconds a PDF is served from the cache
+     */
+    constructor(cacheOptions) {
+        super(cacheOptions);
+        this._ready = this._load();
+    }
+
+    /**
+     * Rebuilds the index from the cache directory
+     * @return {BBPromise}
+     * @private
+     */
+    _load() {
+        const dir = this._options.path;
+        return fs.mkdirAsync(dir, { recursive: true })
+        .then(() => fs.readdirAsync(dir))
+        .then(files => BBPromise.map(files.filter(file => /\.json$/.test(file)), file =>
+            fs.readFileAsync(path.join(dir, file), 'utf8')
+            .then(JSON.parse)
+            .catch(() => null)
+        ))
+        .then((stored) => {
+            stored.filter(item => item && item.key && item.entry)
+            .sort((a, b) => a.entry.storedAt - b.entry.storedAt)
+            .forEach(({ key, entry }) => {
+                this._index.set(key, entry);
+                this._size += entry.size;
+            });
+            return this._evict();
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @return {string} path of the PDF without the extension
+     * @private
+     */
+    _getPath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this._options.path, hash);
+    }
+
+    _read(key) {
+        return fs.readFileAsync(`${this._getPath(key)}.pdf`);
+    }
+
+    _write(key, buffer, entry) {
+        const file = this._getPath(key);
+        return fs.writeFileAsync(`${file}.pdf`, buffer)
+        .then(() => fs.writeFileAsync(`${file}.json`, JSON.stringify({ key, entry })));
+    }
+
+    _remove(key) {
+        const file = this._getPath(key);
+        return BBPromise.all([
+            fs.unlinkAsync(`${file}.json`),
+            fs.unlinkAsync(`${file}.pdf`)
+        ]);
+    }
+}
+
+/**
+ * Builds the cache key from its parts, which are the domain, the title, the
+ * revision ID, the format and the type of the PDF. The key built from the
+ * domain and the title followed by a slash prefixes the keys of all PDFs of
+ * the page.
+ * @param {...string} parts
+ * @return {string}
+ */
+function buildCacheKey(...parts) {
+    return parts.map(part => encodeURIComponent(part)).join('/');
+}
+
+/**
+ * Creates the PDF cache configured by the `pdf_cache` config option
+ * @param {Object} cacheConf
+ * @return {PdfCache}
+ */
+function createPdfCache(cacheConf) {
+    const cacheOptions = {
+        maxSize: (cacheConf.max_size_mb || 1024) * 1024 * 1024,
+        maxAge: (cacheConf.max_age || 86400) * 1000
+    };
+    switch (cacheConf.backend) {
+        case 'memory':
+            return new MemoryCache(cacheOptions);
+        case 'filesystem':
+            if (!cacheConf.path) {
+                throw new Error('The `pdf_cache.path` config option has to be set');
+            }
+            return new FileSystemCache(Object.assign({ path: cacheConf.path }, cacheOptions));
+        default:
+            throw new Error(`Unknown PDF cache backend: ${cacheConf.backend}`);
+    }
+}
+
+module.exports = {
+    PdfCache,
+    MemoryCache,
+    FileSystemCache,
+    buildCacheKey,
+    createPdfCache
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const { toPixels, getPageBox } = require('./headings');
+const { parseBoolean } = require('./renderService');
+const { badRequest } = require('./util');
+
+/**
+ * Limits of the page layout clients can request, unless the `pdf_layout_limits`
+ * config option sets others
+ * @type {Object}
+ */
+const DEFAULT_LIMITS = {
+    min_page_size: '2in',
+    max_page_size: '50in',
+    max_margin: '4in',
+    min_content_size: '1in',
+    min_scale: 0.1,
+    max_scale: 2
+};
+
+/**
+ * Sides of the page in the order of the CSS margin shorthand
+ * @type {Array<string>}
+ */
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Parses the length parameter, a number with one of the px, in, cm and mm units
+ * @param {string} name Parameter name
+ * @param {string} value Value passed by the client
+ * @param {string} min Smallest accepted length
+ * @param {string} max Largest accepted length
+ * @return {string} the length
+ * @throws {HTTPError} when the value is not a length between min and max
+ */
+function parseLength(name, value, min, max) {
+    const length = String(value).trim().toLowerCase();
+    if (!/^\d+(?:\.\d+)?(?:px|in|cm|mm)$/.test(length) ||
+            toPixels(length) < toPixels(min) || toPixels(length) > toPixels(max)) {
+        throw badRequest(name, `Invalid ${name}: ${value}, expected a length between ${min} ` +
+            `and ${max} in px, in, cm or mm`);
+    }
+    return length;
+}
+
+/**
+ * Parses the margin parameter, which like the CSS margin shorthand has one to
+ * four lengths, separated by spaces or commas
+ * @param {string} value Value passed by the client
+ * @param {string} max Largest accepted margin
+ * @return {Object} top, right, bottom and left margins
+ * @throws {HTTPError} when the value is not a valid margin
+ */
+function parseMargin(value, max) {
+    const lengths = String(value).trim().split(/[\s,]+/);
+    if (lengths.length > 4) {
+        throw badRequest('margin', `Invalid margin: ${value}, expected one to four lengths`);
+    }
+    const [top, right = top, bottom = top, left = right] = lengths.map(
+        length => (length === '0' ? '0px' : parseLength('margin', length, '0px', max))
+    );
+    return { top, right, bottom, left };
+}
+
+/**
+ * Parses the number parameter
+ * @param {string} name Parameter name
+ * @param {string} value Value passed by the client
+ * @param {number} min
+ * @param {number} max
+ * @return {number}
+ * @throws {HTTPError} when the value is not a number between min and max
+ */
+function parseNumber(name, value, min, max) {
+    const number = Number(value);
+    if (!/^\d+(?:\.\d+)?$/.test(String(value)) || number < min || number > max) {
+        throw badRequest(name, `Invalid ${name}: ${value}, expected a number between ${min} ` +
+            `and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Reads the page layout requested with the landscape, width, height, margin,
+ * scale and printbackground parameters. The result holds the page.pdf()
+ * options the client asked for, which are merged over the configured ones.
+ * @param {Object} input Request parameters
+ * @param {Object} baseOptions PDF options the layout is merged over, including
+ * the requested format
+ * @param {Object} [limitsConf] The `pdf_layout_limits` config option
+ * @return {Object} PDF options
+ * @throws {HTTPError} when a parameter is invalid or the page has no room for
+ * the content
+ */
+function parseLayout(input, baseOptions, limitsConf) {
+    const limits = Object.assign({}, DEFAULT_LIMITS, limitsConf);
+    const layout = {};
+    const isSet = name => input[name] !== undefined && input[name] !== '';
+
+    if (isSet('landscape')) {
+        layout.landscape = parseBoolean('landscape', input.landscape);
+    }
+    if (isSet('printbackground')) {
+        layout.printBackground = parseBoolean('printbackground', input.printbackground);
+    }
+    if (isSet('width') || isSet('height')) {
+        if (isSet('format')) {
+            throw badRequest(
+                isSet('width') ? 'width' : 'height',
+                'A custom page size cannot be combined with a format'
+            );
+        }
+        // the other side is the one of the configured paper
+        const paper = getPageBox(Object.assign({}, baseOptions, { landscape: false }));
+        layout.width = isSet('width') ?
+            parseLength('width', input.width, limits.min_page_size, limits.max_page_size) :
+            `${Math.round(paper.width)}px`;
+        layout.height = isSet('height') ?
+            parseLength('height', input.height, limits.min_page_size, limits.max_page_size) :
+            `${Math.round(paper.height)}px`;
+        // the format takes priority over the size in page.pdf()
+        layout.format = undefined;
+    }
+    if (isSet('margin')) {
+        layout.margin = parseMargin(input.margin, limits.max_margin);
+    }
+    if (isSet('scale')) {
+        layout.scale = parseNumber('scale', input.scale, limits.min_scale, limits.max_scale);
+    }
+
+    const box = getPageBox(Object.assign({}, baseOptions, layout));
+    const minContentSize = toPixels(limits.min_content_size);
+    if (box.width - box.margin.left - box.margin.right < minContentSize ||
+            box.height - box.margin.top - box.margin.bottom < minContentSize) {
+        throw badRequest('margin', `The margins have to leave at least ${limits.min_content_size} ` +
+            'of the page to the content');
+    }
+    return layout;
+}
+
+/**
+ * Describes the requested layout in a stable string, which is part of the
+ * cache keys of the PDF
+ * @param {Object} [layout] PDF options returned by parseLayout()
+ * @return {string}
+ */
+function getLayoutKey(layout) {
+    const names = Object.keys(layout || {}).filter(name => layout[name] !== undefined).sort();
+    if (!names.length) {
+        return 'layout';
+    }
+    return names.map((name) => {
+        const value = layout[name];
+        return `${name}=${typeof value === 'object' ? SIDES.map(side => value[side]).join(' ') : value}`;
+    }).join(';');
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    parseLayout,
+    getLayoutKey
+};
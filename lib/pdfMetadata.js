@@ -0,0 +1,137 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+const { getLanguage } = require('./pdfTemplates');
+
+/**
+ * License of the wiki content when the wiki does not tell its own
+ * @type {Object}
+ */
+const DEFAULT_LICENSE = {
+    text: 'Creative Commons Attribution-Share Alike 4.0',
+    url: 'https://creativecommons.org/licenses/by-sa/4.0/'
+};
+
+/**
+ * @typedef {Object} Metadata
+ * @prop {string} title Display title of the article
+ * @prop {string} siteName Name of the wiki, the author and creator of the PDF
+ * @prop {string} language Language code of the page
+ * @prop {number|null} revision Revision ID of the rendered article, if known
+ * @prop {string} url Canonical URL of the article
+ * @prop {Object} license License of the content, has defined text and url
+ */
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the XMP packet describing the article
+ * @param {Metadata} metadata
+ * @return {string}
+ */
+function buildXmp(metadata) {
+    const lines = [
+        '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/"',
+        ' xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/">',
+        `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.title)}` +
+            '</rdf:li></rdf:Alt></dc:title>',
+        `<dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.siteName)}</rdf:li></rdf:Seq>` +
+            '</dc:creator>',
+        `<dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag>` +
+            '</dc:language>',
+        `<dc:source>${escapeXml(metadata.url)}</dc:source>`,
+        `<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.license.text)}` +
+            '</rdf:li></rdf:Alt></dc:rights>',
+        '<xmpRights:Marked>True</xmpRights:Marked>',
+        `<xmpRights:WebStatement>${escapeXml(metadata.license.url)}</xmpRights:WebStatement>`
+    ];
+    if (metadata.revision) {
+        lines.push(`<xmpMM:VersionID>${metadata.revision}</xmpMM:VersionID>`);
+    }
+    return lines.concat([
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ]).join('\n');
+}
+
+/**
+ * Builds the metadata of the rendered article. The details the MW API returned
+ * with the revision are preferred, the rest is derived from the domain and title.
+ * @param {Object} page The rendered page
+ * @param {string} page.domain
+ * @param {string} page.title
+ * @param {Object|null} page.revision The revision of the page, if known
+ * @param {Object} [license] License used when the wiki does not report one
+ * @return {Metadata}
+ */
+function buildMetadata(page, license) {
+    const revision = page.revision || {};
+    const title = revision.title || page.title.replace(/_/g, ' ');
+    return {
+        title: revision.displayTitle || title,
+        siteName: revision.siteName || page.domain,
+        language: revision.language || getLanguage(page.domain),
+        revision: revision.revid || null,
+        url: revision.url ||
+            `https://${page.domain}/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`,
+        license: revision.license || license || DEFAULT_LICENSE
+    };
+}
+
+/**
+ * Writes the article metadata into the document information dictionary and
+ * the XMP metadata stream of the PDF. The producer and the dates set by
+ * Chromium are kept.
+ * @param {Buffer} buffer The PDF
+ * @param {Metadata} metadata
+ * @return {BBPromise<Buffer>} Promise which resolves with the new PDF
+ */
+function addMetadata(buffer, metadata) {
+    return BBPromise.resolve(PDFDocument.load(buffer, { updateMetadata: false }))
+    .then((doc) => {
+        doc.setTitle(metadata.title, { showInWindowTitleBar: true });
+        doc.setAuthor(metadata.siteName);
+        doc.setCreator(metadata.siteName);
+        doc.setLanguage(metadata.language);
+
+        const info = doc.getInfoDict();
+        info.set(PDFName.of('Source'), PDFHexString.fromText(metadata.url));
+        info.set(PDFName.of('License'), PDFHexString.fromText(metadata.license.text));
+        info.set(PDFName.of('LicenseURL'), PDFHexString.fromText(metadata.license.url));
+        if (metadata.revision) {
+            info.set(PDFName.of('Revision'), PDFHexString.fromText(String(metadata.revision)));
+        }
+
+        // XMP is left uncompressed, so that it can be found without parsing the PDF
+        const xmp = doc.context.stream(Buffer.from(buildXmp(metadata), 'utf8'), {
+            Type: 'Metadata',
+            Subtype: 'XML'
+        });
+        doc.catalog.set(PDFName.of('Metadata'), doc.context.register(xmp));
+        return doc.save();
+    })
+    .then(bytes => Buffer.from(bytes));
+}
+
+module.exports = {
+    buildMetadata,
+    addMetadata
+};
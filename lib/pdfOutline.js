@@ -0,0 +1,110 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+
+/**
+ * Number of PDF points in a CSS pixel
+ * @type {number}
+ */
+const POINTS_PER_PIXEL = 72 / 96;
+
+/**
+ * Nests the headings by their level, so that every heading contains the
+ * lower level headings following it
+ * @param {Array<Heading>} headings
+ * @return {Array<Object>} top level nodes, each has defined heading and children
+ */
+function buildTree(headings) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    headings.forEach((heading) => {
+        while (stack[stack.length - 1].level >= heading.level) {
+            stack.pop();
+        }
+        const node = { level: heading.level, heading, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+    return root.children;
+}
+
+/**
+ * Writes the outline items of the sibling nodes, and their descendants
+ * @param {PDFDocument} doc
+ * @param {Array<Object>} nodes
+ * @param {PDFRef} parentRef Reference of the parent item or of the outline root
+ * @return {Object} references of the first and last item, and the number of items
+ */
+function writeItems(doc, nodes, parentRef) {
+    const context = doc.context;
+    const pages = doc.getPages();
+    const refs = nodes.map(() => context.nextRef());
+    let count = 0;
+    nodes.forEach((node, index) => {
+        const page = pages[node.heading.pageIndex];
+        const item = {
+            Title: PDFHexString.fromText(node.heading.text),
+            Parent: parentRef,
+            Dest: [
+                page.ref,
+                'XYZ',
+                null,
+                page.getHeight() - node.heading.top * POINTS_PER_PIXEL,
+                null
+            ]
+        };
+        if (index > 0) {
+            item.Prev = refs[index - 1];
+        }
+        if (index < nodes.length - 1) {
+            item.Next = refs[index + 1];
+        }
+        if (node.children.length) {
+            const children = writeItems(doc, node.children, refs[index]);
+            item.First = children.first;
+            item.Last = children.last;
+            item.Count = children.count;
+            count += children.count;
+        }
+        context.assign(refs[index], context.obj(item));
+        count++;
+    });
+    return {
+        first: refs[0],
+        last: refs[refs.length - 1],
+        count
+    };
+}
+
+/**
+ * Adds the document outline, also known as bookmarks, built from the headings
+ * to the PDF and opens the outline pane when the PDF is viewed
+ * @param {Buffer} buffer The PDF
+ * @param {Array<Heading>} headings Headings of the PDF in document order
+ * @return {BBPromise<Buffer>} Promise which resolves with the new PDF
+ */
+function addOutline(buffer, headings) {
+    return BBPromise.resolve(PDFDocument.load(buffer, { updateMetadata: false })).then((doc) => {
+        const pageCount = doc.getPageCount();
+        const tree = buildTree(headings.filter(heading => heading.pageIndex < pageCount));
+        if (!tree.length) {
+            return buffer;
+        }
+        const outlineRef = doc.context.nextRef();
+        const items = writeItems(doc, tree, outlineRef);
+        doc.context.assign(outlineRef, doc.context.obj({
+            Type: 'Outlines',
+            First: items.first,
+            Last: items.last,
+            Count: items.count
+        }));
+        doc.catalog.set(PDFName.of('Outlines'), outlineRef);
+        doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+        return BBPromise.resolve(doc.save()).then(bytes => Buffer.from(bytes));
+    });
+}
+
+module.exports = {
+    addOutline
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Messages available to the templates as `{{msg.<name>}}`, indexed by language.
+ * The `pdf_template_messages` config option adds languages and overrides them.
+ * @type {Object<string, Object<string, string>>}
+ */
+const DEFAULT_MESSAGES = {
+    en: {
+        page: 'Page',
+        of: 'of',
+        retrieved: 'Retrieved from',
+        lastEdited: 'Last edited on',
+        contents: 'Contents',
+        unavailable: 'could not be rendered'
+    }
+};
+
+/**
+ * Placeholders Chromium fills in itself, on every page of the PDF
+ * @type {Object<string, string>}
+ */
+const PAGE_PLACEHOLDERS = {
+    pageNumber: '<span class="pageNumber"></span>',
+    totalPages: '<span class="totalPages"></span>'
+};
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Guesses the content language of the wiki from its domain, e.g. `de` for
+ * de.wikipedia.org. Wikis without a language subdomain are treated as English.
+ * @param {string} domain
+ * @return {string}
+ */
+function getLanguage(domain) {
+    const subdomain = domain.split('.')[0].toLowerCase();
+    return /^[a-z]{2,3}(-[a-z0-9]+)*$/.test(subdomain) ? subdomain : 'en';
+}
+
+/**
+ * Returns the messages in the language of the wiki, falling back to English
+ * @param {string} domain
+ * @param {Object} [messagesConf] Messages indexed by language
+ * @return {Object<string, string>}
+ */
+function getMessages(domain, messagesConf) {
+    const allMessages = Object.assign({}, DEFAULT_MESSAGES, messagesConf);
+    return Object.assign({}, allMessages.en, allMessages[getLanguage(domain)]);
+}
+
+/**
+ * Formats the date of the revision in the language of the wiki
+ * @param {string} timestamp ISO 8601 timestamp
+ * @param {string} language
+ * @return {string}
+ */
+function formatDate(timestamp, language) {
+    const date = new Date(timestamp);
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    try {
+        return date.toLocaleDateString(language, options);
+    } catch (e) {
+        // not a language tag Intl knows about
+        return date.toLocaleDateString('en', options);
+    }
+}
+
+/**
+ * Replaces the placeholders of the template. Values are HTML-escaped, while the
+ * page number placeholders are replaced by the elements Chromium fills in.
+ * @param {string} template HTML of the header or footer
+ * @param {Object<string, string>} values
+ * @param {Object<string, string>} messages
+ * @return {string}
+ */
+function expand(template, values, messages) {
+    return template.replace(/{{\s*([\w.]+)\s*}}/g, (placeholder, name) => {
+        if (PAGE_PLACEHOLDERS[name]) {
+            return PAGE_PLACEHOLDERS[name];
+        }
+        if (name.startsWith('msg.')) {
+            const message = messages[name.slice(4)];
+            return escapeHtml(message === undefined ? name.slice(4) : message);
+        }
+        return escapeHtml(values[name] === undefined ? '' : values[name]);
+    });
+}
+
+/**
+ * Builds the PDF options rendering the header and footer of the template.
+ *
+ * Templates are HTML snippets with `{{title}}`, `{{domain}}`,
+ * `{{revisionDate}}`, `{{url}}`, `{{pageNumber}}`, `{{totalPages}}` and
+ * `{{msg.<name>}}` placeholders. Note that Chromium renders them with a zero
+ * font size unless the template sets one.
+ * @param {Object} template
+ * @param {string} [template.header] HTML of the header
+ * @param {string} [template.footer] HTML of the footer
+ * @param {Object} page The rendered page
+ * @param {string} page.domain
+ * @param {string} page.title
+ * @param {Object|null} page.revision The revision of the page, if known
+ * @param {Object} [messagesConf] Messages indexed by language
+ * @return {Object} puppeteer PDF options
+ */
+function buildHeaderFooter(template, page, messagesConf) {
+    const language = getLanguage(page.domain);
+    const messages = getMessages(page.domain, messagesConf);
+    const title = page.revision ? page.revision.title : page.title.replace(/_/g, ' ');
+    const urlTitle = encodeURIComponent(title.replace(/ /g, '_'));
+    const values = {
+        title,
+        domain: page.domain,
+        revisionDate: page.revision ? formatDate(page.revision.timestamp, language) : '',
+        url: page.revision ?
+            `https://${page.domain}/w/index.php?title=${urlTitle}&oldid=${page.revision.revid}` :
+            `https://${page.domain}/wiki/${urlTitle}`
+    };
+    return {
+        displayHeaderFooter: true,
+        // Chromium prints its own header and footer when the templates are missing
+        headerTemplate: expand(template.header || '<span></span>', values, messages),
+        footerTemplate: expand(template.footer || '<span></span>', values, messages)
+    };
+}
+
+module.exports = {
+    escapeHtml,
+    getLanguage,
+    getMessages,
+    buildHeaderFooter
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const { PDFArray, PDFDict, PDFDocument, PDFName, PDFNumber } = require('pdf-lib');
+const { getPrintLayout, inPrintLayout } = require('./headings');
+
+/**
+ * Styles of the injected table of contents. It takes pages of its own, so
+ * that the article starts on a fresh page.
+ * @type {string}
+ */
+const TOC_STYLE = `
+#proton-toc { break-after: page; page-break-after: always; }
+#proton-toc .proton-toc-title { font-size: 1.5em; font-weight: bold; margin-bottom: 0.5em; }
+#proton-toc ol { list-style: none; margin: 0; padding: 0; }
+#proton-toc li { display: flex; justify-content: space-between; margin: 0.2em 0; }
+#proton-toc a { color: inherit; text-decoration: none; }
+#proton-toc .proton-toc-page { padding-left: 1em; }
+`;
+
+/**
+ * Number of CSS pixels in a PDF point
+ * @type {number}
+ */
+const PIXELS_PER_POINT = 96 / 72;
+
+/**
+ * Placeholder of the page numbers in the first render, which keeps room for
+ * the real numbers
+ * @type {string}
+ */
+const PAGE_NUMBER_PLACEHOLDER = '000';
+
+/**
+ * Decodes the name of a named destination, which Chromium writes in UTF-8
+ * @param {PDFName|PDFString|PDFHexString} key
+ * @return {string}
+ */
+function decodeName(key) {
+    return key instanceof PDFName ? Buffer.from(key.asBytes()).toString('utf8') : key.decodeText();
+}
+
+/**
+ * Calls `add` with every entry of the name tree
+ * @param {PDFDict} node Node of the name tree
+ * @param {Function} add Called with the name and the value
+ */
+function readNameTree(node, add) {
+    if (!(node instanceof PDFDict)) {
+        return;
+    }
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+        for (let index = 0; index + 1 < names.size(); index += 2) {
+            add(decodeName(names.lookup(index)), names.get(index + 1));
+        }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+        for (let index = 0; index < kids.size(); index++) {
+            readNameTree(kids.lookup(index), add);
+        }
+    }
+}
+
+/**
+ * Reads where the named destinations of the PDF point to. Chromium writes a
+ * named destination for the elements internal links point to, named by their
+ * id.
+ * @param {Buffer} buffer The PDF
+ * @return {BBPromise<Map<string, Object>>} Promise which resolves with the
+ * pageIndex and the top, in CSS pixels, of the destinations indexed by their name
+ */
+function readDestinations(buffer) {
+    return BBPromise.resolve(PDFDocument.load(buffer, { updateMetadata: false })).then((doc) => {
+        const pages = doc.getPages();
+        const pageIndexes = new Map(pages.map((pdfPage, index) => [String(pdfPage.ref), index]));
+        const destinations = new Map();
+        const add = (name, value) => {
+            let destination = doc.context.lookup(value);
+            if (destination instanceof PDFDict) {
+                destination = destination.lookup(PDFName.of('D'));
+            }
+            if (!(destination instanceof PDFArray)) {
+                return;
+            }
+            const pageIndex = pageIndexes.get(String(destination.get(0)));
+            if (pageIndex === undefined) {
+                return;
+            }
+            const y = destination.lookup(3);
+            destinations.set(name, {
+                pageIndex,
+                top: y instanceof PDFNumber ?
+                    (pages[pageIndex].getHeight() - y.asNumber()) * PIXELS_PER_POINT : 0
+            });
+        };
+        const dests = doc.catalog.lookup(PDFName.of('Dests'));
+        if (dests instanceof PDFDict) {
+            dests.entries().forEach(([key, value]) => add(decodeName(key), value));
+        }
+        const names = doc.catalog.lookup(PDFName.of('Names'));
+        if (names instanceof PDFDict) {
+            readNameTree(names.lookup(PDFName.of('Dests')), add);
+        }
+        return destinations;
+    });
+}
+
+/**
+ * Injects the table of contents listing the visible h1-h6 headings at the
+ * start of the page, and fills in the numbers of the pages the headings are
+ * printed on. Entries link to their headings, which become internal links
+ * of the PDF.
+ *
+ * The page is printed once with the table of contents in place, and the
+ * pages of the headings are read from the named destinations of its links,
+ * so that page breaks forced by the print styles are accounted for. Headings
+ * the PDF has no destination for are not numbered.
+ * @param {Page} page Loaded puppeteer page
+ * @param {Object} pdfOptions Options which will be passed to page.pdf()
+ * @param {string} title Title of the table of contents
+ * @param {Function} [checkOutput] Checks the printed PDF before it is read,
+ * and resolves with it or rejects
+ * @return {BBPromise<Array<Heading>>} visible headings with a destination,
+ * in document order
+ */
+function addTableOfContents(page, pdfOptions, title, checkOutput) {
+    const layout = getPrintLayout(pdfOptions);
+
+    return inPrintLayout(page, layout, () => page.evaluate((tocTitle, style, placeholder) => {
+        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .map((element) => {
+                const rect = element.getBoundingClientRect();
+                return {
+                    element,
+                    level: Number(element.tagName.slice(1)),
+                    text: element.innerText.replace(/\s+/g, ' ').trim(),
+                    visible: rect.width > 0 && rect.height > 0
+                };
+            })
+            .filter(heading => heading.visible && heading.text);
+        if (!headings.length) {
+            return [];
+        }
+
+        const styleElement = document.createElement('style');
+        styleElement.textContent = style;
+        document.head.appendChild(styleElement);
+
+        const nav = document.createElement('nav');
+        nav.id = 'proton-toc';
+        const titleElement = document.createElement('div');
+        titleElement.className = 'proton-toc-title';
+        titleElement.textContent = tocTitle;
+        const list = document.createElement('ol');
+        headings.forEach((heading, index) => {
+            if (!heading.element.id) {
+                heading.element.id = `proton-heading-${index}`;
+            }
+            const item = document.createElement('li');
+            item.style.paddingLeft = `${heading.level - 1}em`;
+            const link = document.createElement('a');
+            link.href = `#${heading.element.id}`;
+            link.textContent = heading.text;
+            const pageNumber = document.createElement('span');
+            pageNumber.className = 'proton-toc-page';
+            pageNumber.textContent = placeholder;
+            item.appendChild(link);
+            item.appendChild(pageNumber);
+            list.appendChild(item);
+        });
+        nav.appendChild(titleElement);
+        nav.appendChild(list);
+        document.body.insertBefore(nav, document.body.firstChild);
+
+        return headings.map(heading => ({
+            id: heading.element.id,
+            level: heading.level,
+            text: heading.text
+        }));
+    }, title, TOC_STYLE, PAGE_NUMBER_PLACEHOLDER))
+    .then((entries) => {
+        if (!entries.length) {
+            return [];
+        }
+        return BBPromise.resolve(page.pdf(pdfOptions))
+        .then(buffer => (checkOutput ? checkOutput(buffer) : buffer))
+        .then(readDestinations)
+        .then((destinations) => {
+            const headings = entries.map(entry => Object.assign({
+                level: entry.level,
+                text: entry.text
+            }, destinations.get(entry.id)));
+            return BBPromise.resolve(page.evaluate((numbers) => {
+                document.querySelectorAll('#proton-toc .proton-toc-page').forEach((element, index) => {
+                    element.textContent = numbers[index];
+                });
+            }, headings.map(heading => (
+                heading.pageIndex === undefined ? '' : String(heading.pageIndex + 1)
+            ))))
+            .thenReturn(headings.filter(heading => heading.pageIndex !== undefined));
+        });
+    });
+}
+
+module.exports = {
+    readDestinations,
+    addTableOfContents
+};
@@ -4,12 +4,30 @@ const BBPromise = require('bluebird');
 const errors = require('./errors');
 const EventEmitter = require('events');
 
+/**
+ * Priority classes of jobs, the most urgent first
+ * @type {Array<string>}
+ */
+const PRIORITIES = ['interactive', 'batch', 'prefetch'];
+
+/**
+ * Number of milliseconds between the checks whether a draining queue is empty
+ * @type {number}
+ */
+const DRAIN_CHECK_INTERVAL = 100;
+
 /**
  * @typedef {Object} PromisifiedQueueItem
  * @prop {QueueItem} job Queued job to execute
  * @prop {Function} resolve Function to call when job is resolved
  * @prop {Function} reject Function to call when job is rejected/failed
  */
+/**
+ * @typedef {Object} CoalescedJob
+ * @prop {QueueItem} job Queued job the clients wait for
+ * @prop {Promise} promise Promise of the queued job
+ * @prop {number} clientCount Number of clients waiting for the job
+ */
 /**
  * Queue object
  */
@@ -26,6 +44,9 @@ class Queue extends EventEmitter {
      * should hold. New tasks will be rejected once the sum of the
      * number of running tasks and the tasks in the queue is equal to
      * this number.
+     * @param {Object} [queueOptions.priorities] options of the priority classes,
+     * indexed by the class name. Each class can define its own maxTaskCount and
+     * queueTimeout, which default to the options of the queue.
      */
     constructor(queueOptions) {
         super();
@@ -56,6 +77,145 @@ class Queue extends EventEmitter {
          * @private
          */
         this._processing = false;
+
+        /**
+         * Jobs waiting or in progress which identical jobs can join, indexed by
+         * their coalesce key
+         * @type {Map<string, CoalescedJob>}
+         * @private
+         */
+        this._coalescedJobs = new Map();
+
+        /**
+         * Waiting jobs of each priority class grouped by their fairness key.
+         * The keys are kept in the order of their turns: a key goes to the
+         * end once one of its jobs is picked up.
+         * @type {Map<string, Map<string, Array<PromisifiedQueueItem>>>}
+         * @private
+         */
+        this._turns = new Map(PRIORITIES.map(priority => [priority, new Map()]));
+
+        /**
+         * Whether the queue takes no new jobs. The jobs which are already in
+         * the queue are processed.
+         * @type {boolean}
+         * @private
+         */
+        this._paused = false;
+
+        /**
+         * Promise of the drain, resolved once the queue is empty. The queue
+         * takes no new jobs for good once it is set.
+         * @type {BBPromise|null}
+         * @private
+         */
+        this._drained = null;
+    }
+
+    /**
+     * Stops taking new jobs, e.g. for maintenance. Jobs can still join
+     * identical jobs which are already in the queue.
+     */
+    pause() {
+        if (!this._paused) {
+            this._paused = true;
+            this.emit('queue.pause', {
+                waitingCount: this._waitingJobs.length,
+                inProgressCount: this._inProgressJobs.length
+            });
+        }
+    }
+
+    /**
+     * Takes new jobs again
+     */
+    resume() {
+        if (this._paused) {
+            this._paused = false;
+            this.emit('queue.resume', {
+                waitingCount: this._waitingJobs.length,
+                inProgressCount: this._inProgressJobs.length
+            });
+        }
+    }
+
+    /**
+     * @return {boolean} whether the queue takes no new jobs
+     */
+    isPaused() {
+        return this._paused;
+    }
+
+    /**
+     * Stops taking new jobs for good, e.g. before the service shuts down, and
+     * waits for the jobs in the queue to finish. The jobs which are still
+     * unfinished after the timeout are aborted.
+     * @param {number} timeout number of milliseconds the jobs are given to finish
+     * @return {BBPromise} Promise which resolves once the queue is empty
+     */
+    drain(timeout) {
+        if (this._drained) {
+            return this._drained;
+        }
+        const deadline = Date.now() + timeout;
+        const waitForJobs = () => {
+            if (!this.countJobsInQueue()) {
+                return BBPromise.resolve();
+            }
+            if (Date.now() >= deadline) {
+                this.listJobs().forEach(({ job }) => {
+                    this.cancel(job.jobId, new errors.QueueDraining());
+                });
+                return BBPromise.resolve();
+            }
+            return BBPromise.delay(DRAIN_CHECK_INTERVAL).then(waitForJobs);
+        };
+        this._drained = waitForJobs();
+        this.emit('queue.drain', {
+            timeout,
+            waitingCount: this._waitingJobs.length,
+            inProgressCount: this._inProgressJobs.length
+        });
+        return this._drained;
+    }
+
+    /**
+     * @return {boolean} whether the queue is drained, or being drained
+     */
+    isDraining() {
+        return !!this._drained;
+    }
+
+    /**
+     * Lists the waiting jobs, in the order they were added, and the jobs in progress
+     * @return {Array<Object>} the jobs, each one has defined the QueueItem and its
+     * state, `waiting` or `processing`
+     */
+    listJobs() {
+        return this._waitingJobs.map(({ job }) => ({ job, state: 'waiting' }))
+            .concat(this._inProgressJobs.map(({ job }) => ({ job, state: 'processing' })));
+    }
+
+    /**
+     * Cancels the job, whether it is waiting or in progress. Its promise, and
+     * the ones of the jobs which joined it, are rejected with the error.
+     * @param {string} id Job ID
+     * @param {Error} [error] Error to reject with, JobCancelled by default
+     * @return {boolean} whether the job was found
+     */
+    cancel(id, error) {
+        const waiting = this._waitingJobs.find(({ job }) => job.jobId === id);
+        const inProgress = this._inProgressJobs.find(({ job }) => job.jobId === id);
+        error = error || new errors.JobCancelled();
+        this._clearTimeout(id);
+        if (waiting) {
+            return this._tryToCancelWaitingJob(waiting.job, waiting.reject, error);
+        }
+        if (inProgress) {
+            this._tryToCancelInProgressJob(inProgress.job, inProgress.reject, error);
+            return true;
+        }
+        return false;
     }
 
     /**
@@ -81,13 +241,54 @@ class Queue extends EventEmitter {
         return this._inProgressJobs.length;
     }
 
+    /**
+     * Returns the number of waiting and in progress jobs of the priority class
+     * @param {string} priority
+     * @return {number}
+     */
+    countJobsOfClass(priority) {
+        return this._waitingJobs.concat(this._inProgressJobs)
+            .filter(({ job }) => job.priority === priority)
+            .length;
+    }
+
     /**
      * Whether the queue is full
+     * @param {string} [priority] also checks the limit of the priority class
      * @return {boolean} whether the number of waiting tasks
      * is equal to a predefined maximum task count
      */
-    isQueueFull() {
-        return this.countJobsInQueue() >= this._options.maxTaskCount;
+    isQueueFull(priority) {
+        if (this.countJobsInQueue() >= this._options.maxTaskCount) {
+            return true;
+        }
+        const classOptions = (this._options.priorities || {})[priority];
+        return !!classOptions && classOptions.maxTaskCount !== undefined &&
+            this.countJobsOfClass(priority) >= classOptions.maxTaskCount;
+    }
+
+    /**
+     * Returns the options of the priority class
+     * @param {string} priority
+     * @return {Object} maxTaskCount and queueTimeout of the class
+     * @private
+     */
+    _getClassOptions(priority) {
+        const priorities = this._options.priorities || {};
+        return Object.assign({
+            maxTaskCount: this._options.maxTaskCount,
+            queueTimeout: this._options.queueTimeout
+        }, priorities[priority]);
+    }
+
+    /**
+     * Whether an identical job is waiting or in progress, so that pushing the
+     * job would join it instead of taking a new spot in the queue
+     * @param {QueueItem} job
+     * @return {boolean}
+     */
+    canJoin(job) {
+        return !!job.coalesceKey && this._coalescedJobs.has(job.coalesceKey);
     }
 
     /**
@@ -112,10 +313,11 @@ class Queue extends EventEmitter {
             this._clearTimeout(job.jobId);
             this.emit('queue.timeout', {
                 id: job.jobId,
+                priority: job.priority,
                 addedToTheQueueAt: job.addedToTheQueueAt
             });
             reject(new errors.QueueTimeout());
-        }, this._options.queueTimeout));
+        }, this._getClassOptions(job.priority).queueTimeout));
     }
 
     /**
@@ -134,16 +336,93 @@ class Queue extends EventEmitter {
     /**
      * Adds new QueueItem to the queue
      *
+     * Jobs with a coalesce key join an identical job which is already waiting
+     * or in progress, and resolve with its result. The shared job is cancelled
+     * only once all of the jobs waiting for it are cancelled.
+     *
      * TODO: Most probably we can pass the promiseBuilder (function that
      * returns a promise) and create the QueueItem by ourselves
      * @param {QueueItem} job new job
      * @return {Promise}
      */
     push(job) {
+        const key = job.coalesceKey;
+        if (!key) {
+            return this._push(job);
+        }
+        let coalesced = this._coalescedJobs.get(key);
+        if (!coalesced) {
+            coalesced = {
+                job,
+                promise: this._push(job),
+                clientCount: 0
+            };
+            this._coalescedJobs.set(key, coalesced);
+        } else {
+            this.emit('queue.join', {
+                id: job.jobId,
+                priority: job.priority,
+                sharedId: coalesced.job.jobId,
+                clientCount: coalesced.clientCount + 1
+            });
+        }
+        return this._join(key, coalesced);
+    }
+
+    /**
+     * Attaches a new client to the coalesced job
+     * @param {string} key
+     * @param {CoalescedJob} coalesced
+     * @return {Promise}
+     * @private
+     */
+    _join(key, coalesced) {
+        coalesced.clientCount++;
+        return new BBPromise((resolve, reject, onCancel) => {
+            coalesced.promise
+                .finally(() => this._forgetCoalescedJob(key, coalesced))
+                .then(resolve, reject);
+            onCancel(() => {
+                coalesced.clientCount--;
+                if (coalesced.clientCount === 0) {
+                    // the last client went away, nobody is interested in the result
+                    this._forgetCoalescedJob(key, coalesced);
+                    coalesced.promise.cancel();
+                }
+            });
+        });
+    }
+
+    /**
+     * Stops identical jobs from joining the coalesced job
+     * @param {string} key
+     * @param {CoalescedJob} coalesced
+     * @private
+     */
+    _forgetCoalescedJob(key, coalesced) {
+        if (this._coalescedJobs.get(key) === coalesced) {
+            this._coalescedJobs.delete(key);
+        }
+    }
+
+    /**
+     * Adds the job to the queue on its own
+     * @param {QueueItem} job new job
+     * @return {Promise}
+     * @private
+     */
+    _push(job) {
         return new BBPromise((resolve, reject, onCancel) => {
-            if (this.isQueueFull()) {
+            if (this._drained) {
+                return reject(new errors.QueueDraining());
+            }
+            if (this._paused) {
+                return reject(new errors.QueuePaused());
+            }
+            if (this.isQueueFull(job.priority)) {
                 this.emit('queue.full', {
                     id: job.jobId,
+                    priority: job.priority,
                     waitingCount: this._waitingJobs.length,
                     inProgressCount: this._inProgressJobs.length
                 });
@@ -151,13 +430,16 @@ class Queue extends EventEmitter {
             }
             job.notifyQueueAdd(Date.now());
             this._setUpQueueTimeout(job, reject);
-            this._waitingJobs.push({
+            const waiting = {
                 job,
                 reject,
                 resolve
-            });
+            };
+            this._waitingJobs.push(waiting);
+            this._addTurn(waiting);
             this.emit('queue.new', {
                 id: job.jobId,
+                priority: job.priority,
                 inProgressCount: this._inProgressJobs.length,
                 waitingCount: this._waitingJobs.length
             });
@@ -174,6 +456,12 @@ class Queue extends EventEmitter {
         .finally(() => {
             this._cleanup(job);
             this._processQueue();
+            this.emit('queue.leave', {
+                id: job.jobId,
+                priority: job.priority,
+                inProgressCount: this._inProgressJobs.length,
+                waitingCount: this._waitingJobs.length
+            });
         });
     }
 
@@ -181,16 +469,17 @@ class Queue extends EventEmitter {
      * Helper method to find and remove job
      * @param {QueueItem} job Job to remove
      * @param {Function} reject Reject method to call when waiting job is found
+     * @param {Error} [error] Error to reject with, ProcessingCancelled by default
      * @return {boolean} Returns true when job is found
      * @private
      */
-    _tryToCancelWaitingJob(job, reject) {
+    _tryToCancelWaitingJob(job, reject, error) {
         let removed = false;
         this._waitingJobs = this._waitingJobs.filter((waiting) => {
             if (job.jobId === waiting.job.jobId) {
                 removed = true;
                 this._removeJobFromInQueueState(job);
-                this._cancelJob(job, 'queue', reject);
+                this._cancelJob(job, 'queue', reject, error);
                 return false;
             }
             return true;
@@ -202,13 +491,14 @@ class Queue extends EventEmitter {
      * Helper method to find and remove job
      * @param {QueueItem} job Job to remove
      * @param {Function} reject Reject method to call when waiting job is found
+     * @param {Error} [error] Error to reject with, ProcessingCancelled by default
      * @private
      */
-    _tryToCancelInProgressJob(job, reject) {
+    _tryToCancelInProgressJob(job, reject, error) {
         this._inProgressJobs = this._inProgressJobs.filter((inProgress) => {
             if (job.jobId === inProgress.job.jobId) {
                 this._removeJobFromInProcessState(job);
-                this._cancelJob(job, 'process', reject);
+                this._cancelJob(job, 'process', reject, error);
                 return false;
             }
             return true;
@@ -220,15 +510,19 @@ class Queue extends EventEmitter {
      * @param {QueueItem} job
      * @param {string} state
      * @param {Function} reject
+     * @param {Error} [error] Error to reject with, ProcessingCancelled by default
      * @private
      */
-    _cancelJob(job, state, reject) {
+    _cancelJob(job, state, reject, error) {
+        // the job is rejected first, so that its clients get this error rather
+        // than the one of the aborted render
+        reject(error || new errors.ProcessingCancelled());
         job.cancel().then(() => {
             this.emit(`${state}.abort`, {
                 id: job.jobId,
+                priority: job.priority,
                 addedToTheQueueAt: job.addedToTheQueueAt
             });
-            reject(new errors.ProcessingCancelled());
         });
     }
 
@@ -241,12 +535,16 @@ class Queue extends EventEmitter {
     _registerProcessTimeout(job, reject) {
         this._timeouts.set(job.jobId, setTimeout(() => {
             this._clearTimeout(job.jobId);
-            this.emit('process.timeout');
+            this.emit('process.timeout', {
+                id: job.jobId,
+                priority: job.priority,
+                processStartedAt: job.processStartedAt
+            });
             job.cancel().then(() => {
                 this._removeJobFromInProcessState(job);
                 reject(new errors.JobTimeout());
             });
-        }, this._options.executionTimeout));
+        }, job.executionTimeout || this._options.executionTimeout));
     }
     /**
      * Try to take next element from the queue and process it
@@ -263,7 +561,7 @@ class Queue extends EventEmitter {
             return;
         }
         this._processing = true;
-        const { job, reject, resolve } = this._waitingJobs.shift();
+        const { job, reject, resolve } = this._takeNextJob();
         this._clearTimeout(job.jobId);
         this._inProgressJobs.push({ job, reject, resolve });
         this._registerProcessTimeout(job, reject);
@@ -271,12 +569,14 @@ class Queue extends EventEmitter {
             job.notifyQueueStart(Date.now());
             this.emit('process.started', {
                 id: job.jobId,
+                priority: job.priority,
                 addedToTheQueueAt: job.addedToTheQueueAt
             });
             this._processJob(job, resolve, reject);
         } catch (err) {
             this.emit('process.failure', {
                 id: job.jobId,
+                priority: job.priority,
                 addedToTheQueueAt: job.addedToTheQueueAt,
                 err
             });
@@ -286,6 +586,42 @@ class Queue extends EventEmitter {
         this._processing = false;
     }
 
+    /**
+     * Registers the waiting job in the turns of its priority class
+     * @param {PromisifiedQueueItem} waiting
+     * @private
+     */
+    _addTurn(waiting) {
+        const turns = this._turns.get(waiting.job.priority);
+        const key = waiting.job.fairnessKey;
+        if (!turns.has(key)) {
+            turns.set(key, []);
+        }
+        turns.get(key).push(waiting);
+    }
+
+    /**
+     * Removes the job to process next from the waiting jobs. Jobs of the most
+     * urgent priority class go first, and within the class the fairness keys
+     * take turns, so that one domain or client cannot starve the others.
+     * Jobs of the same key are picked in the order they were added.
+     * @return {PromisifiedQueueItem}
+     * @private
+     */
+    _takeNextJob() {
+        const turns = PRIORITIES.map(priority => this._turns.get(priority))
+            .find(classTurns => classTurns.size > 0);
+        const [key, waitingJobs] = turns.entries().next().value;
+        const taken = waitingJobs.shift();
+        turns.delete(key);
+        if (waitingJobs.length) {
+            // the key had its turn, it goes after the other keys
+            turns.set(key, waitingJobs);
+        }
+        this._waitingJobs.splice(this._waitingJobs.indexOf(taken), 1);
+        return taken;
+    }
+
     /**
      * Helper method to remove the job from inProcess queue
      * @param {QueueItem} job
@@ -302,6 +638,15 @@ class Queue extends EventEmitter {
      */
     _removeJobFromInQueueState(job) {
         this._waitingJobs = this._removeJobFromArray(job, this._waitingJobs);
+        const turns = this._turns.get(job.priority);
+        if (turns.has(job.fairnessKey)) {
+            const waitingJobs = this._removeJobFromArray(job, turns.get(job.fairnessKey));
+            if (waitingJobs.length) {
+                turns.set(job.fairnessKey, waitingJobs);
+            } else {
+                turns.delete(job.fairnessKey);
+            }
+        }
         /**
         this._waitingJobs.filter((waiting) => {
             return waiting.job.jobId !== job.jobId;
@@ -331,6 +676,7 @@ class Queue extends EventEmitter {
             .then((result) => {
                 this.emit('process.success', {
                     id: job.jobId,
+                    priority: job.priority,
                     addedToTheQueueAt: job.addedToTheQueueAt,
                     processStartedAt: job.processStartedAt
                 });
@@ -338,6 +684,7 @@ class Queue extends EventEmitter {
             }, (err) => {
                 this.emit('process.failure', {
                     id: job.jobId,
+                    priority: job.priority,
                     addedToTheQueueAt: job.addedToTheQueueAt,
                     processStartedAt: job.processStartedAt,
                     err
@@ -352,5 +699,6 @@ class Queue extends EventEmitter {
 }
 
 module.exports = {
+    PRIORITIES,
     Queue
 };
@@ -35,6 +35,57 @@ class QueueItem {
         return this._data.id;
     }
 
+    /**
+     * Domain of the wiki the job renders a page of
+     * @type {string|null}
+     */
+    get domain() {
+        return (this._data && this._data.domain) || null;
+    }
+
+    /**
+     * Title of the page the job renders
+     * @type {string|null}
+     */
+    get title() {
+        return (this._data && this._data.title) || null;
+    }
+
+    /**
+     * Key shared by identical jobs, which can be rendered once for all of
+     * them. Jobs without the key are always rendered on their own.
+     * @type {string|null}
+     */
+    get coalesceKey() {
+        return (this._data && this._data.coalesceKey) || null;
+    }
+
+    /**
+     * Priority class of the job, one of PRIORITIES
+     * @type {string}
+     */
+    get priority() {
+        return (this._data && this._data.priority) || 'interactive';
+    }
+
+    /**
+     * Key the queue takes turns between within the priority class,
+     * usually the domain or the client of the request
+     * @type {string|null}
+     */
+    get fairnessKey() {
+        return (this._data && this._data.fairnessKey) || null;
+    }
+
+    /**
+     * Number of milliseconds the job is allowed to render in, or null for
+     * the execution timeout of the queue
+     * @type {number|null}
+     */
+    get executionTimeout() {
+        return (this._data && this._data.executionTimeout) || null;
+    }
+
     get addedToTheQueueAt() {
         return this._addedToTheQueueAt;
     }
@@ -68,7 +119,7 @@ class QueueItem {
     }
 
     /**
-     * Render a PDF
+     * Render a PDF, or a screenshot when the job has defined screenshot options
      *
      * This is a separate function for now as I'm thinking about pulling that logic into some
      * promise generator. I want to keep that function as clean as possible, without any
@@ -76,10 +127,18 @@ class QueueItem {
      * @return {Promise<Object>}
      */
     process() {
+        if (this._data.screenshot) {
+            return this._data.renderer.articleToScreenshot(
+                this._data.uri,
+                this._data.headers,
+                Object.assign({}, this._data.options, this._data.screenshot)
+            );
+        }
         return this._data.renderer.articleToPdf(
             this._data.uri,
             this._data.format,
-            this._data.headers
+            this._data.headers,
+            this._data.options
         );
     }
 }
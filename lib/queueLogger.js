@@ -17,7 +17,7 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
             help: 'queue events'
         },
         labels: {
-            names: ['type'],
+            names: ['type', 'class'],
             omitLabelNames: true
         }
     });
@@ -30,7 +30,7 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
             buckets: [0.1, 0.5, 1, 5, 10, 30, 60]
         },
         labels: {
-            names: ['type'],
+            names: ['type', 'class'],
             omitLabelNames: true
         }
     });
@@ -42,7 +42,7 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
             help: 'job events'
         },
         labels: {
-            names: ['type'],
+            names: ['type', 'class'],
             omitLabelNames: true
         }
     });
@@ -55,13 +55,13 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
             buckets: [0.1, 0.5, 1, 5, 10, 30, 60]
         },
         labels: {
-            names: ['type'],
+            names: ['type', 'class'],
             omitLabelNames: true
         }
     });
 
-    queue.on('queue.new', ({ id, waitingCount, inProgressCount }) => {
-        queueEventMetric.increment(1, ['new']);
+    queue.on('queue.new', ({ id, priority, waitingCount, inProgressCount }) => {
+        queueEventMetric.increment(1, ['new', priority]);
         metrics.makeMetric({
             type: 'Gauge',
             name: 'queue.jobs_count',
@@ -75,71 +75,121 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
             {
                 msg: 'New task is being added to the queue.',
                 id,
+                priority,
                 inProgressCount,
                 waitingCount,
             }
         );
     })
-        .on('queue.full', ({ id, waitingCount, inProgressCount }) => {
+        .on('queue.full', ({ id, priority, waitingCount, inProgressCount }) => {
             logger.log(
                 'warn/queue',
                 {
                     msg: 'Queue is full, rejecting the request.',
                     id,
+                    priority,
                     waitingCount,
                     inProgressCount
                 }
             );
-            queueEventMetric.increment(1, ['full']);
+            queueEventMetric.increment(1, ['full', priority]);
         })
-        .on('queue.timeout', ({ id, addedToTheQueueAt }) => {
+        .on('queue.pause', ({ waitingCount, inProgressCount }) => {
+            logger.log(
+                'info/queue',
+                {
+                    msg: 'Queue is paused, rejecting new requests.',
+                    waitingCount,
+                    inProgressCount
+                }
+            );
+        })
+        .on('queue.resume', ({ waitingCount, inProgressCount }) => {
+            logger.log(
+                'info/queue',
+                {
+                    msg: 'Queue is resumed.',
+                    waitingCount,
+                    inProgressCount
+                }
+            );
+        })
+        .on('queue.drain', ({ timeout, waitingCount, inProgressCount }) => {
+            logger.log(
+                'info/queue',
+                {
+                    msg: 'Queue is draining, rejecting new requests.',
+                    timeout,
+                    waitingCount,
+                    inProgressCount
+                }
+            );
+        })
+        .on('queue.join', ({ id, priority, sharedId, clientCount }) => {
+            logger.log(
+                'debug/queue',
+                {
+                    msg: 'Identical task is in the queue, sharing its render.',
+                    id,
+                    priority,
+                    sharedId,
+                    clientCount
+                }
+            );
+            queueEventMetric.increment(1, ['join', priority]);
+        })
+        .on('queue.timeout', ({ id, priority, addedToTheQueueAt }) => {
             logger.log(
                 'warn/queue',
                 {
                     msg: 'Queue is still busy.',
                     id,
+                    priority,
                     waitTime: Date.now() - addedToTheQueueAt
                 }
             );
-            queueEventMetric.increment(1, ['timeout']);
+            queueEventMetric.increment(1, ['timeout', priority]);
         })
-        .on('queue.abort', ({ id, addedToTheQueueAt }) => {
+        .on('queue.abort', ({ id, priority, addedToTheQueueAt }) => {
             logger.log(
                 'debug/queue',
                 {
                     msg: 'Removing task from the queue.',
                     id,
+                    priority,
                     waitTime: Date.now() - addedToTheQueueAt
                 }
             );
-            queueEventMetric.increment(1, ['abort']);
-            queueDurationMetric.observe(Date.now() - addedToTheQueueAt, ['abort']);
+            queueEventMetric.increment(1, ['abort', priority]);
+            queueDurationMetric.observe(Date.now() - addedToTheQueueAt, ['abort', priority]);
         })
-        .on('process.started', ({ id, addedToTheQueueAt }) => {
+        .on('process.started', ({ id, priority, addedToTheQueueAt }) => {
             logger.log(
                 'debug/queue',
                 {
                     msg: 'Starting to render a task.',
                     id,
+                    priority,
                     waitTime: Date.now() - addedToTheQueueAt
                 }
             );
-            jobEventMetric.increment(1, ['started']);
-            jobDurationMetric.observe(Date.now() - addedToTheQueueAt, ['wait']);
+            jobEventMetric.increment(1, ['started', priority]);
+            jobDurationMetric.observe(Date.now() - addedToTheQueueAt, ['wait', priority]);
         })
-        .on('process.success', ({ id, processStartedAt }) => {
+        .on('process.success', ({ id, priority, processStartedAt }) => {
             logger.log(
                 'debug/queue',
                 {
                     msg: 'Render succeeded.',
                     id,
+                    priority,
                     renderTime: Date.now() - processStartedAt
                 }
             );
-            jobEventMetric.increment(1, ['successful']);
-            jobDurationMetric.observe(Date.now() - processStartedAt, ['render']);
+            jobEventMetric.increment(1, ['successful', priority]);
+            jobDurationMetric.observe(Date.now() - processStartedAt, ['render', priority]);
         })
-        .on('process.failure', ({ id, err, startedProcessingAt }) => {
+        .on('process.failure', ({ id, priority, err, startedProcessingAt }) => {
             if (err instanceof errors.ProcessingCancelled) {
                 // skip cancelled job errors, we don't need to log those
                 return;
@@ -152,34 +202,37 @@ function bindQueueLoggerAndMetrics(queue, logger, metrics) {
                 {
                     msg: 'Aborting render because of render failure.',
                     id,
+                    priority,
                     renderTime: Date.now() - startedProcessingAt
                 }
             );
-            jobEventMetric.increment(1, ['failed']);
+            jobEventMetric.increment(1, ['failed', priority]);
         })
-        .on('process.abort', ({ id, addedToTheQueueAt }) => {
+        .on('process.abort', ({ id, priority, addedToTheQueueAt }) => {
             logger.log(
                 'debug/render',
                 {
                     msg: 'Aborting render.',
                     id,
+                    priority,
                     renderTime: Date.now() - addedToTheQueueAt
                 }
             );
-            jobEventMetric.increment(1, ['abort']);
-            jobDurationMetric.observe(Date.now() - addedToTheQueueAt, ['abort']);
+            jobEventMetric.increment(1, ['abort', priority]);
+            jobDurationMetric.observe(Date.now() - addedToTheQueueAt, ['abort', priority]);
         })
-        .on('process.timeout', (id, processStartedAt) => {
+        .on('process.timeout', ({ id, priority, processStartedAt }) => {
             logger.log(
                 'error/render',
                 {
                     msg: 'Timeout. Render has not finished in time',
                     id,
+                    priority,
                     processStartedAt
                 }
             );
             // do not track timings as jobs always end up this._options.executionTimeout
-            jobEventMetric.increment(1, ['timeout']);
+            jobEventMetric.increment(1, ['timeout', priority]);
         });
 }
 
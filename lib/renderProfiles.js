@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const sUtil = require('./util');
+
+/**
+ * Name of the profile rendering with the global options. The `render_profiles`
+ * config option can define it, too.
+ * @type {string}
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Bundle of render options selected by name, e.g. an e-reader, a large-print
+ * or an accessibility layout
+ * @typedef {Object} RenderProfile
+ * @prop {string} name
+ * @prop {Object} [viewport] Viewport emulated instead of the one of the mobile or
+ * desktop type
+ * @prop {string} [userAgent] User agent the pages are requested with instead of
+ * the `user_agent`
+ * @prop {Object} pdfOptions page.pdf() options merged over the `pdf_options`
+ * @prop {string} [css] CSS added to the page before it is printed
+ * @prop {string} [template] Header and footer template used when the request
+ * does not select one
+ * @prop {number} [executionTimeout] Number of milliseconds after which the render
+ * is aborted, instead of the `render_execution_timeout`
+ * @prop {number} [navigationTimeout] Number of milliseconds the page is allowed
+ * to load in
+ */
+
+/**
+ * Reads the profile from its config
+ * @param {string} name
+ * @param {Object} [profileConf] The profile in the `render_profiles` config option
+ * @param {Object} [templates] The `pdf_templates` config option
+ * @return {RenderProfile}
+ * @throws {Error} when the profile is misconfigured
+ */
+function readProfile(name, profileConf, templates) {
+    const conf = profileConf || {};
+    if (conf.template && conf.template !== 'none' &&
+            !{}.hasOwnProperty.call(templates || {}, conf.template)) {
+        throw new Error(`Render profile ${name} uses the unknown template ${conf.template}`);
+    }
+    const css = [
+        conf.stylesheet ? fs.readFileSync(conf.stylesheet, 'utf8') : '',
+        conf.css || ''
+    ].join('\n').trim();
+    return {
+        name,
+        viewport: conf.viewport,
+        userAgent: conf.user_agent,
+        pdfOptions: conf.pdf_options || {},
+        css: css || undefined,
+        template: conf.template,
+        executionTimeout: conf.render_execution_timeout ?
+            conf.render_execution_timeout * 1000 : undefined,
+        navigationTimeout: conf.navigation_timeout ? conf.navigation_timeout * 1000 : undefined
+    };
+}
+
+/**
+ * Reads the `render_profiles` config option and checks that the default
+ * profiles of the domains exist
+ * @param {Object} conf The application config
+ * @return {Map<string, RenderProfile>} profiles by name
+ * @throws {Error} when a profile is misconfigured
+ */
+function readRenderProfiles(conf) {
+    const profilesConf = conf.render_profiles || {};
+    const profiles = new Map();
+    profiles.set(DEFAULT_PROFILE, readProfile(DEFAULT_PROFILE, null, conf.pdf_templates));
+    Object.keys(profilesConf).forEach((name) => {
+        profiles.set(name, readProfile(name, profilesConf[name], conf.pdf_templates));
+    });
+
+    const domainProfiles = conf.domain_render_profiles || {};
+    Object.keys(domainProfiles).concat([null]).forEach((domain) => {
+        const name = domain ? domainProfiles[domain] : conf.default_render_profile;
+        if (name && !profiles.has(name)) {
+            throw new Error(`Unknown render profile ${name} of ${domain || 'the service'}`);
+        }
+    });
+    return profiles;
+}
+
+/**
+ * Returns the name of the profile to render with, the requested one or the
+ * default profile of the domain
+ * @param {!Application} app the application object
+ * @param {string} domain the domain of the wiki
+ * @param {string} [requested] Profile requested by the client
+ * @return {string}
+ * @throws {HTTPError} when the profile is unknown
+ */
+function getProfileName(app, domain, requested) {
+    if (requested !== undefined && requested !== '') {
+        if (typeof requested !== 'string' || !app.renderProfiles.has(requested)) {
+            throw sUtil.badRequest('profile', `Unknown profile: ${requested}`);
+        }
+        return requested;
+    }
+    const domainProfiles = app.conf.domain_render_profiles || {};
+    return ({}.hasOwnProperty.call(domainProfiles, domain) && domainProfiles[domain]) ||
+        app.conf.default_render_profile || DEFAULT_PROFILE;
+}
+
+/**
+ * Returns the profile by its name
+ * @param {!Application} app the application object
+ * @param {string} [name] Name returned by getProfileName(), the default profile
+ * when not set
+ * @return {RenderProfile}
+ */
+function getRenderProfile(app, name) {
+    return app.renderProfiles.get(name || DEFAULT_PROFILE) ||
+        app.renderProfiles.get(DEFAULT_PROFILE);
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    readRenderProfiles,
+    getProfileName,
+    getRenderProfile
+};
@@ -0,0 +1,719 @@
+'use strict';
+
+const http = require('http');
+const BBPromise = require('bluebird');
+const { PRIORITIES, Queue } = require('./queue');
+const { bindQueueLoggerAndMetrics } = require('./queueLogger');
+const { BrowserPool } = require('./browserPool');
+const { bindBrowserPoolLoggerAndMetrics } = require('./browserPoolLogger');
+const { JobStore } = require('./jobStore');
+const { NetworkPolicy } = require('./networkPolicy');
+const { bindNetworkPolicyLoggerAndMetrics } = require('./networkPolicyLogger');
+const { createPdfCache } = require('./pdfCache');
+const { Renderer } = require('./renderer');
+const { readRenderProfiles, getRenderProfile } = require('./renderProfiles');
+const { SelfTest } = require('./selfTest');
+const apiUtil = require('./api-util');
+const errors = require('./errors');
+const sUtil = require('./util');
+
+/**
+ * Number of milliseconds the language variants of a wiki are kept
+ * @type {number}
+ */
+const VARIANTS_TTL = 60 * 60 * 1000;
+
+/**
+ * Converts the `render_priorities` config option to the queue options of the
+ * priority classes
+ * @param {Object} priorityConf
+ * @return {Object}
+ */
+function getPriorityOptions(priorityConf) {
+    const priorities = {};
+    Object.keys(priorityConf).forEach((priority) => {
+        const classConf = priorityConf[priority] || {};
+        priorities[priority] = {};
+        if (classConf.max_render_queue_size) {
+            priorities[priority].maxTaskCount = classConf.max_render_queue_size;
+        }
+        if (classConf.render_queue_timeout) {
+            priorities[priority].queueTimeout = classConf.render_queue_timeout * 1000;
+        }
+    });
+    return priorities;
+}
+
+/**
+ * Limits of a single render, unless the `render_budget` config option sets others.
+ * Sizes are in bytes.
+ * @type {Object}
+ */
+const DEFAULT_BUDGET = {
+    max_subresources: 1000,
+    max_transfer_size: 200 * 1024 * 1024,
+    max_pages: 1000,
+    max_output_size: 100 * 1024 * 1024
+};
+
+/**
+ * Converts the `render_budget` config option to the budget of the renderer
+ * @param {Object} [budgetConf]
+ * @return {Object} subresources, transferSize, pages and outputSize
+ */
+function getBudget(budgetConf) {
+    const budget = Object.assign({}, DEFAULT_BUDGET, budgetConf);
+    return {
+        subresources: budget.max_subresources,
+        transferSize: budget.max_transfer_size,
+        pages: budget.max_pages,
+        outputSize: budget.max_output_size
+    };
+}
+
+/**
+ * Converts the host regexp of the config to a case-insensitive, anchored RegExp
+ * @param {string} [pattern]
+ * @return {RegExp|null} null when the pattern is not set
+ */
+function getHostRegExp(pattern) {
+    return pattern ? new RegExp(`^(?:${pattern})$`, 'i') : null;
+}
+
+/**
+ * Sets up the render queue, the job store, the browser pool, the PDF cache,
+ * the network policy and the render profiles shared by all render routes
+ * @param {!Application} app the application object
+ * @return {!Application}
+ */
+function setupRenderService(app) {
+    const conf = app.conf;
+    app.renderProfiles = readRenderProfiles(conf);
+    app.queue = new Queue(
+        {
+            concurrency: conf.render_concurrency || 1,
+            queueTimeout: (conf.render_queue_timeout || 60) * 1000,
+            executionTimeout: (conf.render_execution_timeout || 90) * 1000,
+            maxTaskCount: conf.max_render_queue_size || 3,
+            priorities: getPriorityOptions(conf.render_priorities || {})
+        }
+    );
+    bindQueueLoggerAndMetrics(app.queue, app.logger, app.metrics);
+    app.jobStore = new JobStore(
+        app.queue,
+        {
+            resultTtl: (conf.render_job_result_ttl || 600) * 1000,
+            maxJobCount: conf.max_render_jobs || 50
+        }
+    );
+    app.browserPool = new BrowserPool(
+        {
+            size: conf.browser_pool_size || conf.render_concurrency || 1,
+            maxRenders: conf.browser_max_renders || 50,
+            maxMemory: (conf.browser_max_memory_mb || 1024) * 1024 * 1024
+        },
+        conf.puppeteer_options
+    );
+    bindBrowserPoolLoggerAndMetrics(app.browserPool, app.logger, app.metrics);
+    app.browserPool.start();
+    app.networkPolicy = new NetworkPolicy({
+        blacklist: getHostRegExp(conf.host_blacklist),
+        allowlist: getHostRegExp(conf.host_allowlist),
+        blockPrivateAddresses: conf.block_private_addresses !== false
+    });
+    bindNetworkPolicyLoggerAndMetrics(app.networkPolicy, app.logger, app.metrics);
+    if (conf.pdf_cache) {
+        app.pdfCache = createPdfCache(conf.pdf_cache);
+    }
+    app.siteVariants = new Map();
+    if (conf.self_test_interval !== 0) {
+        app.selfTest = new SelfTest(
+            {
+                interval: (conf.self_test_interval || 60) * 1000,
+                timeout: (conf.self_test_timeout || 30) * 1000
+            },
+            app.browserPool,
+            () => createRenderer(app, {}, null, app.logger)
+        );
+        app.selfTest.on('selftest.failure', ({ err, duration }) => {
+            app.logger.log('error/selftest', { msg: 'Self-test render failed', err, duration });
+        });
+        app.selfTest.start();
+    }
+    return app;
+}
+
+/**
+ * Describes whether the service can take renders: the queue is neither full
+ * nor paused, the browser pool has browsers, and the last self-test render
+ * succeeded. The checks pass until the first self-test render finished.
+ * @param {!Application} app the application object
+ * @return {Object} readiness document, whose status is `ready`, `not_ready` or
+ * `draining`, with the states of the queue, the browsers and the self-test
+ */
+function getReadiness(app) {
+    let queueStatus = 'ok';
+    if (app.queue.isPaused()) {
+        queueStatus = 'paused';
+    } else if (app.queue.isQueueFull()) {
+        queueStatus = 'saturated';
+    }
+    const queue = {
+        status: queueStatus,
+        waiting: app.queue.countJobsWaiting(),
+        inProgress: app.queue.countJobsInProcessing()
+    };
+    const poolState = app.browserPool.getState();
+    const browsers = Object.assign({
+        status: poolState.idle + poolState.busy + poolState.launching ? 'ok' : 'down'
+    }, poolState);
+    const selfTest = app.selfTest ? app.selfTest.getResult() : { status: 'disabled' };
+
+    let status = 'ready';
+    if (app.queue.isDraining()) {
+        status = 'draining';
+    } else if (queue.status !== 'ok' || browsers.status !== 'ok' || selfTest.status === 'failed') {
+        status = 'not_ready';
+    }
+    return { status, queue, browsers, selfTest };
+}
+
+/**
+ * Stops taking new renders and waits for the queued ones to finish, at most
+ * for `drain_timeout` seconds, after which the unfinished renders are aborted
+ * @param {!Application} app the application object
+ * @return {BBPromise} Promise which resolves once the queue is empty
+ */
+function drainRenderService(app) {
+    const timeout = app.conf.drain_timeout === undefined ? 30 : app.conf.drain_timeout;
+    return app.queue.drain(timeout * 1000);
+}
+
+/**
+ * Drains the render queue and closes the browsers
+ * @param {!Application} app the application object
+ * @return {BBPromise}
+ */
+function closeRenderService(app) {
+    if (app.selfTest) {
+        app.selfTest.stop();
+    }
+    return drainRenderService(app).then(() => app.browserPool.close());
+}
+
+/**
+ * Assembles the MW request object to be used later to retrieve the HTML
+ * @param {!Application} app the application object
+ * @param {Object} reqParams the request parameters passed in to the service.
+ * When it has a revision, the page is requested with its `oldid`, and in the
+ * language variant when it has one.
+ * @return {Object} the assembled request object
+ */
+function assembleRequest(app, reqParams) {
+    const extraParams = {
+        mobile: reqParams.type === 'mobile',
+        extdomain: reqParams.domain
+    };
+
+    if (extraParams.mobile) {
+        // TODO: find a way not to use this ugly ugly hack
+        if (/^(?:www\.)?(?:mediawiki|wikisource|wikidata)\.org$/.test(reqParams.domain)) {
+            extraParams.extdomain = reqParams.domain.replace(
+                /(www\.)?(mediawiki|wikisource|wikidata)/, 'm.$2'
+            );
+        } else {
+            extraParams.extdomain = reqParams.domain.replace(/^([^.]+)/, '$1.m');
+        }
+    }
+
+    const request = app.mw_tpl.expand({
+        request: { params: Object.assign(extraParams, reqParams) }
+    });
+
+    if (reqParams.revision) {
+        request.query = Object.assign({}, request.query, { oldid: reqParams.revision });
+    }
+    if (reqParams.variant) {
+        request.query = Object.assign({}, request.query, { variant: reqParams.variant });
+        // the headers are sent by Chromium with every request of the page
+        request.headers = Object.assign({}, request.headers, {
+            'accept-language': reqParams.variant
+        });
+    }
+
+    if (request.query) {
+        // puppeteer does not support setting the query object,
+        // so we need to add it manually to the URI
+        const query = Object.keys(request.query)
+            .map(item => `${item}=${encodeURIComponent(request.query[item])}`)
+            .join('&');
+        if (/\?/.test(request.uri)) {
+            request.uri = `${request.uri}&${query}`;
+        } else {
+            request.uri = `${request.uri}?${query}`;
+        }
+    }
+
+    return request;
+}
+
+/**
+ * Creates the renderer of a single job, set up by the render profile of the request
+ * @param {!Application} app the application object
+ * @param {Object} params the request parameters passed in to the service
+ * @param {Object} [pdfOptions] PDF options overriding the configured ones
+ * @param {Object} logger The Logger object
+ * @return {Renderer}
+ */
+function createRenderer(app, params, pdfOptions, logger) {
+    const profile = getRenderProfile(app, params.profile);
+    return new Renderer(
+        app.browserPool,
+        Object.assign({}, app.conf.pdf_options, profile.pdfOptions, pdfOptions),
+        app.networkPolicy,
+        profile.userAgent || app.conf.user_agent,
+        params.type === 'mobile',
+        logger,
+        {
+            viewport: profile.viewport,
+            css: profile.css,
+            navigationTimeout: profile.navigationTimeout,
+            budget: getBudget(app.conf.render_budget)
+        }
+    );
+}
+
+/**
+ * Parses the boolean request parameter
+ * @param {string} name Parameter name, used in the error message
+ * @param {string|boolean} [value] Value passed by the client
+ * @param {boolean} defaultValue Value used when the parameter is not passed
+ * @return {boolean}
+ * @throws {HTTPError} when the value is not a boolean
+ */
+function parseBoolean(name, value, defaultValue) {
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    if ([true, 'true', '1'].includes(value)) {
+        return true;
+    }
+    if ([false, 'false', '0'].includes(value)) {
+        return false;
+    }
+    throw sUtil.badRequest(name, `Invalid ${name}: ${value}, expected true or false`);
+}
+
+/**
+ * Parses the revision ID requested in the path and with the `oldid`
+ * parameter, which have to agree when both are passed
+ * @param {...(string|number)} values Revision IDs passed by the client
+ * @return {string|undefined} the revision ID, or undefined for the latest revision
+ * @throws {HTTPError} when the revision ID is invalid or ambiguous
+ */
+function parseRevision(...values) {
+    const revisions = values
+        .filter(value => value !== undefined && value !== '')
+        .map(String);
+    const invalid = revisions.find(value => !/^[1-9]\d*$/.test(value));
+    if (invalid !== undefined || new Set(revisions).size > 1) {
+        throw sUtil.badRequest('oldid', invalid !== undefined ? `Invalid revision: ${invalid}` :
+            `Conflicting revisions: ${revisions.join(', ')}`);
+    }
+    return revisions[0];
+}
+
+/**
+ * Validates the language variant requested by the client against the
+ * variants of the wiki, which are looked up once an hour
+ * @param {!Application} app the application object
+ * @param {string} domain the domain of the wiki
+ * @param {string} [requested] Variant requested by the client
+ * @return {BBPromise<string|undefined>} the variant, or undefined when the
+ * client did not ask for one
+ * @throws {HTTPError} when the wiki does not know the variant
+ */
+function resolveVariant(app, domain, requested) {
+    if (requested === undefined || requested === '') {
+        return BBPromise.resolve(undefined);
+    }
+    const badRequest = () => sUtil.badRequest('variant', `Unsupported variant: ${requested}`);
+    if (typeof requested !== 'string' || !/^[a-z]{2,3}(?:-[a-z0-9]+)*$/i.test(requested)) {
+        return BBPromise.reject(badRequest());
+    }
+
+    let entry = app.siteVariants.get(domain);
+    if (!entry || entry.expires < Date.now()) {
+        entry = {
+            variants: BBPromise.resolve(apiUtil.getLanguageVariants(app, domain)),
+            expires: Date.now() + VARIANTS_TTL
+        };
+        app.siteVariants.set(domain, entry);
+        entry.variants.catch(() => {
+            // look the variants up again with the next request
+            if (app.siteVariants.get(domain) === entry) {
+                app.siteVariants.delete(domain);
+            }
+        });
+    }
+    return entry.variants.then((variants) => {
+        const variant = variants.find(code => code.toLowerCase() === requested.toLowerCase());
+        if (!variant) {
+            throw badRequest();
+        }
+        return variant;
+    });
+}
+
+/**
+ * Determines how the queue schedules the request. Clients can lower the
+ * priority of their requests with the `priority` query parameter, but they
+ * cannot raise it above the default priority of the endpoint. The client of
+ * the request is its address as seen through the proxies of `trust_proxy`.
+ * @param {!Application} app the application object
+ * @param {Object} req Express Request object
+ * @param {string} defaultPriority
+ * @return {Object} priority and fairnessKey of the job
+ * @throws {HTTPError} when the priority is unknown
+ */
+function getScheduling(app, req, defaultPriority) {
+    const requested = req.query.priority;
+    if (requested !== undefined && !PRIORITIES.includes(requested)) {
+        throw sUtil.badRequest('priority', `Unsupported priority: ${requested}`);
+    }
+    const priority = requested && PRIORITIES.indexOf(requested) > PRIORITIES.indexOf(defaultPriority) ?
+        requested : defaultPriority;
+    const fairnessKey = app.conf.render_fairness_key === 'client' ?
+        req.ip : req.params.domain;
+    return { priority, fairnessKey };
+}
+
+/**
+ * Describes the render error to the client. Every error class of lib/errors.js
+ * maps to an HTTP status and a machine-readable error code, the `type` of the
+ * problem document.
+ * @param {!Application} app the application object
+ * @param {*} error The render error
+ * @param {string} title Article title
+ * @return {Object} status, type and detail of the problem, the number of
+ * seconds the client should wait before retrying and the exceeded budget, if any
+ */
+function describeRenderError(app, error, title) {
+    // the queue should have worked off the waiting renders by then
+    const retryAfter = app.conf.render_queue_timeout || 60;
+
+    if (error instanceof errors.NavigationError) {
+        switch (error.httpCode) {
+            case 403:
+                return {
+                    status: 403,
+                    type: 'upstream_forbidden',
+                    detail: `Access to article '${title}' is forbidden`
+                };
+            case 404:
+                return {
+                    status: 404,
+                    type: 'not_found',
+                    detail: `Article '${title}' not found`
+                };
+            case 410:
+                return {
+                    status: 410,
+                    type: 'gone',
+                    detail: `Article '${title}' is gone`
+                };
+            case 429:
+                return {
+                    status: 429,
+                    type: 'upstream_rate_limited',
+                    detail: 'The wiki is rate limiting the renders. Please try again later',
+                    retryAfter
+                };
+            case 503:
+                return {
+                    status: 503,
+                    type: 'upstream_unavailable',
+                    detail: 'The wiki is unavailable. Please try again later',
+                    retryAfter
+                };
+            default:
+                return {
+                    status: 502,
+                    type: 'upstream_error',
+                    detail: `The wiki responded with HTTP ${error.httpCode}`
+                };
+        }
+    }
+    if (error instanceof errors.ForbiddenError) {
+        return {
+            status: 403,
+            type: 'forbidden_url',
+            detail: `Article '${title}' is not allowed to be rendered`
+        };
+    }
+    if (error instanceof errors.BudgetExceeded) {
+        // the page itself is too heavy, or what it printed to is too large
+        const tooLarge = ['pages', 'output_size'].includes(error.budget);
+        return {
+            status: tooLarge ? 413 : 422,
+            type: 'budget_exceeded',
+            detail: `Rendering '${title}' exceeded the ${error.budget} budget of ${error.limit}`,
+            budget: error.budget
+        };
+    }
+    if (error instanceof errors.QueueFull) {
+        // Pool manager will depool the service once it receives 5xx error
+        // 503 is an expected state, and we should re-pool this server after
+        // render_queue_timeout seconds
+        return {
+            status: 503,
+            type: 'queue_full',
+            detail: 'Queue full. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.QueueTimeout) {
+        // the waiting task got rejected before it got to the rendering phase
+        return {
+            status: 503,
+            type: 'queue_timeout',
+            detail: 'The render waited too long in the queue. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.ProcessingCancelled) {
+        // the render was aborted while the client still waits for it, e.g.
+        // when the service shuts down
+        return {
+            status: 503,
+            type: 'render_cancelled',
+            detail: 'The render was aborted. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.JobTimeout) {
+        // a big render or a service overload, the queue goes on with the next render
+        return {
+            status: 503,
+            type: 'render_timeout',
+            detail: 'The render took too long. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.QueueDraining) {
+        // the service shuts down, another instance will take the render
+        return {
+            status: 503,
+            type: 'queue_draining',
+            detail: 'The service is shutting down. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.QueuePaused) {
+        // the service is under maintenance
+        return {
+            status: 503,
+            type: 'queue_paused',
+            detail: 'The service takes no new renders at the moment. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.JobCancelled) {
+        return {
+            status: 503,
+            type: 'job_cancelled',
+            detail: 'The render was cancelled by an operator. Please try again later',
+            retryAfter
+        };
+    }
+    if (error instanceof errors.JobNotFound) {
+        return {
+            status: 404,
+            type: 'job_not_found',
+            detail: 'The render job was not found'
+        };
+    }
+    if (error instanceof errors.PuppeteerMalformedResponseError) {
+        return {
+            status: 500,
+            type: 'malformed_response',
+            detail: 'The browser returned a malformed response'
+        };
+    }
+    if (error instanceof sUtil.HTTPError) {
+        return {
+            status: error.status,
+            type: error.type || 'internal_error',
+            detail: error.detail,
+            parameter: error.parameter
+        };
+    }
+    return {
+        status: 500,
+        type: 'internal_error',
+        detail: 'Internal Server Error'
+    };
+}
+
+/**
+ * Handle the render error. The client gets an `application/problem+json`
+ * document, unless it went away.
+ * @param {!Application} app the application object
+ * @param {*} error Error code, one of callbackErrors
+ * @param {string} title Article title
+ * @param {Object} res Express response resource
+ * @param {Object} logger Logger object
+ */
+function handleRenderError(app, error, title, res, logger) {
+    if (error instanceof errors.ProcessingCancelled && res.destroyed) {
+        // client aborted request, we don't need to process that
+        return res.end();
+    }
+
+    const problem = describeRenderError(app, error, title);
+    if (error instanceof errors.NavigationError) {
+        if (error.httpCode === 404) {
+            logger.log('info/render', {
+                msg: 'Render failed. Page not found.',
+                id: error.jobId
+            });
+        } else if (error.httpCode >= 500) {
+            app.logger.log(
+                'error/request',
+                {
+                    msg: error.message || error.msg,
+                    code: error.httpCode,
+                    params: error.httpParams,
+                    id: error.jobId
+                });
+        }
+    } else if (error instanceof errors.BudgetExceeded) {
+        app.logger.log(
+            'warn/render',
+            {
+                msg: error.message,
+                budget: error.budget
+            });
+    } else if (problem.status === 500) {
+        // Any other error - log and fail
+        app.logger.log(
+            'error/request',
+            {
+                msg: `Error: ${typeof error === 'object' ? error.message : error}`,
+                trace: error.stack
+            });
+    }
+
+    // the validators describe the document which could not be rendered
+    res.removeHeader('etag');
+    res.removeHeader('last-modified');
+    res.removeHeader('content-language');
+    if (problem.retryAfter) {
+        res.set('Retry-After', problem.retryAfter);
+    }
+    res.status(problem.status).type('application/problem+json').json({
+        status: problem.status,
+        type: problem.type,
+        title: http.STATUS_CODES[problem.status],
+        detail: problem.detail,
+        parameter: problem.parameter,
+        budget: problem.budget,
+        method: res.req && res.req.method,
+        uri: res.req && res.req.originalUrl
+    });
+}
+
+/**
+ * Pushes the job to the queue and waits for the render. The job is cancelled
+ * when the client goes away. Errors, including a full queue, are sent to the
+ * client.
+ * @param {!Application} app the application object
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {QueueItem} queueItem The job to render
+ * @param {string} title Article title
+ * @return {BBPromise<Object|null>} Promise which resolves with the render result,
+ * or null when the error has been sent
+ */
+function queueRender(app, req, res, queueItem, title) {
+    const queueEventMetric = app.metrics.makeMetric({
+        type: 'Counter',
+        name: 'queue.events',
+        prometheus: {
+            name: 'proton_queue_events_total',
+            help: 'queue events'
+        },
+        labels: {
+            names: ['type', 'class'],
+            omitLabelNames: true
+        }
+    });
+
+    // identical renders in flight are shared and do not take a spot in the queue
+    if (!app.queue.canJoin(queueItem) && app.queue.isQueueFull(queueItem.priority)) {
+        handleRenderError(app, new errors.QueueFull(), title, res, app.logger);
+        app.logger.log(
+            'warn/queue',
+            {
+                msg: 'Queue is full, rejecting the request.',
+                id: queueItem.jobId,
+                priority: queueItem.priority,
+                waitingCount: app.queue.countJobsWaiting(),
+                inProgressCount: app.queue.countJobsInProcessing()
+            }
+        );
+        queueEventMetric.increment(1, ['full', queueItem.priority]);
+        return BBPromise.resolve(null);
+    }
+
+    const promise = app.queue.push(queueItem);
+    // The request emits `close` as soon as its body is consumed, only a response
+    // closed before it was sent means that the client went away.
+    res.on('close', () => {
+        if (res.writableFinished) {
+            return;
+        }
+        app.logger.log(
+            'debug/request',
+            {
+                msg: `Connection closed by the client. `,
+                id: queueItem.jobId
+            }
+
+        );
+        promise.cancel();
+    });
+    return promise.then((result) => {
+        if (!result.buffer) {
+            throw new errors.PuppeteerMalformedResponseError();
+        }
+        return result;
+    }).catch((error) => {
+        if (error instanceof errors.NavigationError) {
+            // NavigationErrors from renderer will not have jobId nor params, inject those
+            error = new errors.NavigationError(
+                error.httpCode,
+                error.message,
+                queueItem.jobId,
+                req.params
+            );
+        }
+        handleRenderError(app, error, title, res, app.logger);
+        return null;
+    });
+}
+
+module.exports = {
+    setupRenderService,
+    getReadiness,
+    drainRenderService,
+    closeRenderService,
+    assembleRequest,
+    createRenderer,
+    parseBoolean,
+    parseRevision,
+    resolveVariant,
+    getScheduling,
+    handleRenderError,
+    queueRender
+};
@@ -1,9 +1,13 @@
 'use strict';
 
-const urlParser = require('url');
 const puppeteer = require('puppeteer-core');
 const BBPromise = require('bluebird');
 const errors = require('./errors');
+const { measureHeadings } = require('./headings');
+const { addOutline } = require('./pdfOutline');
+const { addMetadata } = require('./pdfMetadata');
+const { addTableOfContents } = require('./pdfToc');
+const { countPages } = require('./pdfBook');
 
 
 /**
@@ -27,89 +31,242 @@ const DESKTOP_DEVICE_VIEWPORT = {
 };
 
 /**
- * PDF renderer from a URL.
+ * PDF and screenshot renderer from a URL.
  * In order to keep debugging simple and performance predictable each
- * request should create a new instance of the class.
+ * request should create a new instance of the class. The browser is borrowed
+ * from the browser pool and every render uses its own incognito context.
  */
 class Renderer {
     /**
      * Creates a new Renderer instance
-     * @param {Object} puppeteerOptions options used to in starting puppeteer, as defined in
-     * puppeteer documentation. See
-     * https://github.com/GoogleChrome/puppeteer/blob/v0.15.0/docs/api.md#puppeteerlaunchoptions
+     * @param {BrowserPool} browserPool pool of warm browsers to render in
      * @param {Object} pdfOptions pdf options passed to puppeteer, as defined by puppeteer in
      * documentation. See
      * https://github.com/GoogleChrome/puppeteer/blob/v0.13.0/docs/api.md#pagepdfoptions
-     * @param {RegExp} hostBlacklist Blacklist regexp of hosts (domain or domain:non-default-port)
-     *   the browser is not allowed to access.
+     * @param {NetworkPolicy} networkPolicy Decides which URLs the browser is allowed to access
      * @param {string} userAgent User agent to use when requesting the URL
      * @param {boolean} isMobile Render mobile pages
      * @param {Object} logger The logger object (for debugging purposes)
+     * @param {Object} [pageOptions] Page options of the render profile
+     * @param {Object} [pageOptions.viewport] Viewport options overriding the ones
+     * of the mobile or desktop device
+     * @param {string} [pageOptions.css] CSS to add to the page before it is captured
+     * @param {number} [pageOptions.navigationTimeout] Number of milliseconds the
+     * page is allowed to load in
+     * @param {Object} [pageOptions.budget] Limits of the render, which fails with
+     * BudgetExceeded beyond them: `subresources`, the number of requests the page
+     * makes, `transferSize`, the bytes they receive, `pages`, the number of pages of
+     * the PDF, and `outputSize`, the bytes of the PDF or image
      */
-    constructor(puppeteerOptions, pdfOptions, hostBlacklist, userAgent, isMobile, logger) {
+    constructor(browserPool, pdfOptions, networkPolicy, userAgent, isMobile, logger, pageOptions) {
         this.CLOSE_TIMEOUT = 3000;
-        this._puppeteerOptions = puppeteerOptions;
+        this._browserPool = browserPool;
         this._pdfOptions = pdfOptions;
-        this._hostBlacklist = hostBlacklist;
+        this._networkPolicy = networkPolicy;
         this._browser = null;
+        this._context = null;
+        this._onDisconnected = null;
         this._renderAborted = false;
         this._userAgent = userAgent;
         this._isMobile = isMobile;
         this._logger = logger;
+        this._pageOptions = pageOptions || {};
     }
 
     /**
-     * Closes any open browser instance. Additionally to prevent resources leak
-     * script will wait 3 seconds, and if Chromium Process is still present, it will be killed
-     * @return {Promise<Buffer>} Promise which resolves when browser exited or has been killed
+     * Adds the CSS of the render profile to the loaded page
+     * @param {Page} page
+     * @return {BBPromise}
+     * @private
      */
-    _closeBrowser() {
-        return new BBPromise((resolve, reject) => {
-            if (this._browser) {
-                const browser = this._browser;
-                const childProcess = browser.process();
-                let closePromise = null;
+    _addStyles(page) {
+        const css = this._pageOptions.css;
+        if (!css) {
+            return BBPromise.resolve();
+        }
+        return BBPromise.resolve(page.evaluate((content) => {
+            const style = document.createElement('style');
+            style.textContent = content;
+            (document.head || document.documentElement).appendChild(style);
+        }, css));
+    }
 
-                this._browser = undefined;
-                closePromise = BBPromise.resolve(browser.close())
-                .timeout(this.CLOSE_TIMEOUT)
-                .then(null, () => {
-                    this._logger.log('error/render', {
-                        msg: 'Killing chromium process',
-                        childId: childProcess.pid
-                    });
-                    try {
-                        childProcess.kill('SIGKILL');
-                    } catch (err) {
-                        // ignore the exception
-                    }
-                })
-                .finally(resolve);
+    /**
+     * Closes the incognito context and gives the browser back to the pool.
+     * If the context cannot be closed in time, the browser is destroyed instead.
+     * @return {BBPromise} Promise which resolves when the browser is released
+     * @private
+     */
+    _releaseBrowser() {
+        const browser = this._browser;
+        const context = this._context;
 
-                childProcess.on('exit', () => {
-                    // Process left by itself, there is no need to kill it.
-                    // bluebird cancellation does not affect finally handlers
-                    // so no need to resolve here.
-                    closePromise.cancel();
-                });
-            } else {
-                // browser is already closed
-                resolve();
+        this._browser = null;
+        this._context = null;
+        if (!browser) {
+            // browser is already released or destroyed
+            return BBPromise.resolve();
+        }
+        if (this._onDisconnected) {
+            browser.off('disconnected', this._onDisconnected);
+            this._onDisconnected = null;
+        }
+        return BBPromise.resolve(context && context.close())
+        .timeout(this.CLOSE_TIMEOUT)
+        .then(
+            () => this._browserPool.release(browser),
+            () => this._browserPool.destroy(browser)
+        );
+    }
+
+    /**
+     * Checks the URL of the page against the network policy. The posted content
+     * is served by the renderer itself and is not checked.
+     * @param {string} url
+     * @param {Object} [content] Content to render instead of fetching it from `url`
+     * @return {BBPromise} Promise which is rejected with ForbiddenError when the URL is blocked
+     * @private
+     */
+    _checkDocument(url, content) {
+        if (content && url.startsWith(content.url)) {
+            return BBPromise.resolve();
+        }
+        return this._networkPolicy.check(url, 'document').then((reason) => {
+            if (reason) {
+                throw new errors.ForbiddenError(`URL is blocked by the network policy: ${reason}`);
             }
         });
     }
 
     /**
-     * Checks an URL against the configured blacklist.
-     * Also rejects requests which look strange, to be on the paranoid side.
-     * @param {string} url
-     * @return {bool}
+     * Counts the request of the page against the subresource budget. The page
+     * itself and the posted content are not counted.
+     * @param {Page} page
+     * @param {Request} interceptedRequest
+     * @param {Object} counts Requests and bytes of the page so far
+     * @return {BudgetExceeded|null} the error when the budget is exceeded
+     * @private
+     */
+    _countSubresource(page, interceptedRequest, counts) {
+        const budget = this._pageOptions.budget || {};
+        if (!budget.subresources ||
+                (interceptedRequest.isNavigationRequest() &&
+                    interceptedRequest.frame() === page.mainFrame())) {
+            return null;
+        }
+        counts.subresources++;
+        return counts.subresources > budget.subresources ?
+            new errors.BudgetExceeded('subresources', budget.subresources) : null;
+    }
+
+    /**
+     * Counts the bytes the page receives against the transfer size budget
+     * @param {Page} page
+     * @param {Object} counts Requests and bytes of the page so far
+     * @param {Function} exceedBudget Called with the error when the budget is exceeded
+     * @return {BBPromise} Promise which resolves once the page is watched
+     * @private
+     */
+    _watchTransferSize(page, counts, exceedBudget) {
+        const budget = this._pageOptions.budget || {};
+        if (!budget.transferSize) {
+            return BBPromise.resolve();
+        }
+        return BBPromise.resolve(page.target().createCDPSession()).then((session) => {
+            session.on('Network.dataReceived', ({ dataLength, encodedDataLength }) => {
+                // compressed responses are limited by their decoded size
+                counts.transferSize += Math.max(dataLength, encodedDataLength);
+                if (counts.transferSize > budget.transferSize) {
+                    exceedBudget(new errors.BudgetExceeded('transfer_size', budget.transferSize));
+                }
+            });
+            return session.send('Network.enable');
+        });
+    }
+
+    /**
+     * Checks the rendered PDF or image against the output budgets
+     * @param {Buffer} buffer
+     * @param {boolean} isPdf Whether to count the pages of the output
+     * @return {BBPromise<Buffer>} Promise which resolves with the buffer, or is
+     * rejected with BudgetExceeded
+     * @private
+     */
+    _checkOutput(buffer, isPdf) {
+        const budget = this._pageOptions.budget || {};
+        if (budget.outputSize && buffer.length > budget.outputSize) {
+            return BBPromise.reject(new errors.BudgetExceeded('output_size', budget.outputSize));
+        }
+        if (!isPdf || !budget.pages) {
+            return BBPromise.resolve(buffer);
+        }
+        return countPages(buffer).then((pageCount) => {
+            if (pageCount > budget.pages) {
+                throw new errors.BudgetExceeded('pages', budget.pages);
+            }
+            return buffer;
+        });
+    }
+
+    /**
+     * Lets the intercepted request through when the network policy allows it,
+     * and aborts it otherwise
+     * @param {Request} interceptedRequest
+     * @return {BBPromise}
+     * @private
+     */
+    _filterRequest(interceptedRequest) {
+        const resource = interceptedRequest.isNavigationRequest() ? 'document' : 'subresource';
+        return this._networkPolicy.check(interceptedRequest.url(), resource)
+        .then(reason => (
+            reason ? interceptedRequest.abort('accessdenied') : interceptedRequest.continue()
+        ))
+        .catch(() => {
+            // the page got closed in the meantime
+        });
+    }
+
+    /**
+     * Checks the address the response came from against the network policy.
+     * The browser resolves the hosts again after _filterRequest() checked them,
+     * so a host rebound to a private address is only caught here.
+     * @param {Response} response
+     * @return {ForbiddenError|null} the error when the address is blocked
      * @private
      */
-    _isAllowed(url) {
-        const parsedUrl = urlParser.parse(url);
-        return parsedUrl.protocol.match(/(^https?:$|^data:$)/) && !parsedUrl.auth
-            && !parsedUrl.host.match(this._hostBlacklist);
+    _checkRemoteAddress(response) {
+        const remoteAddress = response.remoteAddress();
+        const address = remoteAddress && remoteAddress.ip &&
+            remoteAddress.ip.replace(/^\[(.*)\]$/, '$1');
+        const resource = response.request().isNavigationRequest() ? 'document' : 'subresource';
+        const reason = this._networkPolicy.checkAddress(response.url(), resource, address);
+        return reason ?
+            new errors.ForbiddenError(`URL is blocked by the network policy: ${reason}`) : null;
+    }
+
+    /**
+     * Serves the request from the posted content, if it belongs to it.
+     * Requests under the content URL which are not part of the content
+     * get a 404, so that they never reach the real server.
+     * @param {Request} interceptedRequest
+     * @param {Object} content
+     * @return {Promise|null} null when the request does not belong to the content
+     * @private
+     */
+    _respondWithContent(interceptedRequest, content) {
+        const url = interceptedRequest.url().replace(/[?#].*$/, '');
+        if (!url.startsWith(content.url)) {
+            return null;
+        }
+        const resource = content.resources[url];
+        if (!resource) {
+            return interceptedRequest.respond({ status: 404, body: '' });
+        }
+        return interceptedRequest.respond({
+            status: 200,
+            contentType: resource.contentType,
+            body: resource.body
+        });
     }
 
     /**
@@ -117,36 +274,155 @@ class Renderer {
      * @param {string} url URL to get content from
      * @param {string} format Page format
      * @param {Object} headers List of headers to set for the request
+     * @param {Object} [options] Additional render options
+     * @param {Object} [options.content] Content to render instead of fetching it from
+     * `url`. Has defined `url`, the document URL which is also the base URL of the
+     * content, and `resources`, the documents and assets indexed by their absolute URL.
+     * Each resource has defined contentType and body.
+     * @param {boolean} [options.outline] Whether to add the document outline built
+     * from the headings of the page
+     * @param {Metadata} [options.metadata] Article metadata to write into the PDF
+     * @param {Object} [options.toc] Whether to print the table of contents with
+     * page numbers before the article. Has defined `title`, the title of the table.
      * @return {<BBPromise<Object>>} Promise which resolves with PDF buffer
      */
-    articleToPdf(url, format, headers) {
-        let page;
+    articleToPdf(url, format, headers, options) {
+        const outline = !!(options && options.outline);
+        const metadata = options && options.metadata;
+        const toc = options && options.toc;
 
-        // If the main URL is blacklisted, Chromium will throw an net::ERR_ACCESS_DENIED error,
-        // and it will be hard to figure out reliably what's going on. Better to check here.
-        if (!this._isAllowed(url)) {
-            throw new errors.ForbiddenError('URL is blacklisted');
+        return this._render(url, headers, options, (page, response) => {
+            const pdfOptions = Object.assign({}, this._pdfOptions);
+            const headers = response.headers();
+            const lastModified = headers["last-modified"] || (new Date()).toUTCString();
+
+            if (format) {
+                pdfOptions.format = format;
+            }
+            let measuring = BBPromise.resolve([]);
+            if (toc) {
+                // the headings move behind the table of contents, and the
+                // first print is held to the same budget as the PDF
+                measuring = addTableOfContents(
+                    page, pdfOptions, toc.title, buffer => this._checkOutput(buffer, true)
+                );
+            } else if (outline) {
+                measuring = measureHeadings(page, pdfOptions);
+            }
+            return measuring.then(headings =>
+                BBPromise.resolve(page.pdf(pdfOptions))
+                .then(buffer => this._checkOutput(buffer, true))
+                .then(buffer =>
+                    (outline && headings.length ? addOutline(buffer, headings) : buffer)
+                )
+            ).then(buffer =>
+                (metadata ? addMetadata(buffer, metadata) : buffer)
+            ).then((buffer) => {
+                return {
+                    lastModified,
+                    buffer
+                };
+            });
+        });
+    }
+
+    /**
+     * Renders content from `url` as an image
+     * @param {string} url URL to get content from
+     * @param {Object} headers List of headers to set for the request
+     * @param {Object} [options] Additional render options
+     * @param {Object} [options.content] Content to render instead of fetching it from
+     * `url`, see articleToPdf()
+     * @param {string} [options.imageType] png, jpeg or webp, defaults to png
+     * @param {number} [options.quality] Quality of jpeg and webp images, 0-100
+     * @param {boolean} [options.fullPage] Whether to capture the whole page instead
+     * of the viewport
+     * @param {number} [options.deviceScaleFactor] Device pixels per CSS pixel
+     * @return {<BBPromise<Object>>} Promise which resolves with the image buffer
+     */
+    articleToScreenshot(url, headers, options) {
+        const screenshotOptions = {
+            type: (options && options.imageType) || 'png',
+            fullPage: !!(options && options.fullPage)
+        };
+        if (options && options.quality !== undefined && screenshotOptions.type !== 'png') {
+            screenshotOptions.quality = options.quality;
         }
 
+        return this._render(url, headers, options, (page, response) => {
+            const lastModified = response.headers()['last-modified'] || (new Date()).toUTCString();
+            return BBPromise.resolve(page.screenshot(screenshotOptions))
+            .then(buffer => this._checkOutput(buffer, false))
+            .then((buffer) => {
+                return {
+                    lastModified,
+                    contentType: `image/${screenshotOptions.type}`,
+                    buffer
+                };
+            });
+        });
+    }
+
+    /**
+     * Loads `url` in a page of a pooled browser and captures the result
+     * @param {string} url URL to get content from
+     * @param {Object} headers List of headers to set for the request
+     * @param {Object} [options] Additional render options
+     * @param {Object} [options.content] Content to render instead of fetching it from `url`
+     * @param {number} [options.deviceScaleFactor] Device pixels per CSS pixel
+     * @param {Function} capture Called with the loaded page and the response of
+     * the main document, returns a promise resolving with the render result
+     * @return {<BBPromise<Object>>} Promise which resolves with the render result
+     * @private
+     */
+    _render(url, headers, options, capture) {
+        const content = options && options.content;
+        const deviceScaleFactor = options && options.deviceScaleFactor;
+        const counts = { subresources: 0, transferSize: 0 };
+        let page;
+        let stop;
+        // rejected as soon as the page exceeds its budget or reaches a private
+        // address, which stops the render
+        const stopped = new BBPromise((resolve, reject) => {
+            stop = reject;
+        });
+        stopped.catch(() => null);
+
         return new BBPromise((resolve, reject) => {
-            puppeteer.launch(this._puppeteerOptions).then((browser) => {
+            // If the main URL is blocked, Chromium will throw an net::ERR_ACCESS_DENIED error,
+            // and it will be hard to figure out reliably what's going on. Better to check here.
+            this._checkDocument(url, content)
+            .then(() => this._browserPool.acquire())
+            .then((browser) => {
                 this._browser = browser;
-                this._logger.log(
-                    'debug/render', {
-                        msg: 'Spawned new Chromium instance',
-                        childId: browser.process().pid
-                    });
-                browser.on('disconnected', () => {
+                if (this._renderAborted) {
+                    // render got aborted while waiting for the browser
+                    throw new errors.ProcessingCancelled();
+                }
+                this._onDisconnected = () => {
                     if (this._renderAborted) {
                         reject(new errors.ProcessingCancelled());
                     }
-                });
-                return browser.newPage();
+                };
+                browser.on('disconnected', this._onDisconnected);
+                // cookies, cache and storage must not leak between renders
+                // sharing the same browser
+                return browser.createIncognitoBrowserContext();
+            })
+            .then((context) => {
+                this._context = context;
+                return context.newPage();
             })
             .then((page_) => {
                 page = page_;
+                const viewport = Object.assign(
+                    {},
+                    this._isMobile ? MOBILE_DEVICE_VIEWPORT : DESKTOP_DEVICE_VIEWPORT,
+                    this._pageOptions.viewport
+                );
                 return page.emulate({
-                    viewport: this._isMobile ? MOBILE_DEVICE_VIEWPORT : DESKTOP_DEVICE_VIEWPORT,
+                    viewport: deviceScaleFactor ?
+                        Object.assign({}, viewport, { deviceScaleFactor }) : viewport,
                     userAgent: this._userAgent
                 });
             })
@@ -157,6 +433,7 @@ class Renderer {
                 // injecting malicious HTML content into the page.
                 page.setJavaScriptEnabled(false)
             )
+            .then(() => this._watchTransferSize(page, counts, stop))
             .then(() =>
                 // The requests made by a puppeteered browser for page assets, preloading etc.
                 // are probably sent from the demilitarized zone of the network. Ensure an
@@ -164,26 +441,42 @@ class Renderer {
                 // have access to anything they otherwise couldn't access.
                 page.setRequestInterception(true).then(() =>
                     page.on('request', (interceptedRequest) => {
-                        if (this._isAllowed(interceptedRequest.url())) {
-                            return interceptedRequest.continue();
-                        } else {
-                            this._logger.log(
-                                'warn/render', {
-                                    msg: 'Aborted blacklisted request',
-                                    url: interceptedRequest.url(),
-                                });
-                            return interceptedRequest.abort('accessdenied');
+                        const contentResponse = content &&
+                            this._respondWithContent(interceptedRequest, content);
+                        if (contentResponse) {
+                            return contentResponse;
                         }
+                        const budgetError = this._countSubresource(page, interceptedRequest, counts);
+                        if (budgetError) {
+                            stop(budgetError);
+                            return BBPromise.resolve(interceptedRequest.abort('blockedbyclient'))
+                            .catch(() => null);
+                        }
+                        // the hosts are resolved at the time of every request, so
+                        // that redirects and rebound hosts are checked, too
+                        return this._filterRequest(interceptedRequest);
                     })
                 )
             )
+            .then(() => page.on('response', (response) => {
+                const addressError = this._checkRemoteAddress(response);
+                if (addressError) {
+                    stop(addressError);
+                }
+            }))
             .then(() => {
                 // Remove the Host header, which is now forbidden by Chromium, if set.
                 // https://github.com/puppeteer/puppeteer/issues/4575#issuecomment-511259872
                 delete headers.host;
                 page.setExtraHTTPHeaders(headers);
             })
-            .then(() => page.goto(url, { waitUntil: 'networkidle0' }))
+            .then(() => {
+                const navigationOptions = { waitUntil: 'networkidle0' };
+                if (this._pageOptions.navigationTimeout) {
+                    navigationOptions.timeout = this._pageOptions.navigationTimeout;
+                }
+                return BBPromise.race([page.goto(url, navigationOptions), stopped]);
+            })
             .then((response) => {
                 // sometimes we get an undefined response, which shouldn't happen but because
                 // we do not use bundled chromium we need to handle such situations
@@ -192,22 +485,13 @@ class Renderer {
                 } else if (!response.ok()) {
                     throw new errors.NavigationError(response.status(), response.statusText());
                 }
-                const pdfOptions = Object.assign({}, this._pdfOptions);
-                const headers = response.headers();
-                const lastModified = headers["last-modified"] || (new Date()).toUTCString();
-
-                if (format) {
-                    pdfOptions.format = format;
-                }
-                return page.pdf(pdfOptions).then((buffer) => {
-                    return {
-                        lastModified,
-                        buffer
-                    };
-                });
+                return BBPromise.race([
+                    this._addStyles(page).then(() => capture(page, response)),
+                    stopped
+                ]);
             })
             .then((response) => {
-                this._closeBrowser().finally(() => {
+                this._releaseBrowser().finally(() => {
                     resolve(response);
                 });
             })
@@ -219,12 +503,11 @@ class Renderer {
                 // example abort action closed the browser) it fails with exception:
                 // `Error: Navigation Timeout Exceeded: 30000ms exceeded`
                 // Because there is no other way to tell puppeteer to stop processing and
-                // close the browser - the easiest trick for now, is just to close the
-                // browser and silently ignore all exceptions, exit the queue anb pretend
-                // nothing happened. The event listener [browser.on('disconnected') located couple
-                // lines above will exit the queue. If `this._renderAborted` is true, we can
-                // safely ignore all exceptions.
-                this._closeBrowser().finally(() => {
+                // close the browser - the easiest trick for now, is just to kill the
+                // browser (see abortRender()) and silently ignore all exceptions, exit the queue anb pretend
+                // nothing happened. The queue rejects the aborted job with its own error, so
+                // if `this._renderAborted` is true, we can safely ignore all exceptions.
+                this._releaseBrowser().finally(() => {
                     if (!this._renderAborted) {
                         reject(error);
                     }
@@ -236,12 +519,27 @@ class Renderer {
     /**
      * Aborts the request to create a PDF.
      *
+     * An incognito context cannot be stopped mid-render, so the whole browser is
+     * destroyed and the pool launches a replacement.
      * Should be called after calling articleToPdf
      * @return {<BBPromise<>>} Promise which resolves when browser exited or has been killed
      */
     abortRender() {
+        const browser = this._browser;
+
         this._renderAborted = true;
-        return this._closeBrowser();
+        this._browser = null;
+        this._context = null;
+        if (!browser) {
+            return BBPromise.resolve();
+        }
+        // the render must not fail with ProcessingCancelled, the job was
+        // rejected with the reason of the abort already
+        if (this._onDisconnected) {
+            browser.off('disconnected', this._onDisconnected);
+            this._onDisconnected = null;
+        }
+        return this._browserPool.destroy(browser);
     }
 
     /**
@@ -0,0 +1,156 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const EventEmitter = require('events');
+const errors = require('./errors');
+
+/**
+ * Built-in page the self-test renders. It is a data: URL, so the render does
+ * not depend on the wiki or the network.
+ * @type {string}
+ */
+const SELF_TEST_URL = `data:text/html;charset=utf-8,${encodeURIComponent(
+    '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Self-test</title>' +
+    '</head><body><h1>Self-test</h1><p>This page checks that Chromium renders PDFs.</p>' +
+    '</body></html>'
+)}`;
+
+/**
+ * Describes why the render failed. Most render errors carry no message, so
+ * they are named by their class.
+ * @param {*} err
+ * @return {string}
+ */
+function describeError(err) {
+    if (err instanceof BBPromise.TimeoutError) {
+        return 'The render timed out';
+    }
+    if (err instanceof Error) {
+        return err.message || err.constructor.name;
+    }
+    return String(err);
+}
+
+/**
+ * @typedef {Object} SelfTestResult
+ * @prop {string} status `ok`, `failed`, or `pending` until the first render
+ * finished
+ * @prop {string} [checkedAt] ISO time of the last render
+ * @prop {number} [duration] Number of milliseconds the last render took
+ * @prop {string} [error] Why the last render failed
+ */
+/**
+ * Renders a built-in page to PDF every now and then, so that readiness checks
+ * can tell whether Chromium works without rendering on every check.
+ *
+ * The render borrows a browser from the pool like any other, but it does not
+ * go through the queue. It is skipped while every browser of the pool is busy,
+ * as the renders in progress show that the browsers work. Results are reported
+ * with the `selftest.success` and `selftest.failure` events.
+ */
+class SelfTest extends EventEmitter {
+    /**
+     * @param {Object} testOptions
+     * @param {number} testOptions.interval number of milliseconds between the renders
+     * @param {number} testOptions.timeout number of milliseconds after which the
+     * render is aborted and fails
+     * @param {BrowserPool} browserPool pool the browsers are borrowed from
+     * @param {Function} createRenderer returns a Renderer for the built-in page
+     */
+    constructor(testOptions, browserPool, createRenderer) {
+        super();
+        this._options = testOptions;
+        this._browserPool = browserPool;
+        this._createRenderer = createRenderer;
+        /**
+         * @type {SelfTestResult}
+         * @private
+         */
+        this._result = { status: 'pending' };
+        /**
+         * Render in progress
+         * @type {BBPromise|null}
+         * @private
+         */
+        this._running = null;
+        this._interval = null;
+    }
+
+    /**
+     * Renders the page right away and then every `interval` milliseconds
+     */
+    start() {
+        if (this._interval) {
+            return;
+        }
+        this.run();
+        this._interval = setInterval(() => this.run(), this._options.interval);
+        this._interval.unref();
+    }
+
+    /**
+     * Stops rendering the page
+     */
+    stop() {
+        clearInterval(this._interval);
+        this._interval = null;
+    }
+
+    /**
+     * @return {SelfTestResult} the result of the last render
+     */
+    getResult() {
+        return this._result;
+    }
+
+    /**
+     * Renders the page, unless it is being rendered already or the browsers
+     * are busy
+     * @return {BBPromise<SelfTestResult>}
+     */
+    run() {
+        if (this._running) {
+            return this._running;
+        }
+        const poolState = this._browserPool.getState();
+        if (poolState.busy && !poolState.idle) {
+            return BBPromise.resolve(this._result);
+        }
+        const renderer = this._createRenderer();
+        const startedAt = Date.now();
+        this._running = BBPromise.resolve(renderer.articleToPdf(SELF_TEST_URL, null, {}))
+        .timeout(this._options.timeout)
+        .then((pdfDetails) => {
+            if (!pdfDetails || !pdfDetails.buffer || !pdfDetails.buffer.length) {
+                throw new errors.PuppeteerMalformedResponseError();
+            }
+        })
+        .then(() => {
+            this._result = {
+                status: 'ok',
+                checkedAt: new Date().toISOString(),
+                duration: Date.now() - startedAt
+            };
+            this.emit('selftest.success', this._result);
+        }, (err) => {
+            renderer.abortRender();
+            this._result = {
+                status: 'failed',
+                checkedAt: new Date().toISOString(),
+                duration: Date.now() - startedAt,
+                error: describeError(err)
+            };
+            this.emit('selftest.failure', Object.assign({ err }, this._result));
+        })
+        .then(() => {
+            this._running = null;
+            return this._result;
+        });
+        return this._running;
+    }
+}
+
+module.exports = {
+    SELF_TEST_URL,
+    SelfTest
+};
@@ -36,6 +36,23 @@ class HTTPError extends Error {
     }
 }
 
+/**
+ * Builds the 400 error of an invalid request parameter, which the problem
+ * sent to the client names
+ * @param {string} parameter Name of the invalid parameter
+ * @param {string} detail
+ * @return {HTTPError}
+ */
+function badRequest(parameter, detail) {
+    return new HTTPError({
+        status: 400,
+        type: 'bad_request',
+        title: 'Bad Request',
+        detail,
+        parameter
+    });
+}
+
 /**
  * Generates an object suitable for logging out of a request object
  * @param {!Request} req          the request
@@ -228,10 +245,11 @@ function setErrorHandler(app) {
             type: errObj.type,
             title: errObj.title,
             detail: errObj.detail,
+            parameter: errObj.parameter,
             method: errObj.method,
             uri: errObj.uri
         };
-        res.status(errObj.status).json(respBody);
+        res.status(errObj.status).type('application/problem+json').json(respBody);
     });
 
 }
@@ -274,18 +292,23 @@ function initAndLogRequest(req, app) {
 
 
 /**
- * Returns downloadable PDF Content-Disposition header from title
+ * Returns the Content-Disposition header of the rendered file from title
  * @param {string} title
+ * @param {string} [extension] File name extension, defaults to pdf
+ * @param {string} [disposition] attachment or inline, defaults to attachment
+ * @param {string} [revision] ID of the rendered revision, added to the file name
  */
-function getContentDisposition(title) {
-    const encodedName = `${encodeURIComponent(title)}.pdf`;
+function getContentDisposition(title, extension, disposition, revision) {
+    const name = revision ? `${title}-${revision}` : title;
+    const encodedName = `${encodeURIComponent(name)}.${extension || 'pdf'}`;
     const quotedName = `"${encodedName.replace(/"/g, '\\"')}"`;
-    return `attachment; filename=${quotedName}; filename*=UTF-8''${encodedName}`;
+    return `${disposition || 'attachment'}; filename=${quotedName}; filename*=UTF-8''${encodedName}`;
 }
 
 
 module.exports = {
     HTTPError,
+    badRequest,
     initAndLogRequest,
     wrapRouteHandlers,
     setErrorHandler,
@@ -0,0 +1,199 @@
+'use strict';
+
+
+const crypto = require('crypto');
+const sUtil = require('../lib/util');
+const { buildCacheKey } = require('../lib/pdfCache');
+const { drainRenderService } = require('../lib/renderService');
+
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+
+/**
+ * Verifies that the request carries the admin token configured by the
+ * `admin_token` config option in the `Authorization: Bearer` header
+ * @param {Object} req Express Request object
+ * @throws {HTTPError} when the admin endpoints are disabled or the token does not match
+ */
+function checkAccess(req) {
+    if (!app.conf.admin_token) {
+        throw new sUtil.HTTPError({
+            status: 403,
+            type: 'forbidden',
+            title: 'Forbidden',
+            detail: 'The admin endpoints are disabled'
+        });
+    }
+    const expected = Buffer.from(`Bearer ${app.conf.admin_token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new sUtil.HTTPError({
+            status: 401,
+            type: 'unauthorized',
+            title: 'Unauthorized',
+            detail: 'Invalid admin token'
+        });
+    }
+}
+
+
+/**
+ * Returns the PDF cache
+ * @return {PdfCache}
+ * @throws {HTTPError} when the PDF cache is not configured
+ */
+function getPdfCache() {
+    if (!app.pdfCache) {
+        throw new sUtil.HTTPError({
+            status: 404,
+            type: 'not_found',
+            title: 'Not Found',
+            detail: 'The PDF cache is not configured'
+        });
+    }
+    return app.pdfCache;
+}
+
+
+/**
+ * Purges the PDFs whose cache key starts with the prefix and reports their count
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {string} [prefix]
+ * @return {BBPromise}
+ */
+function purge(req, res, prefix) {
+    checkAccess(req);
+    return getPdfCache().purge(prefix).then((purged) => {
+        app.logger.log('info/cache', { msg: 'PDF cache purged', prefix, purged });
+        res.json({ purged });
+    });
+}
+
+
+/**
+ * DELETE /cache
+ * Removes all PDFs from the PDF cache
+ */
+router.delete('/cache', (req, res) => purge(req, res));
+
+
+/**
+ * DELETE /cache/{domain}
+ * DELETE /cache/{domain}/{title}
+ * Removes the PDFs of the wiki, or of all revisions of the page, from the PDF cache
+ */
+router.delete('/cache/:domain/:title?', (req, res) => {
+    const parts = [req.params.domain];
+    if (req.params.title) {
+        // the cache is keyed by the title as normalized by the MediaWiki API
+        parts.push(req.params.title.replace(/_/g, ' '));
+    }
+    return purge(req, res, `${buildCacheKey(...parts)}/`);
+});
+
+
+/**
+ * Describes the state of the queue
+ * @return {Object} whether the queue is paused or draining, and the waiting
+ * jobs and the jobs in progress
+ */
+function getQueueStatus() {
+    const now = Date.now();
+    return {
+        paused: app.queue.isPaused(),
+        draining: app.queue.isDraining(),
+        jobs: app.queue.listJobs().map(({ job, state }) => ({
+            id: job.jobId,
+            state,
+            priority: job.priority,
+            domain: job.domain,
+            title: job.title,
+            waitTime: (job.processStartedAt || now) - job.addedToTheQueueAt,
+            renderTime: job.processStartedAt ? now - job.processStartedAt : 0
+        }))
+    };
+}
+
+
+/**
+ * GET /queue
+ * Lists the jobs waiting in the render queue and the ones in progress
+ */
+router.get('/queue', (req, res) => {
+    checkAccess(req);
+    res.json(getQueueStatus());
+});
+
+
+/**
+ * DELETE /queue/jobs/{id}
+ * Cancels the job, whether it is waiting or in progress. Its clients get
+ * a `job_cancelled` error.
+ */
+router.delete('/queue/jobs/:id', (req, res) => {
+    checkAccess(req);
+    if (!app.queue.cancel(req.params.id)) {
+        throw new sUtil.HTTPError({
+            status: 404,
+            type: 'job_not_found',
+            title: 'Not Found',
+            detail: 'The job is not in the queue'
+        });
+    }
+    app.logger.log('info/queue', { msg: 'Job cancelled by an operator', id: req.params.id });
+    res.status(204).end();
+});
+
+
+/**
+ * POST /queue/pause
+ * POST /queue/resume
+ * Stops and restarts taking new render jobs, e.g. for maintenance. The jobs
+ * already in the queue are processed.
+ */
+router.post('/queue/:action(pause|resume)', (req, res) => {
+    checkAccess(req);
+    if (req.params.action === 'pause') {
+        app.queue.pause();
+    } else {
+        app.queue.resume();
+    }
+    res.json(getQueueStatus());
+});
+
+
+/**
+ * POST /queue/drain
+ * Stops taking new render jobs for good and aborts the jobs which do not finish
+ * within the `drain_timeout`, e.g. before the service is shut down. Readiness
+ * checks fail from now on.
+ */
+router.post('/queue/drain', (req, res) => {
+    checkAccess(req);
+    drainRenderService(app);
+    app.logger.log('info/queue', { msg: 'Queue drained by an operator' });
+    res.json(getQueueStatus());
+});
+
+
+module.exports = (appObj) => {
+
+    app = appObj;
+
+    return {
+        path: '/_admin',
+        skip_domain: true,
+        router
+    };
+
+};
@@ -1,14 +1,26 @@
 'use strict';
 
-const { Queue } = require('../lib/queue');
 const { QueueItem } = require('../lib/queueItem');
-const { bindQueueLoggerAndMetrics } = require('../lib/queueLogger');
+const { readHtmlBundle } = require('../lib/htmlBundle');
+const { buildContent, getContentSource, loadContent } = require('../lib/contentSource');
+const { buildCacheKey } = require('../lib/pdfCache');
+const { buildHeaderFooter, getMessages } = require('../lib/pdfTemplates');
+const { buildMetadata } = require('../lib/pdfMetadata');
+const { getParameterEnums, validateParams } = require('../lib/paramValidator');
+const { parseLayout, getLayoutKey } = require('../lib/pdfLayout');
+const { DEFAULT_PROFILE, getProfileName, getRenderProfile } = require('../lib/renderProfiles');
+const { countPages, getStartPages, buildFrontMatterHtml, mergeBook } = require('../lib/pdfBook');
+const apiUtil = require('../lib/api-util');
+const {
+    assembleRequest, createRenderer, parseBoolean, parseRevision, resolveVariant, getScheduling,
+    handleRenderError, queueRender
+} = require('../lib/renderService');
 
 const errors = require('../lib/errors');
 const sUtil = require('../lib/util');
-const uuid = require('cassandra-uuid');
-const { Renderer } = require('../lib/renderer');
 const BBPromise = require('bluebird');
+const uuid = require('cassandra-uuid');
+const crypto = require('crypto');
 
 /**
  * The main router object
@@ -21,150 +33,803 @@ const router = sUtil.router();
 let app;
 
 /**
- * Handle the PDF rendering error.
- * @param {*} error Error code, one of callbackErrors
- * @param {string} title Article title
- * @param {Object} res Express response resource
- * @param {Object} logger Logger object
- */
-function handleError(error, title, res, logger) {
-    let status;
-    let detail;
-    if (error instanceof errors.NavigationError) {
-        switch (error.httpCode) {
-            case 404:
-                status = 404;
-                detail = `Article '${title}' not found`;
-                logger.log('info/render', {
-                    msg: 'Render failed. Page not found.',
-                    id: error.jobId
-                });
-                break;
-            default:
-                status = 500;
-                detail = 'Internal Server Error';
-                if (error.httpCode >= 500) {
-                    app.logger.log(
-                        'error/request',
-                        {
-                            msg: error.message || error.msg,
-                            code: error.httpCode,
-                            params: error.httpParams,
-                            id: error.jobId
-                        });
-                }
-
-        }
+ * Allowed values of the enum parameters of the PDF operations, by operation.
+ * They are read from the spec, which is the reference of the request validation.
+ */
+let paramEnums;
 
-    } else if (error instanceof errors.ProcessingCancelled) {
-        // client aborted request, we don't need to process that
-        return res.end();
-    } else if (error instanceof errors.QueueFull || error instanceof errors.QueueTimeout) {
-        status = 503;
-        // queue is busy, the waiting task just got rejected (didn't get to rendering phase)
-        // we need to allow this queue to finish processing all tasks first before handling new job
-        // Pool manager will depool the service once it receives 5xx error
-        // 503 is an expected state, and we should re-pool this server after
-        // render_queue_timeout seconds  which means queue should be empty now
-        // (or picked to render, or rejected because of the timeout)
-        res.set('Retry-After', app.conf.render_queue_timeout || 60);
-        detail = 'Queue full. Please try again later';
-    } else if (error instanceof errors.JobTimeout) {
-        status = 503;
-        // Very similar situation as previously, started task timed out, it could be a big
-        // render or just a service overload, We don't need to stop processing queue as there is
-        // already one spot in the queue rendering queue.
-        detail = 'Queue full. Please try again later';
-    } else {
-        // Any other error - log and fail
-        app.logger.log(
-            'error/request',
-            {
-                msg: `Error: ${typeof error === 'object' ? error.message : error}`,
-                trace: error.stack
-            });
-        status = 500;
-        detail = 'Internal Server Error';
-    }
+/**
+ * Reads the enum parameters of the PDF operations from the spec
+ * @param {Object} spec The OpenAPI spec of the service
+ * @return {Object<string, Object>}
+ */
+function readParamEnums(spec) {
+    return {
+        html: getParameterEnums(spec, '/{domain}/v1/pdf', 'post'),
+        book: getParameterEnums(spec, '/{domain}/v1/pdf/book', 'post'),
+        jobs: getParameterEnums(spec, '/{domain}/v1/pdf/jobs', 'post'),
+        article: getParameterEnums(spec, '/{domain}/v1/pdf/{title}/{format}/{type}', 'get')
+    };
+}
 
-    const errorObject = new sUtil.HTTPError({ status, detail });
-    res.status(errorObject.status).send(errorObject);
+/**
+ * Validates the request parameters of the operation against their enums in the spec
+ * @param {string} operation One of html, book, jobs and article
+ * @param {Object} input Request parameters by name
+ * @throws {sUtil.HTTPError} naming the parameter when a value is not supported
+ */
+function validateRenderParams(operation, input) {
+    validateParams(paramEnums[operation], input);
 }
 
 /**
- * Assembles the MW request object to be used later to retrieve the HTML
- * @param {Object} reqParams the request parameters passed in to the service
- * @return {Object} the assembled request object
+ * Returns the name of the header and footer template to render with, which
+ * is either one of the `pdf_templates` or `none`
+ * @param {string} [requested] Template requested by the client
+ * @param {string} profile Name of the render profile, whose template is used
+ * unless the client requested one
+ * @return {string}
+ * @throws {HTTPError} when the template is unknown
  */
-function assembleRequest(reqParams) {
-    const extraParams = {
-        mobile: reqParams.type === 'mobile',
-        extdomain: reqParams.domain
-    };
+function getTemplateName(requested, profile) {
+    const name = requested || getRenderProfile(app, profile).template ||
+        app.conf.default_pdf_template || 'none';
+    if (name !== 'none' && !{}.hasOwnProperty.call(app.conf.pdf_templates || {}, name)) {
+        throw sUtil.badRequest('template', `Unknown template: ${name}`);
+    }
+    return name;
+}
 
-    if (extraParams.mobile) {
-        // TODO: find a way not to use this ugly ugly hack
-        if (/^(?:www\.)?(?:mediawiki|wikisource|wikidata)\.org$/.test(reqParams.domain)) {
-            extraParams.extdomain = reqParams.domain.replace(
-                /(www\.)?(mediawiki|wikisource|wikidata)/, 'm.$2'
-            );
-        } else {
-            extraParams.extdomain = reqParams.domain.replace(/^([^.]+)/, '$1.m');
-        }
+/**
+ * Returns the PDF options rendering the header and footer of the requested template
+ * @param {Object} params Request parameters, including the template name
+ * @param {Object|null} revision The revision of the article, if known
+ * @return {Object}
+ */
+function getHeaderFooterOptions(params, revision) {
+    if (params.template === 'none') {
+        return {};
     }
+    return buildHeaderFooter(
+        app.conf.pdf_templates[params.template],
+        { domain: params.domain, title: params.title, revision },
+        app.conf.pdf_template_messages
+    );
+}
 
-    const request = app.mw_tpl.expand({
-        request: { params: Object.assign(extraParams, reqParams) }
-    });
+/**
+ * Reads the page layout requested by the client
+ * @param {Object} input Request parameters, including the format
+ * @param {string} profile Name of the render profile the layout overrides
+ * @return {Object} PDF options overriding the configured ones
+ * @throws {HTTPError} when a layout parameter is invalid
+ */
+function getLayout(input, profile) {
+    return parseLayout(
+        input,
+        Object.assign(
+            {},
+            app.conf.pdf_options,
+            getRenderProfile(app, profile).pdfOptions,
+            input.format ? { format: input.format } : {}
+        ),
+        app.conf.pdf_layout_limits
+    );
+}
 
-    if (request.query) {
-        // puppeteer does not support setting the query object,
-        // so we need to add it manually to the URI
-        const query = Object.keys(request.query)
-            .map(item => `${item}=${encodeURIComponent(request.query[item])}`)
-            .join('&');
-        if (/\?/.test(request.uri)) {
-            request.uri = `${request.uri}&${query}`;
-        } else {
-            request.uri = `${request.uri}?${query}`;
-        }
-    }
+/**
+ * Returns the PDF options of the request, the header and footer of the
+ * template and the requested page layout
+ * @param {Object} params Request parameters, including the template name and the layout
+ * @param {Object|null} revision The revision of the article, if known
+ * @return {Object}
+ */
+function getPdfOptions(params, revision) {
+    return Object.assign({}, getHeaderFooterOptions(params, revision), params.layout);
+}
 
-    return request;
+/**
+ * Returns the metadata written into the PDF of the article. The language is
+ * the requested language variant, if any.
+ * @param {Object} params Request parameters
+ * @param {Object|null} revision The revision of the article, if known
+ * @return {Metadata}
+ */
+function getMetadata(params, revision) {
+    return buildMetadata(
+        {
+            domain: params.domain,
+            title: params.title,
+            revision: revision && params.variant ?
+                Object.assign({}, revision, { language: params.variant }) : revision
+        },
+        app.conf.pdf_license
+    );
 }
 
 /**
  * Utility function to build data object passed to the queue
- * @param {Object} req Express Request object
+ * @param {Object} params the request parameters passed in to the service
  * @param {Object} logger The Logger object
+ * @param {Object} [jobOptions]
+ * @param {HtmlBundle} [jobOptions.bundle] HTML document to render instead of the MW page
+ * @param {string} [jobOptions.coalesceKey] Key shared with identical jobs the render
+ * can be shared with
+ * @param {string} [jobOptions.priority] Priority class of the job
+ * @param {string} [jobOptions.fairnessKey] Key the queue takes turns between
+ * @param {Object} [jobOptions.pdfOptions] PDF options overriding the configured ones
+ * @param {Metadata} [jobOptions.metadata] Article metadata to write into the PDF
+ * @param {Content} [jobOptions.source] Content loaded from the source of the
+ * article, the index.php page when not set
  * @return {QueueItem}
  */
-function buildQueueItem(req, logger) {
-    const request = assembleRequest(req.params);
-    const id = `${uuid.TimeUuid.now().toString()}|${req.params.domain}|${req.params.title}`;
-    const renderer = new Renderer(
-        app.conf.puppeteer_options,
-        app.conf.pdf_options,
-        new RegExp(app.conf.host_blacklist ? `^(?:${app.conf.host_blacklist})$` : '(?!)', 'i'),
-        app.conf.user_agent,
-        req.params.type === 'mobile',
-        logger
-    );
+function buildQueueItem(params, logger, jobOptions) {
+    const {
+        bundle, coalesceKey, priority, fairnessKey, pdfOptions, metadata, source
+    } = jobOptions || {};
+    const request = source ? Object.assign({}, source) : assembleRequest(app, params);
+    const id = `${uuid.TimeUuid.now().toString()}|${params.domain}|${params.title}`;
+    const options = { outline: params.outline, metadata, content: request.content };
+    if (params.toc) {
+        options.toc = {
+            title: getMessages(params.domain, app.conf.pdf_template_messages).contents
+        };
+    }
+    if (bundle) {
+        options.content = buildContent(request.uri, bundle);
+        request.uri = options.content.url;
+    }
+    const renderer = createRenderer(app, params, pdfOptions, logger);
     const data = {
         id,
+        domain: params.domain,
+        title: params.title,
         renderer,
         uri: request.uri,
         headers: request.headers,
-        format: req.params.format
+        format: params.format,
+        options,
+        coalesceKey,
+        priority,
+        fairnessKey,
+        executionTimeout: getRenderProfile(app, params.profile).executionTimeout
     };
     return new QueueItem(data);
 }
 
 /**
- * Returns PDF representation of the article
+ * Builds the job rendering the article, which identical requests for the
+ * article and revision join while it is waiting or in progress. Once the
+ * revision is known, the render is pinned to it, so that the PDF matches its
+ * ETag even when the article is edited in the meantime.
+ * @param {Object} params the request parameters passed in to the service
+ * @param {Object|null} revision The revision of the article, if known
+ * @param {Object} scheduling priority and fairnessKey of the job
+ * @return {BBPromise<QueueItem>}
+ */
+function buildArticleQueueItem(params, revision, scheduling) {
+    const renderParams = revision ?
+        Object.assign({}, params, { revision: String(revision.revid) }) : params;
+    // built like the cache key, so that requests only join the render of the
+    // revision their result is cached under
+    const coalesceKey = buildCacheKey(
+        params.domain,
+        revision ? revision.title : params.title,
+        revision ? revision.revid : params.revision || 'latest',
+        ...getRenderVariant(params)
+    );
+    return loadContent(app, renderParams).then(source => buildQueueItem(renderParams, app.logger, Object.assign({
+        coalesceKey,
+        pdfOptions: getPdfOptions(params, revision),
+        metadata: getMetadata(params, revision),
+        source
+    }, scheduling)));
+}
+
+/**
+ * Renders the article and sends the PDF to the client
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {Object} params Render parameters
+ * @param {Object|null} revision The revision of the article, if known
+ * @param {Object} scheduling priority and fairnessKey of the render
+ * @param {string} [cacheKey] Key to store the rendered PDF under in the PDF cache
+ * @return {BBPromise}
+ */
+function renderArticlePdf(req, res, params, revision, scheduling, cacheKey) {
+    return buildArticleQueueItem(params, revision, scheduling).then(
+        queueItem => renderPdf(req, res, queueItem, params, cacheKey),
+        error => handleRenderError(app, error, params.title, res, app.logger)
+    );
+}
+
+/**
+ * Sends the rendered PDF to the client. The Last-Modified header is the
+ * timestamp of the revision when it is set already, so that it matches the
+ * ETag whether the PDF was rendered or cached, and the time of the render
+ * otherwise.
+ * @param {Object} res Express response resource
+ * @param {Object} params Render parameters, with the title and the requested
+ * revision the file is named after, and the language variant of the content
+ * @param {Object} pdfDetails The render result
+ */
+function sendPdf(res, params, pdfDetails) {
+    if (params.variant) {
+        res.setHeader('content-language', params.variant);
+    }
+    const headers = {
+        'content-type': 'application/pdf',
+        'content-disposition': sUtil.getContentDisposition(
+            params.title, 'pdf', 'attachment', params.revision
+        ),
+        'content-length': pdfDetails.buffer.length
+    };
+    if (!res.hasHeader('last-modified')) {
+        headers['last-modified'] = pdfDetails.lastModified;
+    }
+    res.writeHead(200, headers);
+    res.end(pdfDetails.buffer, 'binary');
+}
+
+/**
+ * Builds the job status document returned to the client. Of the render
+ * parameters, only the ones the client names the PDF with are reported.
+ * @param {Object} req Express Request object
+ * @param {StoredJob} stored
+ * @return {Object}
+ */
+function getJobStatus(req, stored) {
+    const job = stored.job;
+    const params = stored.params;
+    const state = app.jobStore.getState(stored);
+    const now = stored.finishedAt || Date.now();
+    const status = {
+        id: stored.id,
+        state,
+        domain: params.domain,
+        title: params.title,
+        format: params.format,
+        type: params.type,
+        revision: params.revision,
+        variant: params.variant,
+        created: new Date(stored.createdAt).toISOString(),
+        waitTime: (job && job.processStartedAt || now) - stored.createdAt,
+        renderTime: job && job.processStartedAt ? now - job.processStartedAt : 0
+    };
+    if (state === 'done') {
+        status.result = `/${req.params.domain}/v1/pdf/jobs/${stored.id}/result`;
+    }
+    return status;
+}
+
+/**
+ * Looks up the job requested by the client
+ * @param {Object} req Express Request object
+ * @return {StoredJob}
+ * @throws {sUtil.HTTPError} when the job is unknown or its result has expired
+ */
+function getStoredJob(req) {
+    const stored = app.jobStore.get(req.params.id);
+    if (!stored || stored.params.domain !== req.params.domain) {
+        throw new sUtil.HTTPError({
+            status: 404,
+            type: 'not_found',
+            title: 'Not found',
+            detail: `Job '${req.params.id}' not found`
+        });
+    }
+    return stored;
+}
+
+/**
+ * POST /jobs
+ * Submits an asynchronous render job. Accepts the title, format and type
+ * parameters, and the oldid of the revision to render, and responds with the
+ * job status document.
+ */
+router.post('/jobs', (req, res) => {
+    const input = Object.assign({}, req.query, req.body);
+    validateRenderParams('jobs', input);
+    const profile = getProfileName(app, req.params.domain, input.profile);
+    const params = {
+        domain: req.params.domain,
+        title: input.title,
+        format: input.format,
+        type: input.type,
+        profile,
+        template: getTemplateName(input.template, profile),
+        outline: parseBoolean('outline', input.outline, app.conf.pdf_outline !== false),
+        toc: parseBoolean('toc', input.toc, app.conf.pdf_toc === true),
+        source: getContentSource(app, input.source),
+        revision: parseRevision(input.oldid),
+        layout: getLayout(input, profile)
+    };
+
+    if (!params.title || typeof params.title !== 'string') {
+        throw sUtil.badRequest('title', 'The title parameter is required');
+    }
+    const scheduling = getScheduling(app, req, 'batch');
+
+    const id = uuid.TimeUuid.now().toString();
+    return resolveVariant(app, params.domain, input.variant).then((variant) => {
+        params.variant = variant;
+        return fetchRevision(params);
+    }).then((revision) => {
+        // the job reports the revision it is pinned to
+        const jobParams = revision ?
+            Object.assign({}, params, { revision: String(revision.revid) }) : params;
+        const cacheKey = revision && app.pdfCache ? getCacheKey(params, revision) : null;
+        return readCachedPdf(cacheKey).then((cached) => {
+            if (cached) {
+                return app.jobStore.addResult(id, jobParams, cached);
+            }
+            return buildArticleQueueItem(params, revision, scheduling).then(queueItem =>
+                app.jobStore.add(id, queueItem, jobParams, cacheKey ?
+                    pdfDetails => storeCachedPdf(cacheKey, pdfDetails, queueItem.jobId) : undefined)
+            );
+        }).then((stored) => {
+            app.logger.log(
+                'debug/request',
+                {
+                    msg: 'Render job submitted.',
+                    id: stored.id
+                }
+            );
+            const status = getJobStatus(req, stored);
+            res.status(202)
+                .set('location', `/${req.params.domain}/v1/pdf/jobs/${id}`)
+                .json(status);
+        }).catch(error => handleRenderError(app, error, params.title, res, app.logger));
+    });
+});
+
+/**
+ * GET /jobs/{id}
+ * Reports the state of an asynchronous render job
+ */
+router.get('/jobs/:id', (req, res) => {
+    res.json(getJobStatus(req, getStoredJob(req)));
+});
+
+/**
+ * GET /jobs/{id}/result
+ * Returns the PDF rendered by an asynchronous render job
+ */
+router.get('/jobs/:id/result', (req, res) => {
+    const stored = getStoredJob(req);
+    const state = app.jobStore.getState(stored);
+
+    if (state === 'failed') {
+        return handleRenderError(app, stored.error, stored.params.title, res, app.logger);
+    }
+    if (state !== 'done') {
+        throw new sUtil.HTTPError({
+            status: 409,
+            type: 'conflict',
+            title: 'Conflict',
+            detail: `Job '${stored.id}' is not finished yet`
+        });
+    }
+    sendPdf(res, stored.params, stored.result);
+});
+
+/**
+ * Pushes the job to the queue and sends the rendered PDF to the client
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {QueueItem} queueItem The job to render
+ * @param {Object} params Render parameters
+ * @param {string} [cacheKey] Key to store the rendered PDF under in the PDF cache
+ * @return {BBPromise}
+ */
+function renderPdf(req, res, queueItem, params, cacheKey) {
+    const pdfSizeMetric = app.metrics.makeMetric({
+        type: 'Gauge',
+        name: 'request.pdf.size',
+        prometheus: {
+            name: 'proton_pdf_size',
+            help: 'proton responses pdf size',
+        },
+    });
+
+    // a joined render is stored by the request which started it
+    const joined = app.queue.canJoin(queueItem);
+    return queueRender(app, req, res, queueItem, params.title).then((pdfDetails) => {
+        if (!pdfDetails) {
+            return;
+        }
+        pdfSizeMetric.set(pdfDetails.buffer.length);
+        if (cacheKey && !joined) {
+            storeCachedPdf(cacheKey, pdfDetails, queueItem.jobId);
+        }
+        sendPdf(res, params, pdfDetails);
+    });
+}
+
+/**
+ * Returns the render options the PDF of the article depends on, which are
+ * part of its cache key and ETag
+ * @param {Object} params Request parameters
+ * @return {Array<string>}
+ */
+function getRenderVariant(params) {
+    return [
+        params.format || 'default',
+        params.type === 'mobile' ? 'mobile' : 'desktop',
+        params.template || 'none',
+        params.outline ? 'outline' : 'plain',
+        params.toc ? 'toc' : 'notoc',
+        params.source || 'index',
+        params.variant || 'base',
+        getLayoutKey(params.layout),
+        params.profile || DEFAULT_PROFILE
+    ];
+}
+
+/**
+ * Builds the strong ETag of the PDF rendered from the revision with the
+ * requested render options
+ * @param {Object} revision The revision of the article
+ * @param {Object} params Request parameters
+ * @return {string}
+ */
+function getEtag(revision, params) {
+    const variant = crypto.createHash('sha1')
+        .update(getRenderVariant(params).join('/'))
+        .digest('hex')
+        .slice(0, 16);
+    return `"${revision.revid}-${variant}"`;
+}
+
+/**
+ * Looks up the requested revision of the article, or its latest revision.
+ * Failing lookups are logged and resolve with null, so that the render
+ * is attempted regardless, unless the network policy blocks the wiki or the
+ * requested revision belongs to another page.
+ * @param {Object} params Render parameters
+ * @return {BBPromise<Object|null>}
+ */
+function fetchRevision(params) {
+    return apiUtil.getRevision(app, params.domain, params.title, params.revision)
+    .catch((error) => {
+        if (error.type === 'forbidden_url' || error.type === 'revision_not_found') {
+            throw error;
+        }
+        app.logger.log(
+            'warn/revision',
+            {
+                msg: `Could not fetch the revision: ${error.message}`,
+                params
+            }
+        );
+        return null;
+    });
+}
+
+/**
+ * Returns the key the PDF of the revision is stored under in the PDF cache
+ * @param {Object} params Render parameters
+ * @param {Object} revision The revision of the article
+ * @return {string}
+ */
+function getCacheKey(params, revision) {
+    return buildCacheKey(
+        params.domain,
+        revision.title,
+        revision.revid,
+        ...getRenderVariant(params)
+    );
+}
+
+/**
+ * Looks up the PDF in the PDF cache. Failing lookups count as misses.
+ * @param {string|null} cacheKey Key of the PDF, null when it is not cached
+ * @return {BBPromise<Object|null>} the cached PDF details, if any
+ */
+function readCachedPdf(cacheKey) {
+    if (!cacheKey) {
+        return BBPromise.resolve(null);
+    }
+    const cacheEventMetric = app.metrics.makeMetric({
+        type: 'Counter',
+        name: 'cache.events',
+        prometheus: {
+            name: 'proton_cache_events_total',
+            help: 'PDF cache events'
+        },
+        labels: {
+            names: ['type'],
+            omitLabelNames: true
+        }
+    });
+    return app.pdfCache.get(cacheKey).catch(() => null).then((cached) => {
+        cacheEventMetric.increment(1, [cached ? 'hit' : 'miss']);
+        return cached;
+    });
+}
+
+/**
+ * Stores the rendered PDF in the PDF cache. Failures are only logged.
+ * @param {string} cacheKey
+ * @param {Object} pdfDetails The render result
+ * @param {string} jobId ID of the job which rendered the PDF
  */
-router.get('/:title/:format(letter|a4|legal)?/:type(mobile|desktop)?', (req, res) => {
-    const title = req.params.title;
+function storeCachedPdf(cacheKey, pdfDetails, jobId) {
+    app.pdfCache.set(cacheKey, pdfDetails).catch((error) => {
+        app.logger.log(
+            'warn/cache',
+            {
+                msg: `Could not store the PDF: ${error.message}`,
+                id: jobId
+            }
+        );
+    });
+}
+
+/**
+ * Sends the PDF from the PDF cache, or renders it and stores it in the cache
+ * @param {Object} req Express Request object
+ * @param {Object} res Express response resource
+ * @param {Object} params Render parameters
+ * @param {Object} revision The revision of the article to render
+ * @param {Object} scheduling priority and fairnessKey of the render
+ * @return {BBPromise}
+ */
+function renderCachedPdf(req, res, params, revision, scheduling) {
+    const cacheKey = getCacheKey(params, revision);
+    return readCachedPdf(cacheKey).then((cached) => {
+        if (cached) {
+            return sendPdf(res, params, cached);
+        }
+        return renderArticlePdf(req, res, params, revision, scheduling, cacheKey);
+    });
+}
+
+/**
+ * Reads and validates the articles of the book from the request body. Every
+ * article is either a title or an object with defined title and optionally
+ * chapter, the heading of the chapter the article starts.
+ * @param {*} articles
+ * @return {Array<Object>} articles with defined title and chapter
+ * @throws {HTTPError} when the list is missing, too long or malformed
+ */
+function getBookArticles(articles) {
+    const maxArticles = app.conf.max_book_articles || 50;
+    const badRequest = detail => sUtil.badRequest('articles', detail);
+    if (!Array.isArray(articles) || !articles.length) {
+        throw badRequest('The articles parameter has to be a non-empty list');
+    }
+    if (articles.length > maxArticles) {
+        throw badRequest(`Books can have at most ${maxArticles} articles`);
+    }
+    return articles.map((article) => {
+        const entry = typeof article === 'string' ? { title: article } : article || {};
+        if (!entry.title || typeof entry.title !== 'string' ||
+            (entry.chapter !== undefined && typeof entry.chapter !== 'string')) {
+            throw badRequest(`Invalid article: ${JSON.stringify(article)}`);
+        }
+        return { title: entry.title, chapter: entry.chapter || null };
+    });
+}
+
+/**
+ * Renders the PDFs of a book one at a time, so that a book takes a single spot
+ * in the queue. Renders can be cancelled when the client goes away.
+ */
+class BookRender {
+    /**
+     * @param {Object} res Express response resource
+     * @param {Object} scheduling priority and fairnessKey of the renders
+     */
+    constructor(res, scheduling) {
+        this._scheduling = scheduling;
+        this._current = null;
+        this._cancelled = false;
+        res.on('close', () => {
+            if (res.writableFinished) {
+                return;
+            }
+            this._cancelled = true;
+            if (this._current) {
+                this._current.cancel();
+            }
+        });
+    }
+
+    /**
+     * Renders the job
+     * @param {QueueItem} queueItem
+     * @return {BBPromise<Buffer>}
+     */
+    render(queueItem) {
+        if (this._cancelled) {
+            return BBPromise.reject(new errors.ProcessingCancelled());
+        }
+        if (!app.queue.canJoin(queueItem) && app.queue.isQueueFull(queueItem.priority)) {
+            return BBPromise.reject(new errors.QueueFull());
+        }
+        this._current = app.queue.push(queueItem);
+        return this._current.then((pdfDetails) => {
+            if (!pdfDetails.buffer) {
+                throw new errors.PuppeteerMalformedResponseError();
+            }
+            return pdfDetails.buffer;
+        }).finally(() => {
+            this._current = null;
+        });
+    }
+
+    /**
+     * Renders the article. Failures are kept with the article instead of
+     * failing the book, unless the client went away.
+     * @param {Object} params Render parameters of the book
+     * @param {Object} article
+     * @return {BBPromise<BookArticle>}
+     */
+    renderArticle(params, article) {
+        const articleParams = Object.assign({}, params, {
+            title: article.title,
+            template: 'none',
+            outline: false
+        });
+        return buildArticleQueueItem(articleParams, null, this._scheduling)
+        .then(queueItem => this.render(queueItem))
+        .then(buffer => countPages(buffer).then(pageCount =>
+            Object.assign({ buffer, pageCount, error: null }, article)
+        ))
+        .catch((error) => {
+            // the whole book is aborted, not just the article
+            if (error instanceof errors.ProcessingCancelled ||
+                    error instanceof errors.JobCancelled ||
+                    error instanceof errors.QueueDraining) {
+                throw error;
+            }
+            app.logger.log(
+                'warn/book',
+                {
+                    msg: `Could not render the book article: ${error.message || error.constructor.name}`,
+                    title: article.title
+                }
+            );
+            return Object.assign({ buffer: null, pageCount: 0, error }, article);
+        });
+    }
+
+    /**
+     * Renders the cover and the table of contents. The table of contents is
+     * rendered again if it does not take the expected number of pages, which
+     * shifts the page numbers it lists.
+     * @param {Object} params Render parameters of the book
+     * @param {Object} book
+     * @param {Array<BookArticle>} articles
+     * @param {number} pageCount Expected number of pages
+     * @param {number} attempts Number of renders left
+     * @return {BBPromise<Buffer>}
+     */
+    renderFrontMatter(params, book, articles, pageCount, attempts) {
+        const html = buildFrontMatterHtml(
+            book,
+            articles,
+            getStartPages(articles, pageCount),
+            getMessages(params.domain, app.conf.pdf_template_messages)
+        );
+        const queueItem = buildQueueItem(params, app.logger, Object.assign({
+            bundle: { html, assets: {} },
+            pdfOptions: params.layout
+        }, this._scheduling));
+        return this.render(queueItem).then(buffer => countPages(buffer).then((actual) => {
+            if (actual === pageCount || attempts <= 1) {
+                return buffer;
+            }
+            return this.renderFrontMatter(params, book, articles, actual, attempts - 1);
+        }));
+    }
+}
+
+/**
+ * POST /book
+ * Returns a single PDF of the listed articles, with a cover page, a table of
+ * contents and continuous page numbers. The body is a JSON object with the
+ * `articles` list, and optionally the `title` of the book. Articles which
+ * could not be rendered are marked in the table of contents and listed in
+ * the `x-failed-articles` header.
+ */
+router.post('/book', (req, res) => {
+    const input = Object.assign({}, req.query, req.body);
+    validateRenderParams('book', input);
+    const profile = getProfileName(app, req.params.domain, input.profile);
+    const params = {
+        domain: req.params.domain,
+        title: input.title || 'Book',
+        format: input.format,
+        type: input.type,
+        profile,
+        outline: false,
+        source: getContentSource(app, input.source),
+        layout: getLayout(input, profile)
+    };
+
+    const articles = getBookArticles(input.articles);
+    const scheduling = getScheduling(app, req, 'batch');
+    const bookRender = new BookRender(res, scheduling);
+    const book = { title: params.title, domain: params.domain };
+
+    return resolveVariant(app, params.domain, input.variant).then((variant) => {
+        params.variant = variant;
+        return BBPromise.mapSeries(articles, article => bookRender.renderArticle(params, article))
+        .then((rendered) => {
+            const failed = rendered.filter(article => !article.buffer);
+            if (failed.length === rendered.length) {
+                // there is no book to send, report why the first article failed
+                return handleRenderError(app, failed[0].error, failed[0].title, res, app.logger);
+            }
+            // a cover and a page of contents, unless the contents turn out longer
+            return bookRender.renderFrontMatter(params, book, rendered, 2, 3)
+            .then(frontMatter => mergeBook(book, frontMatter, rendered))
+            .then((buffer) => {
+                if (failed.length) {
+                    res.setHeader(
+                        'x-failed-articles',
+                        failed.map(article => encodeURIComponent(article.title)).join(',')
+                    );
+                }
+                sendPdf(res, params, { buffer, lastModified: new Date().toUTCString() });
+            });
+        })
+        .catch(error => handleRenderError(app, error, params.title, res, app.logger));
+    });
+});
+
+/**
+ * POST /
+ * Returns PDF representation of the HTML document posted in the request body.
+ * The body is either a `text/html` document or a `multipart/form-data` bundle
+ * with the document in the `html` part and its assets in file parts.
+ */
+router.post('/', (req, res) => {
+    validateRenderParams('html', req.query);
+    const profile = getProfileName(app, req.params.domain, req.query.profile);
+    const params = {
+        domain: req.params.domain,
+        title: req.query.title || 'document',
+        format: req.query.format,
+        type: req.query.type,
+        profile,
+        template: getTemplateName(req.query.template, profile),
+        outline: parseBoolean('outline', req.query.outline, app.conf.pdf_outline !== false),
+        toc: parseBoolean('toc', req.query.toc, app.conf.pdf_toc === true),
+        layout: getLayout(req.query, profile)
+    };
+
+    const scheduling = getScheduling(app, req, 'interactive');
+
+    return readHtmlBundle(req, res, app.conf.max_html_size || 10 * 1024 * 1024)
+    .then((bundle) => {
+        const queueItem = buildQueueItem(params, app.logger, Object.assign({
+            bundle,
+            pdfOptions: getPdfOptions(params, null)
+        }, scheduling));
+        return renderPdf(req, res, queueItem, params);
+    });
+});
+
+/**
+ * Returns PDF representation of the article, of the revision given in the
+ * path or with `oldid` if any, and of the latest revision otherwise. The
+ * content is converted to the language `variant` of the wiki, if requested.
+ * The response carries an ETag of the revision and the render options,
+ * and conditional requests for an unchanged revision are answered with 304.
+ */
+router.get('/:title/:revision(\\d+)?/:format?/:type?', (req, res) => {
+    // the type can follow the title without the format
+    if (req.params.type === undefined && (paramEnums.article.type || []).includes(req.params.format)) {
+        req.params.type = req.params.format;
+        req.params.format = undefined;
+    }
+    validateRenderParams('article', Object.assign({}, req.query, {
+        format: req.params.format,
+        type: req.params.type
+    }));
 
     const requestsTypeMetric = app.metrics.makeMetric({
         type: 'Counter',
@@ -192,100 +857,51 @@ router.get('/:title/:format(letter|a4|legal)?/:type(mobile|desktop)?', (req, res
         },
     });
 
-    const queueEventMetric = app.metrics.makeMetric({
-        type: 'Counter',
-        name: 'queue.events',
-        prometheus: {
-            name: 'proton_queue_events_total',
-            help: 'queue events'
-        },
-        labels: {
-            names: ['type'],
-            omitLabelNames: true
-        }
-    });
-
-    const pdfSizeMetric = app.metrics.makeMetric({
-        type: 'Gauge',
-        name: 'request.pdf.size',
-        prometheus: {
-            name: 'proton_pdf_size',
-            help: 'proton responses pdf size',
-        },
-    });
-
     requestsTypeMetric.increment(1, [req.params.type]);
     requestsFormatMetric.increment(1, [req.params.format || 'default']);
-
-    const queueItem = buildQueueItem(req, app.logger);
-
-    if (app.queue.isQueueFull()) {
-        handleError(new errors.QueueFull(), title, res, app.logger);
-        app.logger.log(
-            'warn/queue',
-            {
-                msg: 'Queue is full, rejecting the request.',
-                id: queueItem.jobId,
-                waitingCount: app.queue.countJobsWaiting(),
-                inProgressCount: app.queue.countJobsInProcessing()
-            }
-        );
-        queueEventMetric.increment(1, ['full']);
-        return BBPromise.resolve();
-    }
-
-    const promise = app.queue.push(queueItem);
-    req.on('close', () => {
-        app.logger.log(
-            'debug/request',
-            {
-                msg: `Connection closed by the client. `,
-                id: queueItem.jobId
-            }
-
-        );
-        promise.cancel();
+    const profile = getProfileName(app, req.params.domain, req.query.profile);
+    const params = Object.assign({
+        profile,
+        template: getTemplateName(req.query.template, profile),
+        outline: parseBoolean('outline', req.query.outline, app.conf.pdf_outline !== false),
+        toc: parseBoolean('toc', req.query.toc, app.conf.pdf_toc === true),
+        source: getContentSource(app, req.query.source)
+    }, req.params, {
+        revision: parseRevision(req.params.revision, req.query.oldid),
+        layout: getLayout(Object.assign({}, req.query, { format: req.params.format }), profile)
     });
-    return promise.then((pdfDetails) => {
-        if (!pdfDetails.buffer) {
-            throw new errors.PuppeteerMalformedResponseError();
+    const scheduling = getScheduling(app, req, 'interactive');
+
+    return resolveVariant(app, params.domain, req.query.variant).then((variant) => {
+        params.variant = variant;
+        return fetchRevision(params);
+    }).then((revision) => {
+        const revid = revision ? revision.revid : params.revision;
+        if (revid) {
+            res.setHeader('x-revision-id', revid);
         }
-        const headers = {
-            'content-type': 'application/pdf',
-            'content-disposition': sUtil.getContentDisposition(title),
-            'content-length': pdfDetails.buffer.length,
-            'last-modified': pdfDetails.lastModified
-        };
-        pdfSizeMetric.set(pdfDetails.buffer.length);
-        res.writeHead(200, headers);
-        res.end(pdfDetails.buffer, 'binary');
-    }).catch((error) => {
-        if (error instanceof errors.NavigationError) {
-            // NavigationErrors from renderer will not have jobId nor params, inject those
-            error = new errors.NavigationError(
-                error.httpCode,
-                error.message,
-                queueItem.jobId,
-                req.params
-            );
+        if (!revision) {
+            // nothing to validate or cache, let the render handle the page
+            return renderArticlePdf(req, res, params, null, scheduling);
+        }
+        // answer revalidations before spending a render on them
+        res.setHeader('etag', getEtag(revision, params));
+        res.setHeader('last-modified', new Date(revision.timestamp).toUTCString());
+        if (req.fresh) {
+            res.status(304).end();
+            return undefined;
         }
-        handleError(error, title, res, app.logger);
+        if (app.pdfCache) {
+            return renderCachedPdf(req, res, params, revision, scheduling);
+        }
+        return renderArticlePdf(req, res, params, revision, scheduling);
     });
 });
 
 module.exports = function(appObj) {
     app = appObj;
+    paramEnums = readParamEnums(app.conf.spec);
 
-    const conf = app.conf;
-    app.queue = new Queue(
-        {
-            concurrency: conf.render_concurrency || 1,
-            queueTimeout: (conf.render_queue_timeout || 60) * 1000,
-            executionTimeout: (conf.render_execution_timeout || 90) * 1000,
-            maxTaskCount: conf.max_render_queue_size || 3
-        }
-    );
-    bindQueueLoggerAndMetrics(app.queue, app.logger, app.metrics);
     // the returned object mounts the routes on
     // /{domain}/vX/mount/path
     return {
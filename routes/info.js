@@ -2,6 +2,7 @@
 
 
 const sUtil = require('../lib/util');
+const { getReadiness } = require('../lib/renderService');
 
 
 /**
@@ -56,6 +57,29 @@ router.get('/version', (req, res) => {
 });
 
 
+/**
+ * GET /health
+ * Reports that the service is alive
+ */
+router.get('/health', (req, res) => {
+
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+
+});
+
+
+/**
+ * GET /ready
+ * Reports whether the service takes new renders, see getReadiness()
+ */
+router.get('/ready', (req, res) => {
+
+    const readiness = getReadiness(app);
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+
+});
+
+
 /**
  * ALL /home
  * Redirects to the service's home page if one is given,
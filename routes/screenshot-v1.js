@@ -0,0 +1,185 @@
+'use strict';
+
+const { QueueItem } = require('../lib/queueItem');
+const { buildCacheKey } = require('../lib/pdfCache');
+const { getContentSource, loadContent } = require('../lib/contentSource');
+const { DEFAULT_PROFILE, getProfileName, getRenderProfile } = require('../lib/renderProfiles');
+const {
+    createRenderer, parseBoolean, parseRevision, resolveVariant, getScheduling, handleRenderError,
+    queueRender
+} = require('../lib/renderService');
+
+const sUtil = require('../lib/util');
+const uuid = require('cassandra-uuid');
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * Image encodings page.screenshot() supports
+ * @type {Array<string>}
+ */
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+
+/**
+ * The largest device scale factor clients can ask for, which bounds the
+ * size of the image
+ * @type {number}
+ */
+const MAX_SCALE = 3;
+
+/**
+ * Parses the number request parameter
+ * @param {string} name Parameter name, used in the error message
+ * @param {string} [value] Value passed by the client
+ * @param {number} min
+ * @param {number} max
+ * @return {number|undefined} undefined when the parameter is not passed
+ * @throws {HTTPError} when the value is not a number between min and max
+ */
+function parseNumber(name, value, min, max) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!/^\d+(?:\.\d+)?$/.test(value) || number < min || number > max) {
+        throw sUtil.badRequest(name, `Invalid ${name}: ${value}, expected a number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Reads and validates the screenshot parameters of the request
+ * @param {Object} req Express Request object
+ * @return {Object} the render parameters and the screenshot options
+ * @throws {HTTPError} when a parameter is invalid
+ */
+function getScreenshotParams(req) {
+    const params = {
+        domain: req.params.domain,
+        title: req.params.title,
+        type: req.query.type,
+        profile: getProfileName(app, req.params.domain, req.query.profile),
+        source: getContentSource(app, req.query.source),
+        revision: parseRevision(req.query.oldid)
+    };
+    if (params.type && !/^(?:mobile|desktop)$/.test(params.type)) {
+        throw sUtil.badRequest('type', `Unsupported type '${params.type}'`);
+    }
+    const imageType = req.query.format || 'png';
+    if (!IMAGE_FORMATS.includes(imageType)) {
+        throw sUtil.badRequest('format', `Unsupported format '${imageType}'`);
+    }
+    const quality = parseNumber('quality', req.query.quality, 0, 100);
+    const screenshot = {
+        imageType,
+        fullPage: parseBoolean('fullpage', req.query.fullpage, false),
+        deviceScaleFactor: parseNumber('scale', req.query.scale, 0.1, MAX_SCALE)
+    };
+    if (quality !== undefined) {
+        screenshot.quality = Math.round(quality);
+    }
+    return { params, screenshot };
+}
+
+/**
+ * Builds the job taking the screenshot of the article, which identical
+ * requests join while it is waiting or in progress
+ * @param {Object} params the request parameters passed in to the service
+ * @param {Object} screenshot The screenshot options
+ * @param {Object} scheduling priority and fairnessKey of the job
+ * @return {BBPromise<QueueItem>}
+ */
+function buildScreenshotQueueItem(params, screenshot, scheduling) {
+    return loadContent(app, params).then(source => new QueueItem({
+        id: `${uuid.TimeUuid.now().toString()}|${params.domain}|${params.title}`,
+        domain: params.domain,
+        title: params.title,
+        renderer: createRenderer(app, params, {}, app.logger),
+        uri: source.uri,
+        headers: source.headers,
+        options: { content: source.content },
+        screenshot,
+        coalesceKey: buildCacheKey(
+            params.domain,
+            params.title,
+            params.revision || 'latest',
+            'screenshot',
+            params.type === 'mobile' ? 'mobile' : 'desktop',
+            params.source,
+            params.variant || 'base',
+            params.profile || DEFAULT_PROFILE,
+            screenshot.imageType,
+            screenshot.quality === undefined ? 'default' : screenshot.quality,
+            screenshot.fullPage ? 'full' : 'viewport',
+            screenshot.deviceScaleFactor || 1
+        ),
+        priority: scheduling.priority,
+        fairnessKey: scheduling.fairnessKey,
+        executionTimeout: getRenderProfile(app, params.profile).executionTimeout
+    }));
+}
+
+/**
+ * GET /{title}
+ * Returns a screenshot of the article with the given title, of the revision
+ * given with `oldid` and in the language `variant` if any. The page is rendered
+ * in the same sandbox as the PDFs.
+ */
+router.get('/:title', (req, res) => {
+    const { params, screenshot } = getScreenshotParams(req);
+    const scheduling = getScheduling(app, req, 'interactive');
+
+    return resolveVariant(app, params.domain, req.query.variant).then((variant) => {
+        params.variant = variant;
+        return buildScreenshotQueueItem(params, screenshot, scheduling).then(
+            queueItem => queueRender(app, req, res, queueItem, params.title),
+            (error) => {
+                handleRenderError(app, error, params.title, res, app.logger);
+                return null;
+            }
+        );
+    }).then((image) => {
+        if (!image) {
+            return;
+        }
+        if (params.revision) {
+            res.setHeader('x-revision-id', params.revision);
+        }
+        if (params.variant) {
+            res.setHeader('content-language', params.variant);
+        }
+        res.writeHead(200, {
+            'content-type': image.contentType,
+            'content-disposition': sUtil.getContentDisposition(
+                params.title,
+                screenshot.imageType === 'jpeg' ? 'jpg' : screenshot.imageType,
+                'inline',
+                params.revision
+            ),
+            'content-length': image.buffer.length,
+            'last-modified': image.lastModified
+        });
+        res.end(image.buffer, 'binary');
+    });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+
+    // the returned object mounts the routes on
+    // /{domain}/vX/mount/path
+    return {
+        path: '/screenshot',
+        api_version: 1,      // must be a number!
+        router
+    };
+
+};
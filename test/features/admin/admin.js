@@ -0,0 +1,159 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const preq = require('preq');
+const assert = require('../../utils/assert.js');
+const server = require('../../utils/server.js');
+const { startWiki } = require('../../utils/wiki.js');
+
+if (!server.stopHookAdded) {
+    server.stopHookAdded = true;
+    after(() => server.stop());
+}
+
+describe('admin', function() {
+    this.timeout(20000);
+
+    const adminUri = `${server.config.uri}_admin/`;
+    const pdfUri = `${server.config.uri}en.wikipedia.org/v1/pdf/`;
+    const headers = { authorization: 'Bearer secret' };
+    let wiki;
+
+    /**
+     * Checks that the request fails with the status and the error type
+     * @param {Promise} promise the request
+     * @param {number} status
+     * @param {string} type
+     * @return {Promise} the error the request failed with
+     */
+    function expectError(promise, status, type) {
+        let rejected = false;
+        return promise.catch((err) => {
+            rejected = true;
+            assert.status(err, status);
+            assert.deepEqual(err.body.type, type, 'Unexpected error type');
+            return err;
+        }).then((err) => {
+            assert.ok(rejected, `Request has to fail with ${status}`);
+            return err;
+        });
+    }
+
+    /**
+     * Requests the PDF of the page, without retrying when it fails with 503
+     * @return {Promise}
+     */
+    function render() {
+        return preq.get({ uri: `${pdfUri}Foo`, retries: 0 });
+    }
+
+    /**
+     * Waits until the queue lists a job
+     * @return {Promise<Object>} the listed job
+     */
+    function waitForJob() {
+        return preq.get({ uri: `${adminUri}queue`, headers }).then((res) => {
+            if (res.body.jobs.length) {
+                return res.body.jobs[0];
+            }
+            return BBPromise.delay(50).then(waitForJob);
+        });
+    }
+
+    before(() => startWiki().then((started) => {
+        wiki = started;
+        return server.start(Object.assign({ admin_token: 'secret' }, wiki.options));
+    }));
+
+    after(() => wiki.close());
+
+    it('rejects requests without the admin token', () => {
+        return expectError(
+            preq.get({ uri: `${adminUri}queue`, headers: { authorization: 'Bearer wrong' } }),
+            401, 'unauthorized'
+        );
+    });
+
+    it('lists the queue', () => {
+        return preq.get({ uri: `${adminUri}queue`, headers }).then((res) => {
+            assert.status(res, 200);
+            assert.deepEqual(res.body, { paused: false, draining: false, jobs: [] });
+        });
+    });
+
+    it('reports the service ready', () => {
+        return preq.get(`${server.config.uri}_info/ready`).then((res) => {
+            assert.status(res, 200);
+            assert.deepEqual(res.body.status, 'ready');
+        });
+    });
+
+    it('does not take render jobs while the queue is paused', () => {
+        return preq.post({ uri: `${adminUri}queue/pause`, headers }).then((res) => {
+            assert.deepEqual(res.body.paused, true);
+            return expectError(
+                preq.post({ uri: `${pdfUri}jobs`, body: { title: 'Foo' } }),
+                503, 'queue_paused'
+            );
+        }).then(() => preq.get(`${server.config.uri}_info/ready`)).then(() => {
+            assert.ok(false, 'Paused service must not be ready');
+        }, (err) => {
+            assert.status(err, 503);
+            return preq.post({ uri: `${adminUri}queue/resume`, headers });
+        }).then((res) => {
+            assert.deepEqual(res.body.paused, false);
+        });
+    });
+
+    it('cancels renders in progress', () => {
+        const rendered = expectError(render(), 503, 'job_cancelled');
+        return waitForJob().then((job) => {
+            assert.deepEqual(job.title, 'Foo');
+            return preq.delete({ uri: `${adminUri}queue/jobs/${encodeURIComponent(job.id)}`, headers });
+        }).then((res) => {
+            assert.status(res, 204);
+            return rendered;
+        });
+    });
+
+    it('does not cancel unknown jobs', () => {
+        return expectError(
+            preq.delete({ uri: `${adminUri}queue/jobs/unknown`, headers }),
+            404, 'job_not_found'
+        );
+    });
+
+    // the queue takes no jobs after the drain, so this test has to come last
+    it('aborts the renders which outlast the drain', () => {
+        const rendered = expectError(render(), 503, 'queue_draining');
+        return waitForJob().then(() => preq.post({ uri: `${adminUri}queue/drain`, headers }))
+        .then((res) => {
+            assert.deepEqual(res.body.draining, true);
+            return rendered;
+        })
+        .then((err) => {
+            assert.ok(err.headers['retry-after'], 'Retry-After has to be set');
+            return expectError(
+                preq.post({ uri: `${pdfUri}jobs`, body: { title: 'Foo' } }),
+                503, 'queue_draining'
+            );
+        })
+        .then(() => preq.get(`${server.config.uri}_info/ready`)).then(() => {
+            assert.ok(false, 'Draining service must not be ready');
+        }, (err) => {
+            assert.status(err, 503);
+            assert.deepEqual(err.body.status, 'draining');
+        });
+    });
+
+    describe('without admin token', () => {
+        before(() => server.start(wiki.options));
+
+        it('disables the admin endpoints', () => {
+            return expectError(
+                preq.get({ uri: `${adminUri}queue`, headers }),
+                403, 'forbidden'
+            );
+        });
+    });
+});
@@ -43,6 +43,17 @@ describe('service information', function() {
         return checkRet('version');
     });
 
+    it('should report the service alive', () => {
+        return preq.get({
+            uri: `${infoUri}health`
+        }).then((res) => {
+            assert.status(res, 200);
+            assert.contentType(res, 'application/json');
+            assert.deepEqual(res.body.status, 'ok');
+            assert.ok(typeof res.body.uptime === 'number', 'No uptime returned!');
+        });
+    });
+
     it('should redirect to the service home page', () => {
         return preq.get({
             uri: `${infoUri}home`,
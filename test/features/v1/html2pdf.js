@@ -1,8 +1,10 @@
 'use strict';
 
+const BBPromise = require('bluebird');
 const preq = require('preq');
 const assert = require('../../utils/assert.js');
 const server = require('../../utils/server.js');
+const { REVISION, startWiki } = require('../../utils/wiki.js');
 
 if (!server.stopHookAdded) {
     server.stopHookAdded = true;
@@ -39,3 +41,156 @@ describe('html2pdf', function() {
     });
 
 });
+
+describe('html2pdf routes', function() {
+    this.timeout(20000);
+
+    const uri = `${server.config.uri}en.wikipedia.org/v1/pdf/`;
+    let wiki;
+
+    /**
+     * Checks that the request fails with the status and the error type
+     * @param {Promise} promise the request
+     * @param {number} status
+     * @param {string} type
+     * @return {Promise}
+     */
+    function expectError(promise, status, type) {
+        let rejected = false;
+        return promise.catch((err) => {
+            rejected = true;
+            assert.status(err, status);
+            assert.deepEqual(err.body.type, type, 'Unexpected error type');
+            return err;
+        }).then((err) => {
+            assert.ok(rejected, `Request has to fail with ${status}`);
+            return err;
+        });
+    }
+
+    before(() => startWiki().then((started) => {
+        wiki = started;
+        return server.start(Object.assign({
+            max_html_size: 100,
+            host_blacklist: 'blocked\\.example\\.org'
+        }, wiki.options));
+    }));
+
+    after(() => wiki.close());
+
+    it('answers revalidations of an unchanged revision with 304', () => {
+        return preq.get({
+            uri: `${uri}Foo`,
+            headers: { 'if-none-match': '*' }
+        }).then((res) => {
+            assert.status(res, 304);
+            assert.deepEqual(res.headers['x-revision-id'], String(REVISION.revid));
+            assert.ok(res.headers.etag, 'ETag has to be set');
+            return preq.get({
+                uri: `${uri}Foo`,
+                headers: { 'if-none-match': res.headers.etag }
+            });
+        }).then((res) => {
+            assert.status(res, 304);
+        });
+    });
+
+    it('does not render revisions under the title of another page', () => {
+        return expectError(
+            preq.get(`${uri}Bar/${REVISION.revid}`),
+            404, 'revision_not_found'
+        );
+    });
+
+    it('does not render pages of blocked wikis', () => {
+        return expectError(
+            preq.get(`${server.config.uri}blocked.example.org/v1/pdf/Foo`),
+            403, 'forbidden_url'
+        );
+    });
+
+    it('rejects posted documents which are not HTML', () => {
+        return expectError(preq.post({
+            uri,
+            headers: { 'content-type': 'application/json' },
+            body: '{}'
+        }), 415, 'unsupported_media_type');
+    });
+
+    it('rejects empty posted documents', () => {
+        return expectError(preq.post({
+            uri,
+            headers: { 'content-type': 'text/html' },
+            body: ''
+        }), 400, 'bad_request');
+    });
+
+    it('rejects posted documents larger than max_html_size', () => {
+        return expectError(preq.post({
+            uri,
+            headers: { 'content-type': 'text/html' },
+            body: `<p>${'a'.repeat(200)}</p>`
+        }), 413, 'too_large');
+    });
+
+    it('names the invalid parameter', () => {
+        const query = {
+            oldid: 'abc',
+            variant: 'xx',
+            priority: 'urgent',
+            template: 'unknown',
+            source: 'unknown'
+        };
+        return BBPromise.each(Object.keys(query), parameter => expectError(
+            preq.get({ uri: `${uri}Foo`, query: { [parameter]: query[parameter] } }),
+            400, 'bad_request'
+        ).then((err) => {
+            assert.deepEqual(err.body.parameter, parameter);
+        }));
+    });
+
+    it('requires the articles of a book', () => {
+        return expectError(preq.post({
+            uri: `${uri}book`,
+            body: { title: 'Book', articles: [] }
+        }), 400, 'bad_request').then((err) => {
+            assert.deepEqual(err.body.parameter, 'articles');
+        });
+    });
+
+    it('requires the title of a render job', () => {
+        return expectError(preq.post({
+            uri: `${uri}jobs`,
+            body: {}
+        }), 400, 'bad_request').then((err) => {
+            assert.deepEqual(err.body.parameter, 'title');
+        });
+    });
+
+    it('reports the state of a render job', () => {
+        return preq.post({
+            uri: `${uri}jobs`,
+            body: { title: 'Foo' }
+        }).then((res) => {
+            assert.status(res, 202);
+            assert.ok(res.headers.location, 'Location has to be set');
+            return preq.get(`${server.config.uri}${res.headers.location.slice(1)}`);
+        }).then((res) => {
+            assert.status(res, 200);
+            assert.ok(['waiting', 'processing'].includes(res.body.state),
+                `Unexpected state ${res.body.state}`);
+            assert.deepEqual(res.body.revision, String(REVISION.revid), 'Job has to be pinned');
+            ['layout', 'source', 'profile', 'template', 'toc'].forEach((field) => {
+                assert.ok(!(field in res.body), `Render state ${field} must not be reported`);
+            });
+            return expectError(
+                preq.get(`${server.config.uri}en.wikipedia.org/v1/pdf/jobs/${res.body.id}/result`),
+                409, 'conflict'
+            );
+        });
+    });
+
+    it('does not find unknown render jobs', () => {
+        return expectError(preq.get(`${uri}jobs/unknown`), 404, 'not_found');
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const http = require('http');
+const assert = require('../utils/assert.js');
+const apiUtil = require('../../lib/api-util');
+const { NetworkPolicy } = require('../../lib/networkPolicy');
+
+describe('api-util', () => {
+    const hosts = {
+        'en.wikipedia.org': ['208.80.154.224'],
+        'internal.example.org': ['10.0.0.1']
+    };
+    const lookup = (hostname, options, callback) => {
+        if (!hosts[hostname]) {
+            callback(new Error(`ENOTFOUND ${hostname}`));
+            return;
+        }
+        callback(null, hosts[hostname].map(address => ({ address, family: 4 })));
+    };
+    const app = {
+        conf: { user_agent: 'proton' },
+        networkPolicy: new NetworkPolicy({
+            blacklist: /^blocked\.example\.org$/,
+            blockPrivateAddresses: true
+        }, lookup),
+        mwapi_tpl: {
+            expand() {
+                // nothing listens there, the request must not be sent
+                return { method: 'get', uri: 'http://127.0.0.1:1/w/api.php' };
+            }
+        }
+    };
+
+    const expectForbidden = (promise) => {
+        let rejected = false;
+        return promise.catch((error) => {
+            rejected = true;
+            assert.ok(error.status === 403, `Expected 403, got ${error.status}`);
+            assert.ok(error.type === 'forbidden_url');
+        }).then(() => assert.ok(rejected, 'Request has to be rejected'));
+    };
+
+    it('does not look up revisions on blocked wikis', () => {
+        return expectForbidden(apiUtil.getRevision(app, 'blocked.example.org', 'Foo'))
+        .then(() => expectForbidden(apiUtil.getRevision(app, 'internal.example.org', 'Foo', '1')))
+        .then(() => expectForbidden(apiUtil.getRevision(app, 'unknown.example.org', 'Foo')));
+    });
+
+    it('does not look up the variants of blocked wikis', () => {
+        return expectForbidden(apiUtil.getLanguageVariants(app, 'blocked.example.org'))
+        .then(() => expectForbidden(apiUtil.getLanguageVariants(app, 'internal.example.org')));
+    });
+
+    it('lets the wikis allowed by the policy through', () => {
+        return apiUtil.checkDomain(app, 'en.wikipedia.org');
+    });
+
+    describe('rebound hosts', function() {
+        this.timeout(5000);
+
+        let server;
+        let requestCount = 0;
+        let lookupCount = 0;
+        const reboundApp = {
+            conf: { user_agent: 'proton' },
+            // the wiki resolves to a public address for the check only
+            networkPolicy: new NetworkPolicy({ blockPrivateAddresses: true }, (hostname, options, callback) => {
+                lookupCount++;
+                const address = lookupCount === 1 ? '208.80.154.224' : '127.0.0.1';
+                callback(null, [{ address, family: 4 }]);
+            })
+        };
+
+        before((done) => {
+            server = http.createServer((req, res) => {
+                requestCount++;
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify({ query: { general: {} } }));
+            }).listen(0, () => {
+                reboundApp.conf.mwapi_req = {
+                    method: 'get',
+                    uri: `http://{{request.params.domain}}:${server.address().port}/w/api.php`,
+                    query: '{{ default(request.query, {}) }}'
+                };
+                apiUtil.setupRequestTemplate(reboundApp);
+                done();
+            });
+        });
+
+        after(done => server.close(done));
+
+        it('does not connect to wikis rebound to private addresses', () => {
+            let rejected = false;
+            return apiUtil.getLanguageVariants(reboundApp, 'rebound.example.org').catch(() => {
+                rejected = true;
+            }).then(() => {
+                assert.ok(rejected, 'Request has to fail');
+                assert.deepEqual(requestCount, 0, 'The wiki must not be reached');
+                assert.ok(lookupCount > 1, 'The host has to be resolved again');
+            });
+        });
+    });
+
+    describe('revisions of other pages', () => {
+        let server;
+        const pages = {
+            Foo: { pageid: 1, title: 'Foo' },
+            Bar: { pageid: 2, title: 'Bar' },
+            'Redirect to Bar': { pageid: 2, title: 'Bar' }
+        };
+        const revisionApp = {
+            conf: { user_agent: 'proton' },
+            networkPolicy: new NetworkPolicy({})
+        };
+
+        before((done) => {
+            server = http.createServer((req, res) => {
+                const query = new URL(req.url, 'http://localhost').searchParams;
+                let page;
+                if (query.get('revids')) {
+                    // revision 20 is a revision of Bar
+                    page = Object.assign({
+                        revisions: [{ revid: 20, timestamp: '2020-01-01T00:00:00Z' }]
+                    }, pages.Bar);
+                } else {
+                    const title = query.get('titles').replace(/_/g, ' ');
+                    page = pages[title] || { title, missing: true };
+                }
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify({ query: { general: { case: 'first-letter' }, pages: [page] } }));
+            }).listen(0, 'localhost', () => {
+                revisionApp.conf.mwapi_req = {
+                    method: 'get',
+                    uri: `http://localhost:${server.address().port}/w/api.php`,
+                    query: '{{ default(request.query, {}) }}'
+                };
+                apiUtil.setupRequestTemplate(revisionApp);
+                done();
+            });
+        });
+
+        after(done => server.close(done));
+
+        it('looks up the revisions of the page', () => {
+            return apiUtil.getRevision(revisionApp, 'en.wikipedia.org', 'bar', '20')
+            .then(revision => assert.deepEqual(revision.title, 'Bar'))
+            .then(() => apiUtil.getRevision(revisionApp, 'en.wikipedia.org', 'Redirect_to_Bar', '20'))
+            .then(revision => assert.deepEqual(revision.revid, 20));
+        });
+
+        it('does not look up revisions of other pages', () => {
+            const expectNotFound = (title) => {
+                let rejected = false;
+                return apiUtil.getRevision(revisionApp, 'en.wikipedia.org', title, '20')
+                .catch((error) => {
+                    rejected = true;
+                    assert.deepEqual(error.status, 404);
+                    assert.deepEqual(error.type, 'revision_not_found');
+                })
+                .then(() => assert.ok(rejected, `Revision of Bar must not be found for ${title}`));
+            };
+            return expectNotFound('Foo').then(() => expectNotFound('Missing'));
+        });
+    });
+});
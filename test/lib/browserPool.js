@@ -0,0 +1,168 @@
+'use strict';
+
+const { BrowserPool } = require('../../lib/browserPool');
+const assert = require('../utils/assert.js');
+const BBPromise = require('bluebird');
+const EventEmitter = require('events');
+
+const defaultPoolOptions = {
+    size: 1,
+    maxRenders: 2,
+    maxMemory: 0
+};
+
+class FakeBrowser extends EventEmitter {
+    constructor(pid) {
+        super();
+        this.closed = false;
+        this._process = new EventEmitter();
+        this._process.pid = pid;
+        this._process.kill = () => {};
+    }
+    process() {
+        return this._process;
+    }
+    close() {
+        this.closed = true;
+        return BBPromise.resolve();
+    }
+}
+
+function createPool(options) {
+    const pool = new BrowserPool(Object.assign({}, defaultPoolOptions, options), {});
+    let launched = 0;
+    pool._launchBrowser = () => BBPromise.resolve(new FakeBrowser(++launched));
+    pool._getMemoryUsage = () => BBPromise.resolve(0);
+    return pool;
+}
+
+describe('BrowserPool', function() {
+    this.timeout(1000);
+
+    it('keeps the browsers warm', (done) => {
+        const pool = createPool({ size: 2 });
+        let launched = 0;
+        pool.on('browser.launched', () => {
+            launched++;
+            if (launched === 2) {
+                const state = pool.getState();
+                assert.ok(state.idle === 2, 'Pool has to keep two idle browsers');
+                assert.ok(state.launching === 0, 'Pool cannot launch more browsers');
+                done();
+            }
+        });
+        pool.start();
+        assert.ok(pool.getState().launching === 2, 'Pool has to launch two browsers');
+    });
+
+    it('reuses released browser', () => {
+        const pool = createPool();
+        let first;
+        return pool.acquire().then((browser) => {
+            first = browser;
+            assert.ok(pool.getState().busy === 1);
+            return pool.release(browser);
+        }).then(() => pool.acquire()).then((browser) => {
+            assert.ok(browser === first, 'Released browser has to be reused');
+        });
+    });
+
+    it('waits for a browser when all of them are busy', () => {
+        const pool = createPool();
+        let waited = false;
+        return pool.acquire().then((browser) => {
+            const waiting = pool.acquire().then((next) => {
+                waited = true;
+                assert.ok(next === browser, 'Waiting renderer has to get the released browser');
+            });
+            return BBPromise.delay(5).then(() => {
+                assert.ok(!waited, 'Renderer has to wait for the busy browser');
+                assert.ok(pool.getState().waiting === 1);
+                return pool.release(browser);
+            }).then(() => waiting);
+        });
+    });
+
+    it('recycles browser after too many renders', () => {
+        const pool = createPool({ maxRenders: 1 });
+        let recycled = null;
+        pool.on('browser.recycled', (event) => {
+            recycled = event.reason;
+        });
+        let first;
+        return pool.acquire().then((browser) => {
+            first = browser;
+            return pool.release(browser);
+        }).then(() => pool.acquire()).then((browser) => {
+            assert.ok(first.closed, 'Old browser has to be closed');
+            assert.ok(browser !== first, 'Fresh browser has to be launched');
+            assert.ok(recycled === 'renders', 'Recycle reason has to be reported');
+        });
+    });
+
+    it('recycles browser using too much memory', () => {
+        const pool = createPool({ maxMemory: 100 });
+        pool._getMemoryUsage = () => BBPromise.resolve(200);
+        let recycled = null;
+        pool.on('browser.recycled', (event) => {
+            recycled = event.reason;
+        });
+        return pool.acquire().then((browser) => {
+            return pool.release(browser).then(() => {
+                assert.ok(browser.closed, 'Browser has to be closed');
+                assert.ok(recycled === 'memory', 'Recycle reason has to be reported');
+            });
+        });
+    });
+
+    it('rejects waiting renderer when browser cannot be launched', () => {
+        const pool = createPool();
+        pool._launchBrowser = () => BBPromise.reject(new Error('no chromium'));
+        return pool.acquire().then(() => {
+            assert.ok(false, 'Acquire should fail');
+        }, (err) => {
+            assert.ok(err.message === 'no chromium', 'Launch error has to be passed');
+        });
+    });
+
+    it('rejects all waiting renderers and relaunches with backoff', () => {
+        const pool = createPool();
+        pool.LAUNCH_RETRY_DELAY = 10;
+        const failures = [];
+        let attempts = 0;
+        pool.on('browser.failure', ({ retryIn }) => failures.push(retryIn));
+        pool._launchBrowser = () => {
+            attempts++;
+            return attempts <= 2 ? BBPromise.reject(new Error('no chromium')) :
+                BBPromise.resolve(new FakeBrowser(attempts));
+        };
+        const rejected = acquire => acquire.then(() => false, err => err.message === 'no chromium');
+        return BBPromise.all([rejected(pool.acquire()), rejected(pool.acquire())])
+        .then((results) => {
+            assert.deepEqual(results, [true, true], 'All waiting renderers have to be rejected');
+            return BBPromise.delay(50);
+        }).then(() => {
+            assert.deepEqual(failures, [10, 20], 'Relaunch delay has to grow');
+            assert.ok(pool.getState().idle === 1, 'Pool has to be refilled without an acquire');
+            assert.ok(pool._launchDelay === 0, 'Relaunch delay has to be reset');
+            return pool.close();
+        });
+    });
+
+    it('kills hung browser', () => {
+        let killed = false;
+        const pool = createPool();
+        const browser = new FakeBrowser(123);
+        // return a promise that never resolves
+        browser.close = () => new Promise(() => null);
+        browser.process().kill = () => {
+            killed = true;
+        };
+        pool.CLOSE_TIMEOUT = 10;
+
+        return pool.destroy(browser).finally(() => {
+            assert.ok(killed, 'Pool has to kill hung browser');
+            return pool.close();
+        });
+    });
+});
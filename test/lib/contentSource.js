@@ -0,0 +1,114 @@
+'use strict';
+
+const http = require('http');
+const assert = require('../utils/assert.js');
+const apiUtil = require('../../lib/api-util');
+const errors = require('../../lib/errors');
+const { NetworkPolicy } = require('../../lib/networkPolicy');
+const { getContentSource, loadContent } = require('../../lib/contentSource');
+
+const PARSOID_HTML = '<!DOCTYPE html>\n' +
+    '<html prefix="dc: http://purl.org/dc/terms/" about="https://de.wikipedia.org/wiki/Foo" ' +
+    'lang="de" dir="ltr"><head><meta charset="utf-8"/>' +
+    '<base href="//de.wikipedia.org/wiki/"/><title>Foo &amp; Bar</title>' +
+    '<link rel="stylesheet" href="/w/load.php?modules=mediawiki.skinning.content.parsoid"/>' +
+    '</head><body class="mw-content-ltr" lang="de" dir="ltr">' +
+    '<section data-mw-section-id="0"><p>Lorem <a href="./Ipsum">ipsum</a></p></section>' +
+    '</body></html>';
+
+describe('contentSource', function() {
+    this.timeout(5000);
+
+    let server;
+    let requests;
+    const app = {
+        conf: {
+            user_agent: 'proton-test',
+            mw_req: {
+                method: 'get',
+                uri: 'https://{{extdomain}}/w/index.php',
+                query: { title: '{{request.params.title}}' }
+            }
+        },
+        networkPolicy: new NetworkPolicy({ blacklist: /^blocked\.example\.org$/ })
+    };
+
+    before((done) => {
+        requests = [];
+        server = http.createServer((req, res) => {
+            requests.push(req);
+            if (/^\/de\.wikipedia\.org\/Foo_%26_Bar(?:\/123)?$/.test(req.url)) {
+                res.setHeader('content-type', 'text/html; charset=utf-8');
+                res.end(PARSOID_HTML);
+            } else {
+                res.statusCode = 404;
+                res.end();
+            }
+        }).listen(0, () => {
+            app.conf.parsoid_req = {
+                method: 'get',
+                uri: `http://localhost:${server.address().port}/{domain}/{title}{/revision}`,
+                headers: { 'user-agent': '{{user-agent}}' }
+            };
+            apiUtil.setupRequestTemplate(app);
+            done();
+        });
+    });
+
+    after(done => server.close(done));
+
+    it('wraps the Parsoid HTML in the print stylesheet', () => {
+        return loadContent(app, { domain: 'de.wikipedia.org', title: 'Foo_&_Bar', source: 'parsoid' })
+        .then((source) => {
+            assert.deepEqual(requests[0].headers['user-agent'], 'proton-test');
+            assert.deepEqual(source.uri, 'https://de.wikipedia.org/_proton/document/');
+            assert.deepEqual(source.headers, {});
+            const html = source.content.resources[source.uri].body;
+            assert.ok(html.includes('<html lang="de" dir="ltr">'));
+            assert.ok(html.includes('<base href="https://de.wikipedia.org/wiki/">'));
+            assert.ok(html.includes('<h1 class="firstHeading">Foo &amp; Bar</h1>'));
+            assert.ok(html.includes('<p>Lorem <a href="./Ipsum">ipsum</a></p>'));
+            assert.ok(html.includes('h1.firstHeading {'), 'The stylesheet has to be inlined');
+            assert.ok(!html.includes('load.php'), 'The skin styles have to be left out');
+        });
+    });
+
+    it('fetches the requested revision', () => {
+        return loadContent(app, {
+            domain: 'de.wikipedia.org', title: 'Foo_&_Bar', revision: '123', source: 'parsoid'
+        }).then((source) => {
+            assert.deepEqual(requests[requests.length - 1].url, '/de.wikipedia.org/Foo_%26_Bar/123');
+            assert.ok(source.content.resources[source.uri].body.includes('Lorem'));
+        });
+    });
+
+    it('reports missing pages as navigation errors', () => {
+        return loadContent(app, { domain: 'de.wikipedia.org', title: 'Missing', source: 'parsoid' })
+        .then(() => {
+            throw new Error('The missing page has to be rejected');
+        }, (error) => {
+            assert.ok(error instanceof errors.NavigationError);
+            assert.deepEqual(error.httpCode, 404);
+        });
+    });
+
+    it('does not fetch the HTML of blocked wikis', () => {
+        const count = requests.length;
+        return loadContent(app, { domain: 'blocked.example.org', title: 'Foo', source: 'parsoid' })
+        .then(() => {
+            throw new Error('The blocked wiki has to be rejected');
+        }, (error) => {
+            assert.ok(error instanceof errors.ForbiddenError);
+            assert.deepEqual(requests.length, count, 'The HTML must not be requested');
+        });
+    });
+
+    it('renders the index.php page by default', () => {
+        assert.deepEqual(getContentSource(app), 'index');
+        return loadContent(app, { domain: 'en.wikipedia.org', title: 'Foo', source: 'index' })
+        .then((source) => {
+            assert.deepEqual(source.uri, 'https://en.wikipedia.org/w/index.php?title=Foo');
+            assert.ok(source.content === undefined);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { getPageBox, measureHeadings } = require('../../lib/headings');
+
+class FakePage {
+    constructor(headings) {
+        this.headings = headings;
+        this.viewports = [];
+        this.media = null;
+        this._viewport = { width: 1280, height: 720 };
+    }
+    viewport() {
+        return this._viewport;
+    }
+    setViewport(viewport) {
+        this.viewports.push(viewport.width);
+        this._viewport = viewport;
+        return Promise.resolve();
+    }
+    emulateMediaType(media) {
+        this.media = media;
+        return Promise.resolve();
+    }
+    evaluate() {
+        return Promise.resolve(this.headings);
+    }
+}
+
+describe('headings', () => {
+    it('computes the page box', () => {
+        const box = getPageBox({
+            format: 'Letter',
+            landscape: true,
+            margin: { top: '0.5in', right: '1cm', bottom: 10 }
+        });
+        assert.deepEqual(box.width, 1056);
+        assert.deepEqual(box.height, 816);
+        assert.deepEqual(box.margin, { top: 48, right: 37.8, bottom: 10, left: 0 });
+    });
+
+    it('assigns the headings to the printed pages', () => {
+        const page = new FakePage([
+            { level: 1, text: 'Foo', offset: 0 },
+            { level: 2, text: 'Bar', offset: 1000 }
+        ]);
+        // 960px high pages with 1in margins, 864px of content
+        const pdfOptions = {
+            width: '8in',
+            height: '10in',
+            margin: { top: '0.5in', right: '1in', bottom: '0.5in', left: '1in' }
+        };
+        return measureHeadings(page, pdfOptions).then((headings) => {
+            assert.deepEqual(page.media, 'print');
+            assert.deepEqual(page.viewports, [576, 1280], 'Page has to be laid out at the content width');
+            assert.deepEqual(headings, [
+                { level: 1, text: 'Foo', pageIndex: 0, top: 48 },
+                { level: 2, text: 'Bar', pageIndex: 1, top: 184 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const http = require('http');
+const express = require('express');
+const preq = require('preq');
+const assert = require('../utils/assert.js');
+const sUtil = require('../../lib/util');
+const { readHtmlBundle } = require('../../lib/htmlBundle');
+
+describe('readHtmlBundle', function() {
+    this.timeout(2000);
+
+    let server;
+    let uri;
+    let bundle;
+
+    before((done) => {
+        const app = express();
+        app.post('/', (req, res) => {
+            readHtmlBundle(req, res, 1024).then((result) => {
+                bundle = result;
+                res.status(200).end();
+            }, (err) => {
+                // like the service, which answers other errors with 500
+                res.status(err instanceof sUtil.HTTPError ? err.status : 500).end();
+            });
+        });
+        server = http.createServer(app).listen(0, 'localhost', () => {
+            uri = `http://localhost:${server.address().port}/`;
+            done();
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        bundle = null;
+    });
+
+    it('reads the HTML document', () => {
+        return preq.post({
+            uri,
+            headers: { 'content-type': 'text/html' },
+            body: '<p>Foo</p>'
+        }).then((res) => {
+            assert.status(res, 200);
+            assert.deepEqual(bundle, { html: '<p>Foo</p>', assets: {} });
+        });
+    });
+
+    it('reads the HTML document with its assets', () => {
+        const boundary = 'proton-test-boundary';
+        const body = [
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="html"',
+            '',
+            '<link rel="stylesheet" href="style.css"><p>Foo</p>',
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="asset"; filename="style.css"',
+            'Content-Type: text/css',
+            '',
+            'p { color: red; }',
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+        return preq.post({
+            uri,
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+            body
+        }).then((res) => {
+            assert.status(res, 200);
+            assert.deepEqual(bundle.html, '<link rel="stylesheet" href="style.css"><p>Foo</p>');
+            assert.deepEqual(bundle.assets['style.css'].contentType, 'text/css');
+            assert.deepEqual(bundle.assets['style.css'].body.toString(), 'p { color: red; }');
+        });
+    });
+
+    it('rejects a request without HTML document', () => {
+        return preq.post({
+            uri,
+            headers: { 'content-type': 'text/html' },
+            body: ' '
+        }).then(() => {
+            assert.ok(false, 'Request should fail');
+        }, (res) => {
+            assert.status(res, 400);
+        });
+    });
+
+    it('rejects a too large HTML document', () => {
+        return preq.post({
+            uri,
+            headers: { 'content-type': 'text/html' },
+            body: 'x'.repeat(2048)
+        }).then(() => {
+            assert.ok(false, 'Request should fail');
+        }, (res) => {
+            assert.status(res, 413);
+        });
+    });
+
+    /**
+     * Posts the HTML document followed by the assets
+     * @param {Array<string>} assets
+     * @return {Promise}
+     */
+    const postAssets = (assets) => {
+        const boundary = 'proton-test-boundary';
+        const parts = ['<p>Foo</p>'].concat(assets).map((body, i) => [
+            `--${boundary}`,
+            i ? `Content-Disposition: form-data; name="asset"; filename="${i}.css"` :
+                'Content-Disposition: form-data; name="html"',
+            '',
+            body
+        ].join('\r\n'));
+        return preq.post({
+            uri,
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+            body: parts.concat([`--${boundary}--`, '']).join('\r\n')
+        });
+    };
+
+    it('rejects assets which are too large together', () => {
+        return postAssets(['a'.repeat(600), 'b'.repeat(600)]).then(() => {
+            assert.ok(false, 'Request should fail');
+        }, (res) => {
+            assert.status(res, 413);
+            assert.ok(bundle === null, 'The bundle must not be read');
+        });
+    });
+
+    it('rejects too many assets', () => {
+        return postAssets(Array(100).fill('')).then(() => {
+            assert.ok(false, 'Request should fail');
+        }, (res) => {
+            assert.status(res, 413);
+        });
+    });
+
+    it('rejects an unsupported media type', () => {
+        return preq.post({
+            uri,
+            headers: { 'content-type': 'application/json' },
+            body: { html: '<p>Foo</p>' }
+        }).then(() => {
+            assert.ok(false, 'Request should fail');
+        }, (res) => {
+            assert.status(res, 415);
+        });
+    });
+});
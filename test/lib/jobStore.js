@@ -0,0 +1,210 @@
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('../utils/assert.js');
+const { Queue } = require('../../lib/queue');
+const { JobStore } = require('../../lib/jobStore');
+const errors = require('../../lib/errors');
+const { QueueItem } = require('../../lib/queueItem');
+const BBPromise = require('bluebird');
+BBPromise.config({
+    cancellation: true
+});
+
+class TestJob extends QueueItem {
+    constructor(name, processTime, succesful) {
+        super({});
+        this.name = name;
+        this.time = processTime;
+        this.succesful = typeof succesful === 'undefined' ? true : succesful;
+    }
+    get jobId() {
+        return this.name;
+    }
+    cancel() {
+        return BBPromise.resolve();
+    }
+    process() {
+        return BBPromise.delay(this.time).then(() => {
+            if (!this.succesful) {
+                throw new Error(this.name);
+            }
+            return this.name;
+        });
+    }
+}
+
+function createStore(storeOptions) {
+    const queue = new Queue({
+        queueTimeout: 500,
+        executionTimeout: 500,
+        concurrency: 1,
+        maxTaskCount: 1
+    });
+    return new JobStore(queue, Object.assign({
+        resultTtl: 1000,
+        maxJobCount: 5
+    }, storeOptions));
+}
+
+describe('JobStore', function() {
+    this.timeout(1000);
+
+    it('reports the job state', () => {
+        const store = createStore();
+        const stored = store.add('one', new TestJob('one', 20), {});
+        assert.ok(store.get('one') === stored);
+        assert.ok(store.getState(stored) === 'processing', 'Job has to be picked up');
+        return BBPromise.delay(50).then(() => {
+            assert.ok(store.getState(stored) === 'done', 'Job has to be done');
+            assert.ok(stored.result === 'one', 'Job result has to be stored');
+        });
+    });
+
+    it('reports the result of the job', () => {
+        const store = createStore();
+        let reported = null;
+        store.add('one', new TestJob('one', 1), {}, (result) => {
+            reported = result;
+        });
+        store.add('two', new TestJob('two', 1, false), {}, () => {
+            assert.ok(false, 'Failed job must not report a result');
+        });
+        return BBPromise.delay(20).then(() => {
+            assert.ok(reported === 'one', 'Result has to be reported');
+        });
+    });
+
+    it('stores jobs whose result is known', () => {
+        const store = createStore({ maxJobCount: 2 });
+        store.add('first', new TestJob('first', 1), {});
+        return BBPromise.delay(10).then(() => {
+            const stored = store.addResult('second', { title: 'Foo' }, 'cached');
+            assert.ok(store.get('second') === stored);
+            assert.ok(store.getState(stored) === 'done', 'Job has to be done');
+            assert.ok(stored.result === 'cached');
+            store.addResult('third', {}, 'cached');
+            assert.ok(store.get('first') === undefined, 'Oldest finished job has to be dropped');
+        });
+    });
+
+    it('keeps jobs waiting while the queue is full', () => {
+        const store = createStore();
+        const first = store.add('first', new TestJob('first', 20), {});
+        const second = store.add('second', new TestJob('second', 20), {});
+        assert.ok(store.getState(first) === 'processing');
+        assert.ok(store.getState(second) === 'waiting', 'Second job has to wait');
+        return BBPromise.delay(100).then(() => {
+            assert.ok(store.getState(first) === 'done');
+            assert.ok(store.getState(second) === 'done', 'Second job has to be rendered');
+        });
+    });
+
+    it('stores the failure', () => {
+        const store = createStore();
+        const stored = store.add('failed', new TestJob('failed', 1, false), {});
+        return BBPromise.delay(20).then(() => {
+            assert.ok(store.getState(stored) === 'failed', 'Job has to fail');
+            assert.ok(stored.error.message === 'failed', 'Job error has to be stored');
+        });
+    });
+
+    it('rejects jobs when too many are unfinished', () => {
+        const store = createStore({ maxJobCount: 1 });
+        store.add('first', new TestJob('first', 20), {});
+        let rejected = false;
+        try {
+            store.add('second', new TestJob('second', 20), {});
+        } catch (error) {
+            rejected = true;
+            assert.ok(error instanceof errors.QueueFull, 'QueueFull error has to be thrown');
+        }
+        assert.ok(rejected, 'Job should be rejected');
+    });
+
+    it('drops the oldest finished job to make room for new ones', () => {
+        const store = createStore({ maxJobCount: 2 });
+        store.add('first', new TestJob('first', 1), {});
+        return BBPromise.delay(10).then(() => {
+            store.add('second', new TestJob('second', 1), {});
+            return BBPromise.delay(10);
+        }).then(() => {
+            store.add('third', new TestJob('third', 20), {});
+            assert.ok(store.get('first') === undefined, 'Oldest finished job has to be dropped');
+            assert.ok(store.getState(store.get('second')) === 'done', 'Newer result has to be kept');
+            assert.ok(store._jobs.size === 2, 'Finished jobs have to count against the limit');
+        });
+    });
+
+    it('takes no new jobs while the queue is paused', () => {
+        const store = createStore();
+        const first = store.add('first', new TestJob('first', 20), {});
+        const second = store.add('second', new TestJob('second', 20), {});
+        store._queue.pause();
+        let rejected = false;
+        try {
+            store.add('third', new TestJob('third', 20), {});
+        } catch (error) {
+            rejected = true;
+            assert.ok(error instanceof errors.QueuePaused, 'QueuePaused error has to be thrown');
+        }
+        assert.ok(rejected, 'Job should be rejected');
+        return BBPromise.delay(50).then(() => {
+            assert.ok(store.getState(first) === 'done');
+            assert.ok(store.getState(second) === 'waiting', 'Second job has to wait');
+            store._queue.resume();
+            return BBPromise.delay(50);
+        }).then(() => {
+            assert.ok(store.getState(second) === 'done', 'Second job has to be rendered');
+        });
+    });
+
+    it('fails the jobs waiting for the queue once it drains', () => {
+        const store = createStore();
+        const first = store.add('first', new TestJob('first', 20), {});
+        const second = store.add('second', new TestJob('second', 20), {});
+        return store._queue.drain(1000).then(() => {
+            assert.ok(store.getState(first) === 'done', 'First job has to be rendered');
+            assert.ok(store.getState(second) === 'failed', 'Second job has to fail');
+            assert.ok(second.error instanceof errors.QueueDraining);
+            let rejected = false;
+            try {
+                store.add('third', new TestJob('third', 20), {});
+            } catch (error) {
+                rejected = true;
+                assert.ok(error instanceof errors.QueueDraining,
+                    'QueueDraining error has to be thrown');
+            }
+            assert.ok(rejected, 'Job should be rejected');
+        });
+    });
+
+    it('fails jobs which keep missing their spot in the queue', () => {
+        let pushCount = 0;
+        const queue = new EventEmitter();
+        Object.assign(queue, {
+            isDraining: () => false,
+            isPaused: () => false,
+            isQueueFull: () => false,
+            push: () => {
+                pushCount++;
+                return BBPromise.reject(new errors.QueueTimeout());
+            }
+        });
+        const store = new JobStore(queue, { resultTtl: 1000, maxJobCount: 5 });
+        const stored = store.add('one', new TestJob('one', 1), {});
+        return BBPromise.delay(20).then(() => {
+            assert.ok(store.getState(stored) === 'failed', 'Job has to fail');
+            assert.ok(stored.error instanceof errors.QueueTimeout);
+            assert.ok(pushCount === 4, `Job has to be retried 3 times, was pushed ${pushCount} times`);
+        });
+    });
+
+    it('forgets finished jobs after the TTL', () => {
+        const store = createStore({ resultTtl: 10 });
+        store.add('one', new TestJob('one', 1), {});
+        return BBPromise.delay(50).then(() => {
+            assert.ok(store.get('one') === undefined, 'Job has to be removed');
+        });
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const assert = require('../utils/assert.js');
+const { getParameterEnums, validateParams } = require('../../lib/paramValidator');
+
+const spec = yaml.load(fs.readFileSync(`${__dirname}/../../spec.yaml`));
+
+describe('getParameterEnums', () => {
+    it('reads the enums of the path and query parameters', () => {
+        const enums = getParameterEnums(spec, '/{domain}/v1/pdf/{title}/{format}/{type}', 'get');
+        assert.deepEqual(enums.format, ['a4', 'letter', 'legal']);
+        assert.deepEqual(enums.type, ['mobile', 'desktop']);
+        assert.deepEqual(enums.priority, ['interactive', 'batch', 'prefetch']);
+        assert.deepEqual(enums.source, ['index', 'parsoid']);
+        assert.deepEqual(enums.title, undefined);
+    });
+
+    it('reads the enums of the JSON request body', () => {
+        const enums = getParameterEnums(spec, '/{domain}/v1/pdf/book', 'post');
+        assert.deepEqual(enums.format, ['a4', 'letter', 'legal']);
+        assert.deepEqual(enums.type, ['mobile', 'desktop']);
+    });
+
+    it('knows no enums of unknown operations', () => {
+        assert.deepEqual(getParameterEnums(spec, '/{domain}/v1/pdf/book', 'get'), {});
+        assert.deepEqual(getParameterEnums({}, '/{domain}/v1/pdf', 'post'), {});
+    });
+});
+
+describe('validateParams', () => {
+    const enums = { format: ['a4', 'letter'], type: ['mobile', 'desktop'] };
+
+    it('accepts the values of the enums and missing parameters', () => {
+        validateParams(enums, { format: 'a4', type: undefined, title: 'Foo' });
+    });
+
+    it('names the invalid parameter', () => {
+        let error;
+        try {
+            validateParams(enums, { format: 'a4', type: 'tablet' });
+        } catch (e) {
+            error = e;
+        }
+        assert.ok(error, 'The type has to be rejected');
+        assert.deepEqual(error.status, 400);
+        assert.deepEqual(error.parameter, 'type');
+        assert.deepEqual(
+            error.detail,
+            'Unsupported type \'tablet\', expected one of: mobile, desktop'
+        );
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const {
+    countPages, getStartPages, buildFrontMatterHtml, mergeBook
+} = require('../../lib/pdfBook');
+
+function createPdf(pageCount) {
+    return PDFDocument.create().then((doc) => {
+        for (let i = 0; i < pageCount; i++) {
+            doc.addPage([600, 800]);
+        }
+        return doc.save();
+    }).then(bytes => Buffer.from(bytes));
+}
+
+function readOutline(doc) {
+    const items = [];
+    let ref = doc.catalog.lookup(PDFName.of('Outlines')).get(PDFName.of('First'));
+    const pages = doc.getPages();
+    const read = (itemRef, depth) => {
+        while (itemRef) {
+            const item = doc.context.lookup(itemRef);
+            const page = item.lookup(PDFName.of('Dest')).get(0);
+            items.push(`${depth}${item.lookup(PDFName.of('Title')).decodeText()}:` +
+                pages.findIndex(p => p.ref === page));
+            read(item.get(PDFName.of('First')), `${depth}-`);
+            itemRef = item.get(PDFName.of('Next'));
+        }
+    };
+    read(ref, '');
+    return items;
+}
+
+const articles = [
+    { title: 'Foo', chapter: 'Part 1', buffer: Buffer.from('a'), pageCount: 3 },
+    { title: 'Bar <b>', chapter: null, buffer: null, pageCount: 0 },
+    { title: 'Baz', chapter: 'Part 2', buffer: null, pageCount: 0 },
+    { title: 'Qux', chapter: 'Part 3', buffer: Buffer.from('b'), pageCount: 2 }
+];
+
+describe('getStartPages', () => {
+    it('numbers the pages continuously after the front matter', () => {
+        assert.deepEqual(getStartPages(articles, 2), [3, null, null, 6]);
+    });
+});
+
+describe('buildFrontMatterHtml', () => {
+    it('lists the chapters and the articles with their page numbers', () => {
+        const html = buildFrontMatterHtml(
+            { title: 'My book', domain: 'en.wikipedia.org' },
+            articles,
+            [3, null, null, 6],
+            { contents: 'Contents', unavailable: 'could not be rendered' }
+        );
+        assert.ok(html.includes('<h1>My book</h1>'));
+        assert.ok(html.includes('<li class="chapter"><span>Part 1</span><span>3</span></li>'));
+        assert.ok(html.includes('<li><span>Foo</span><span>3</span></li>'));
+        assert.ok(html.includes(
+            '<li class="failed"><span>Bar &lt;b&gt; (could not be rendered)</span>'
+        ));
+        assert.ok(
+            html.includes('<li class="chapter"><span>Part 2</span><span></span></li>'),
+            'Chapters without rendered articles have no page number'
+        );
+        assert.ok(html.includes('<li><span>Qux</span><span>6</span></li>'));
+    });
+});
+
+describe('mergeBook', () => {
+    it('merges the front matter and the rendered articles', () => {
+        return Promise.all([createPdf(2), createPdf(3), createPdf(2)])
+        .then(([frontMatter, foo, qux]) => {
+            const book = [
+                Object.assign({}, articles[0], { buffer: foo }),
+                articles[1],
+                articles[2],
+                Object.assign({}, articles[3], { buffer: qux })
+            ];
+            return mergeBook({ title: 'My book' }, frontMatter, book);
+        })
+        .then(buffer => countPages(buffer).then((pageCount) => {
+            assert.deepEqual(pageCount, 7);
+            return PDFDocument.load(buffer);
+        }))
+        .then((doc) => {
+            assert.deepEqual(doc.getTitle(), 'My book');
+            assert.deepEqual(readOutline(doc), [
+                'Part 1:2',
+                '-Foo:2',
+                'Part 3:5',
+                '-Qux:5'
+            ]);
+        });
+    });
+});
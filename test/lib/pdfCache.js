@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BBPromise = require('bluebird');
+const {
+    MemoryCache,
+    FileSystemCache,
+    buildCacheKey
+} = require('../../lib/pdfCache');
+
+function pdf(content) {
+    return {
+        buffer: Buffer.from(content),
+        lastModified: 'Mon, 01 Jan 2018 00:00:00 GMT'
+    };
+}
+
+describe('PdfCache', function() {
+    this.timeout(1000);
+
+    it('returns the stored PDF', () => {
+        const cache = new MemoryCache({ maxSize: 100, maxAge: 1000 });
+        return cache.get('one').then((cached) => {
+            assert.ok(cached === null, 'Cache has to miss');
+            return cache.set('one', pdf('first'));
+        }).then(() => cache.get('one')).then((cached) => {
+            assert.ok(cached.buffer.toString() === 'first');
+            assert.ok(cached.lastModified === 'Mon, 01 Jan 2018 00:00:00 GMT');
+        });
+    });
+
+    it('expires PDFs after the max age', () => {
+        const cache = new MemoryCache({ maxSize: 100, maxAge: 20 });
+        return cache.set('one', pdf('first'))
+        .then(() => BBPromise.delay(30))
+        .then(() => cache.get('one'))
+        .then((cached) => {
+            assert.ok(cached === null, 'PDF has to expire');
+            assert.ok(cache._size === 0, 'Expired PDF has to be removed');
+        });
+    });
+
+    it('evicts the least recently used PDFs', () => {
+        const cache = new MemoryCache({ maxSize: 10, maxAge: 1000 });
+        return cache.set('one', pdf('1111'))
+        .then(() => cache.set('two', pdf('2222')))
+        .then(() => cache.get('one'))
+        .then(() => cache.set('three', pdf('3333')))
+        .then(() => BBPromise.all([cache.get('one'), cache.get('two'), cache.get('three')]))
+        .then((cached) => {
+            assert.ok(cached[0] !== null, 'Recently used PDF has to be kept');
+            assert.ok(cached[1] === null, 'Least recently used PDF has to be evicted');
+            assert.ok(cached[2] !== null, 'New PDF has to be stored');
+        });
+    });
+
+    it('does not store PDFs larger than the cache', () => {
+        const cache = new MemoryCache({ maxSize: 4, maxAge: 1000 });
+        return cache.set('one', pdf('too large'))
+        .then(() => cache.get('one'))
+        .then(cached => assert.ok(cached === null));
+    });
+
+    it('purges PDFs by key prefix', () => {
+        const cache = new MemoryCache({ maxSize: 100, maxAge: 1000 });
+        const foo = buildCacheKey('en.wikipedia.org', 'Foo', 1, 'a4', 'desktop');
+        const fooBar = buildCacheKey('en.wikipedia.org', 'Foo bar', 2, 'a4', 'desktop');
+        return cache.set(foo, pdf('foo'))
+        .then(() => cache.set(fooBar, pdf('foo bar')))
+        .then(() => cache.purge(`${buildCacheKey('en.wikipedia.org', 'Foo')}/`))
+        .then((purged) => {
+            assert.ok(purged === 1, 'Only the PDF of the page has to be purged');
+            return BBPromise.all([cache.get(foo), cache.get(fooBar)]);
+        })
+        .then((cached) => {
+            assert.ok(cached[0] === null);
+            assert.ok(cached[1] !== null);
+            return cache.purge();
+        })
+        .then(purged => assert.ok(purged === 1, 'All PDFs have to be purged'));
+    });
+
+    it('counts a PDF stored concurrently under the same key once', () => {
+        class SlowCache extends MemoryCache {
+            _write(key, buffer) {
+                return BBPromise.delay(10).then(() => super._write(key, buffer));
+            }
+        }
+        const cache = new SlowCache({ maxSize: 100, maxAge: 1000 });
+        return BBPromise.all([
+            cache.set('one', pdf('1'.repeat(40))),
+            cache.set('one', pdf('2'.repeat(40)))
+        ])
+        .then(() => {
+            assert.ok(cache._size === 40, 'Replaced PDF has to be subtracted');
+            return cache.set('two', pdf('3'.repeat(40)));
+        })
+        .then(() => BBPromise.all([cache.get('one'), cache.get('two')]))
+        .then((cached) => {
+            assert.ok(cached[0].buffer.toString() === '2'.repeat(40), 'Last stored PDF has to be kept');
+            assert.ok(cached[1] !== null, 'Cache has to keep storing PDFs');
+        });
+    });
+
+    it('stops evicting when the index is empty', () => {
+        const cache = new MemoryCache({ maxSize: 10, maxAge: 1000 });
+        cache._size = 20;
+        return cache._evict().then(() => assert.ok(cache._index.size === 0));
+    });
+
+    describe('FileSystemCache', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proton-cache-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('rebuilds the index from the cache directory', () => {
+            const options = { path: dir, maxSize: 100, maxAge: 1000 };
+            const cache = new FileSystemCache(options);
+            return cache.set('one', pdf('first'))
+            .then(() => cache.set('two', pdf('second')))
+            .then(() => cache.purge('two'))
+            .then(() => {
+                const restarted = new FileSystemCache(options);
+                return BBPromise.all([restarted.get('one'), restarted.get('two')]);
+            })
+            .then((cached) => {
+                assert.ok(cached[0].buffer.toString() === 'first', 'Stored PDF has to be found');
+                assert.ok(cached[1] === null, 'Purged PDF has to be gone');
+                assert.ok(fs.readdirSync(dir).length === 2, 'Purged files have to be removed');
+            });
+        });
+    });
+});
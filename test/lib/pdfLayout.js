@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { parseLayout, getLayoutKey } = require('../../lib/pdfLayout');
+
+describe('parseLayout', () => {
+    const baseOptions = {
+        format: 'a4',
+        landscape: false,
+        margin: { top: '0.5in', right: '0.5in', bottom: '0.75in', left: '0.5in' }
+    };
+
+    const rejects = (input, parameter, limits) => {
+        let error;
+        try {
+            parseLayout(input, baseOptions, limits);
+        } catch (e) {
+            error = e;
+        }
+        assert.ok(error, `${JSON.stringify(input)} has to be rejected`);
+        assert.deepEqual(error.status, 400);
+        assert.deepEqual(error.parameter, parameter);
+    };
+
+    it('leaves the configured layout alone unless requested', () => {
+        assert.deepEqual(parseLayout({}, baseOptions), {});
+        assert.deepEqual(parseLayout({ format: 'a4', margin: '' }, baseOptions), {});
+    });
+
+    it('reads the orientation, scale and background', () => {
+        assert.deepEqual(parseLayout({
+            landscape: 'true', scale: '0.8', printbackground: 'false'
+        }, baseOptions), {
+            landscape: true, scale: 0.8, printBackground: false
+        });
+    });
+
+    it('reads a custom page size', () => {
+        assert.deepEqual(parseLayout({ width: '148mm', height: '210MM' }, baseOptions), {
+            width: '148mm', height: '210mm', format: undefined
+        });
+    });
+
+    it('takes the missing side from the configured paper', () => {
+        assert.deepEqual(parseLayout({ width: '6in' }, baseOptions), {
+            width: '6in', height: '1123px', format: undefined
+        });
+    });
+
+    it('reads the margin shorthand', () => {
+        assert.deepEqual(parseLayout({ margin: '1cm' }, baseOptions).margin, {
+            top: '1cm', right: '1cm', bottom: '1cm', left: '1cm'
+        });
+        assert.deepEqual(parseLayout({ margin: '1in,0' }, baseOptions).margin, {
+            top: '1in', right: '0px', bottom: '1in', left: '0px'
+        });
+        assert.deepEqual(parseLayout({ margin: '10mm 20mm 30mm' }, baseOptions).margin, {
+            top: '10mm', right: '20mm', bottom: '30mm', left: '20mm'
+        });
+    });
+
+    it('rejects invalid values', () => {
+        rejects({ landscape: 'maybe' }, 'landscape');
+        rejects({ width: '5' }, 'width');
+        rejects({ height: '5em' }, 'height');
+        rejects({ margin: '1in 1in 1in 1in 1in' }, 'margin');
+        rejects({ margin: '-1in' }, 'margin');
+        rejects({ scale: 'big' }, 'scale');
+    });
+
+    it('enforces the limits', () => {
+        rejects({ width: '100in' }, 'width');
+        rejects({ height: '1in' }, 'height');
+        rejects({ margin: '5in' }, 'margin');
+        rejects({ scale: '5' }, 'scale');
+        rejects({ scale: '0.05' }, 'scale');
+        rejects({ width: '30in' }, 'width', { max_page_size: '20in' });
+    });
+
+    it('rejects a custom size combined with a format', () => {
+        rejects({ format: 'letter', width: '5in' }, 'width');
+        rejects({ format: 'letter', height: '5in' }, 'height');
+    });
+
+    it('leaves room for the content', () => {
+        rejects({ width: '4in', margin: '2in' }, 'margin');
+        rejects({ height: '2.5in', margin: '1in' }, 'margin');
+        assert.ok(parseLayout({ width: '4in', margin: '1in' }, baseOptions));
+    });
+});
+
+describe('getLayoutKey', () => {
+    it('describes the layout in a stable order', () => {
+        assert.deepEqual(getLayoutKey(undefined), 'layout');
+        assert.deepEqual(getLayoutKey({ format: undefined }), 'layout');
+        assert.deepEqual(getLayoutKey({
+            width: '148mm',
+            landscape: true,
+            format: undefined,
+            margin: { left: '1cm', top: '1cm', right: '2cm', bottom: '1cm' }
+        }), 'landscape=true;margin=1cm 2cm 1cm 1cm;width=148mm');
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { buildMetadata, addMetadata } = require('../../lib/pdfMetadata');
+
+const revision = {
+    title: 'Foo bar',
+    revid: 123,
+    timestamp: '2020-03-01T12:00:00Z',
+    displayTitle: 'Foo <bar> & Co',
+    url: 'https://de.wikipedia.org/wiki/Foo_bar',
+    language: 'de',
+    siteName: 'Wikipedia',
+    license: {
+        text: 'Creative Commons „Namensnennung – Weitergabe unter gleichen Bedingungen“ 4.0',
+        url: 'https://creativecommons.org/licenses/by-sa/4.0/deed.de'
+    }
+};
+
+function createPdf() {
+    return PDFDocument.create().then((doc) => {
+        doc.addPage([600, 800]);
+        doc.setProducer('Skia/PDF');
+        return doc.save();
+    }).then(bytes => Buffer.from(bytes));
+}
+
+function readInfo(doc, key) {
+    return doc.getInfoDict().lookup(PDFName.of(key)).decodeText();
+}
+
+describe('addMetadata', () => {
+    it('writes the metadata into the information dictionary and XMP', () => {
+        const metadata = buildMetadata({ domain: 'de.wikipedia.org', title: 'Foo_bar', revision });
+        return createPdf()
+        .then(buffer => addMetadata(buffer, metadata))
+        .then(buffer => PDFDocument.load(buffer, { updateMetadata: false }).then((doc) => {
+            assert.deepEqual(doc.getTitle(), 'Foo <bar> & Co');
+            assert.deepEqual(doc.getAuthor(), 'Wikipedia');
+            assert.deepEqual(doc.getCreator(), 'Wikipedia');
+            assert.deepEqual(doc.getProducer(), 'Skia/PDF', 'The producer has to be kept');
+            assert.deepEqual(doc.catalog.lookup(PDFName.of('Lang')).decodeText(), 'de');
+            assert.deepEqual(readInfo(doc, 'Revision'), '123');
+            assert.deepEqual(readInfo(doc, 'Source'), revision.url);
+            assert.deepEqual(readInfo(doc, 'License'), revision.license.text);
+            assert.deepEqual(readInfo(doc, 'LicenseURL'), revision.license.url);
+
+            const stream = doc.catalog.lookup(PDFName.of('Metadata'));
+            assert.deepEqual(stream.dict.get(PDFName.of('Subtype')), PDFName.of('XML'));
+            const xmp = Buffer.from(stream.getContents()).toString('utf8');
+            [
+                '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Foo &lt;bar&gt; &amp; Co',
+                '<dc:creator><rdf:Seq><rdf:li>Wikipedia</rdf:li>',
+                '<dc:language><rdf:Bag><rdf:li>de</rdf:li>',
+                '<dc:source>https://de.wikipedia.org/wiki/Foo_bar</dc:source>',
+                `<rdf:li xml:lang="x-default">${revision.license.text}</rdf:li>`,
+                `<xmpRights:WebStatement>${revision.license.url}</xmpRights:WebStatement>`,
+                '<xmpMM:VersionID>123</xmpMM:VersionID>'
+            ].forEach((expected) => {
+                assert.ok(xmp.includes(expected), `XMP has to contain ${expected}`);
+            });
+        }));
+    });
+});
+
+describe('buildMetadata', () => {
+    it('derives the metadata from the domain when the revision is unknown', () => {
+        assert.deepEqual(
+            buildMetadata({ domain: 'fr.wikipedia.org', title: 'Foo_bar', revision: null }),
+            {
+                title: 'Foo bar',
+                siteName: 'fr.wikipedia.org',
+                language: 'fr',
+                revision: null,
+                url: 'https://fr.wikipedia.org/wiki/Foo_bar',
+                license: {
+                    text: 'Creative Commons Attribution-Share Alike 4.0',
+                    url: 'https://creativecommons.org/licenses/by-sa/4.0/'
+                }
+            }
+        );
+    });
+});
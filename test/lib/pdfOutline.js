@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { addOutline } = require('../../lib/pdfOutline');
+
+function createPdf(pageCount) {
+    return PDFDocument.create().then((doc) => {
+        for (let i = 0; i < pageCount; i++) {
+            doc.addPage([600, 800]);
+        }
+        return doc.save();
+    }).then(bytes => Buffer.from(bytes));
+}
+
+function readItems(doc, first) {
+    const items = [];
+    let ref = first;
+    while (ref) {
+        const item = doc.context.lookup(ref);
+        const children = item.get(PDFName.of('First'));
+        items.push({
+            title: item.lookup(PDFName.of('Title')).decodeText(),
+            page: doc.getPages().findIndex(page => page.ref === item.lookup(PDFName.of('Dest')).get(0)),
+            children: children ? readItems(doc, children) : []
+        });
+        ref = item.get(PDFName.of('Next'));
+    }
+    return items;
+}
+
+describe('addOutline', () => {
+    it('writes the nested headings into the outline', () => {
+        const headings = [
+            { level: 1, text: 'Foo', pageIndex: 0, top: 48 },
+            { level: 2, text: 'History', pageIndex: 0, top: 400 },
+            { level: 3, text: 'Origins', pageIndex: 1, top: 100 },
+            { level: 2, text: 'Références', pageIndex: 2, top: 48 },
+            { level: 2, text: 'Beyond the last page', pageIndex: 5, top: 48 }
+        ];
+        return createPdf(3)
+        .then(buffer => addOutline(buffer, headings))
+        .then(buffer => PDFDocument.load(buffer))
+        .then((doc) => {
+            const outline = doc.catalog.lookup(PDFName.of('Outlines'));
+            assert.deepEqual(outline.get(PDFName.of('Count')).asNumber(), 4);
+            assert.deepEqual(doc.catalog.get(PDFName.of('PageMode')), PDFName.of('UseOutlines'));
+            assert.deepEqual(readItems(doc, outline.get(PDFName.of('First'))), [{
+                title: 'Foo',
+                page: 0,
+                children: [
+                    {
+                        title: 'History',
+                        page: 0,
+                        children: [{ title: 'Origins', page: 1, children: [] }]
+                    },
+                    { title: 'Références', page: 2, children: [] }
+                ]
+            }]);
+        });
+    });
+
+    it('leaves PDFs without headings as they are', () => {
+        return createPdf(1).then((buffer) => {
+            return addOutline(buffer, []).then((result) => {
+                assert.ok(result === buffer);
+            });
+        });
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const { getLanguage, buildHeaderFooter } = require('../../lib/pdfTemplates');
+
+const revision = {
+    title: 'Foo <bar>',
+    revid: 123,
+    timestamp: '2020-03-01T12:00:00Z'
+};
+
+describe('buildHeaderFooter', () => {
+    it('fills in the article metadata and page numbers', () => {
+        const options = buildHeaderFooter(
+            {
+                header: '<div>{{title}} ({{domain}})</div>',
+                footer: '<div>{{url}} {{revisionDate}} {{pageNumber}}/{{totalPages}}</div>'
+            },
+            { domain: 'en.wikipedia.org', title: 'Foo_<bar>', revision }
+        );
+        assert.ok(options.displayHeaderFooter === true);
+        assert.deepEqual(options.headerTemplate, '<div>Foo &lt;bar&gt; (en.wikipedia.org)</div>');
+        assert.deepEqual(
+            options.footerTemplate,
+            '<div>https://en.wikipedia.org/w/index.php?title=Foo_%3Cbar%3E&amp;oldid=123 ' +
+            'March 1, 2020 <span class="pageNumber"></span>/<span class="totalPages"></span></div>'
+        );
+    });
+
+    it('localizes the messages by wiki language', () => {
+        const template = { footer: '{{msg.page}} {{msg.of}} {{revisionDate}}' };
+        const messages = { de: { page: 'Seite' } };
+        const german = buildHeaderFooter(
+            template,
+            { domain: 'de.wikipedia.org', title: 'Foo', revision },
+            messages
+        );
+        assert.deepEqual(german.footerTemplate, 'Seite of 1. März 2020');
+        assert.deepEqual(german.headerTemplate, '<span></span>', 'Missing header has to be blank');
+    });
+
+    it('links the article when the revision is unknown', () => {
+        const options = buildHeaderFooter(
+            { header: '{{title}} {{url}} {{revisionDate}}' },
+            { domain: 'en.wikipedia.org', title: 'Foo_bar', revision: null }
+        );
+        assert.deepEqual(options.headerTemplate, 'Foo bar https://en.wikipedia.org/wiki/Foo_bar ');
+    });
+});
+
+describe('getLanguage', () => {
+    it('takes the language from the domain', () => {
+        assert.deepEqual(getLanguage('de.wikipedia.org'), 'de');
+        assert.deepEqual(getLanguage('zh-min-nan.wikipedia.org'), 'zh-min-nan');
+        assert.deepEqual(getLanguage('commons.wikimedia.org'), 'en');
+    });
+});
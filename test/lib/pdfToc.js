@@ -0,0 +1,142 @@
+'use strict';
+
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+const assert = require('../utils/assert.js');
+const { addTableOfContents } = require('../../lib/pdfToc');
+
+class FakePage {
+    constructor(entries, pdf) {
+        this.entries = entries;
+        this.pdfBuffer = pdf;
+        this.args = [];
+        this.printed = 0;
+        this._viewport = { width: 1280, height: 720 };
+    }
+    viewport() {
+        return this._viewport;
+    }
+    setViewport(viewport) {
+        this._viewport = viewport;
+        return Promise.resolve();
+    }
+    emulateMediaType() {
+        return Promise.resolve();
+    }
+    evaluate(fn, ...args) {
+        this.args.push(args);
+        return Promise.resolve(this.args.length === 1 ? this.entries : undefined);
+    }
+    pdf() {
+        this.printed++;
+        return Promise.resolve(this.pdfBuffer);
+    }
+}
+
+/**
+ * Creates a PDF of 720pt high pages with named destinations, which point to
+ * the page index and the distance from the bottom of the page in points
+ * @param {number} pageCount
+ * @param {Object} destinations
+ * @param {boolean} nameTree Whether to write the destinations in a name tree
+ * instead of the Dests dictionary
+ * @return {Promise<Buffer>}
+ */
+function createPdf(pageCount, destinations, nameTree) {
+    return PDFDocument.create().then((doc) => {
+        const pages = Array.from({ length: pageCount }, () => doc.addPage([540, 720]));
+        const names = Object.keys(destinations);
+        const destination = name => doc.context.obj([
+            pages[destinations[name][0]].ref, 'XYZ', 0, destinations[name][1], 0
+        ]);
+        if (nameTree) {
+            const tree = doc.context.obj({ Names: [] });
+            names.sort().forEach((name) => {
+                tree.get(PDFName.of('Names')).push(PDFHexString.fromText(name));
+                tree.get(PDFName.of('Names')).push(destination(name));
+            });
+            doc.catalog.set(PDFName.of('Names'), doc.context.obj({
+                Dests: doc.context.obj({ Kids: [doc.context.register(tree)] })
+            }));
+        } else {
+            const dests = doc.context.obj({});
+            // Chromium writes the names in UTF-8
+            names.forEach(name => dests.set(
+                PDFName.of(Buffer.from(name).toString('latin1')),
+                destination(name)
+            ));
+            doc.catalog.set(PDFName.of('Dests'), dests);
+        }
+        return doc.save();
+    }).then(bytes => Buffer.from(bytes));
+}
+
+const pdfOptions = {
+    width: '7.5in',
+    height: '10in',
+    margin: { top: '0.5in', right: '1in', bottom: '0.5in', left: '1in' }
+};
+
+const entries = [
+    { id: 'Foo', level: 1, text: 'Foo' },
+    { id: 'Bär_(baz)', level: 2, text: 'Bär (baz)' },
+    { id: 'proton-heading-2', level: 2, text: 'Qux' }
+];
+
+describe('addTableOfContents', () => {
+    it('numbers the pages the headings are printed on', () => {
+        return createPdf(6, {
+            Foo: [1, 672],
+            'Bär_(baz)': [4, 720],
+            'proton-heading-2': [5, 360]
+        }).then((pdf) => {
+            const page = new FakePage(entries, pdf);
+            return addTableOfContents(page, pdfOptions, 'Contents').then((headings) => {
+                assert.deepEqual(page.args[0][0], 'Contents');
+                assert.deepEqual(page.printed, 1, 'The page has to be printed once');
+                assert.deepEqual(page.args[1], [['2', '5', '6']]);
+                assert.deepEqual(headings, [
+                    { level: 1, text: 'Foo', pageIndex: 1, top: 64 },
+                    { level: 2, text: 'Bär (baz)', pageIndex: 4, top: 0 },
+                    { level: 2, text: 'Qux', pageIndex: 5, top: 480 }
+                ]);
+            });
+        });
+    });
+
+    it('reads the destinations from the name tree', () => {
+        return createPdf(3, { Foo: [0, 720], 'Bär_(baz)': [2, 720] }, true).then((pdf) => {
+            const page = new FakePage(entries, pdf);
+            return addTableOfContents(page, pdfOptions, 'Contents').then((headings) => {
+                assert.deepEqual(page.args[1], [['1', '3', '']], 'Headings without destination have no number');
+                assert.deepEqual(headings.map(heading => heading.pageIndex), [0, 2]);
+            });
+        });
+    });
+
+    it('checks the printed PDF before reading it', () => {
+        const page = new FakePage(entries, Buffer.from('not a PDF'));
+        const exceeded = new Error('budget exceeded');
+        let checked = null;
+        let rejected = false;
+        return addTableOfContents(page, pdfOptions, 'Contents', (buffer) => {
+            checked = buffer;
+            return Promise.reject(exceeded);
+        }).catch((error) => {
+            rejected = true;
+            assert.ok(error === exceeded, 'The render has to fail with the error of the check');
+        }).then(() => {
+            assert.ok(rejected, 'The render has to fail');
+            assert.ok(checked === page.pdfBuffer, 'The printed PDF has to be checked');
+            assert.deepEqual(page.args.length, 1, 'Page numbers must not be filled in');
+        });
+    });
+
+    it('leaves pages without headings as they are', () => {
+        const page = new FakePage([], null);
+        return addTableOfContents(page, pdfOptions, 'Contents').then((headings) => {
+            assert.deepEqual(headings, []);
+            assert.deepEqual(page.args.length, 1, 'Page numbers have nothing to fill in');
+            assert.deepEqual(page.printed, 0, 'The page does not have to be printed');
+        });
+    });
+});
@@ -38,6 +38,43 @@ class TestJob extends QueueItem {
         });
     }
 }
+class CoalescedJob extends TestJob {
+    constructor(name, key, processTime) {
+        super(name, processTime);
+        this.key = key;
+        this.processCount = 0;
+        this.cancelCount = 0;
+    }
+    get coalesceKey() {
+        return this.key;
+    }
+    cancel() {
+        this.cancelCount++;
+        return super.cancel();
+    }
+    process() {
+        this.processCount++;
+        return super.process();
+    }
+}
+class ScheduledJob extends TestJob {
+    constructor(name, priority, fairnessKey, order) {
+        super(name, 5);
+        this._priority = priority;
+        this._fairnessKey = fairnessKey;
+        this.order = order;
+    }
+    get priority() {
+        return this._priority;
+    }
+    get fairnessKey() {
+        return this._fairnessKey;
+    }
+    process() {
+        this.order.push(this.name);
+        return super.process();
+    }
+}
 class FailedJob extends QueueItem {
     get jobId() {
         return 'failed';
@@ -257,6 +294,25 @@ describe('Queue', function() {
         });
     });
 
+    it('times the job out after its own execution timeout', () => {
+        const q = new Queue({
+            queueTimeout: 50,
+            executionTimeout: 1000,
+            concurrency: 1,
+            maxTaskCount: 1
+        }, logger, metrics);
+        const job = new TestJob('profile_timeout', 1500);
+        Object.defineProperty(job, 'executionTimeout', { value: 100 });
+        const started = Date.now();
+
+        return q.push(job).then(() => {
+            throw new Error('This task shouldn\'t succeed');
+        }, (err) => {
+            assert.ok(err instanceof errors.JobTimeout, 'It should fail with JobTimeout error');
+            assert.ok(Date.now() - started < 1000, 'It should time out after 100ms');
+        });
+    });
+
     it('handles job cancel when in queue state', (done) => {
         let wasCancelled = true;
         let runningJobSuccesful = false;
@@ -353,4 +409,154 @@ describe('Queue', function() {
         });
     });
 
+    it('lists the waiting jobs and the ones in progress', () => {
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { maxTaskCount: 2 }));
+        const running = q.push(new TestJob('running', 20));
+        const waiting = q.push(new TestJob('waiting', 20));
+        assert.deepEqual(
+            q.listJobs().map(({ job, state }) => [job.jobId, state]),
+            [['waiting', 'waiting'], ['running', 'processing']]
+        );
+        return BBPromise.all([running, waiting]).then(() => {
+            assert.deepEqual(q.listJobs(), []);
+        });
+    });
+
+    it('cancels the job by its ID', () => {
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { maxTaskCount: 2 }));
+        const running = q.push(new TestJob('running', 50));
+        const waiting = q.push(new TestJob('waiting', 50));
+        assert.ok(!q.cancel('unknown'), 'Unknown job cannot be cancelled');
+        assert.ok(q.cancel('waiting'), 'Waiting job has to be cancelled');
+        assert.ok(q.cancel('running'), 'Running job has to be cancelled');
+        return BBPromise.all([running.reflect(), waiting.reflect()]).then((results) => {
+            results.forEach((result) => {
+                assert.ok(result.reason() instanceof errors.JobCancelled,
+                    'It should fail with JobCancelled error');
+            });
+            assert.ok(q.countJobsInQueue() === 0, 'Cancelled jobs have to leave the queue');
+        });
+    });
+
+    it('takes no new jobs while paused', () => {
+        const q = new Queue(defaultQueueOptions);
+        q.pause();
+        assert.ok(q.isPaused());
+        return q.push(new TestJob('paused', 10)).then(() => {
+            assert.ok(false, 'Job has to be rejected while the queue is paused');
+        }, (err) => {
+            assert.ok(err instanceof errors.QueuePaused);
+            q.resume();
+            return q.push(new TestJob('resumed', 10));
+        }).then((value) => {
+            assert.ok(value === 'resumed', 'Job has to be processed once resumed');
+        });
+    });
+
+    it('lets the jobs finish while draining', () => {
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { maxTaskCount: 2 }));
+        const running = q.push(new TestJob('running', 20));
+        const waiting = q.push(new TestJob('waiting', 20));
+        const drained = q.drain(1000);
+        assert.ok(q.isDraining());
+        return q.push(new TestJob('new', 10)).then(() => {
+            assert.ok(false, 'Job has to be rejected while the queue is draining');
+        }, (err) => {
+            assert.ok(err instanceof errors.QueueDraining);
+            return BBPromise.all([running, waiting, drained]);
+        }).then((results) => {
+            assert.deepEqual(results.slice(0, 2), ['running', 'waiting']);
+            assert.ok(q.countJobsInQueue() === 0, 'Queue has to be empty');
+        });
+    });
+
+    it('aborts the jobs which do not finish before the drain timeout', () => {
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { executionTimeout: 1000 }));
+        const job = new CoalescedJob('slow', 'slow', 500);
+        const promise = q.push(job).reflect();
+        return q.drain(50).then(() => promise).then((result) => {
+            assert.ok(result.reason() instanceof errors.QueueDraining,
+                'It should fail with QueueDraining error');
+            assert.ok(job.cancelCount === 1, 'Job has to be aborted');
+        });
+    });
+
+    it('renders identical jobs once', () => {
+        const q = new Queue(defaultQueueOptions, logger, metrics);
+        const first = new CoalescedJob('first', 'same', 20);
+        const second = new CoalescedJob('second', 'same', 20);
+        const firstPromise = q.push(first);
+        assert.ok(q.canJoin(second), 'Identical job has to be joined');
+        const secondPromise = q.push(second);
+        assert.ok(q.countJobsInQueue() === 1, 'Joined job cannot take a spot in the queue');
+        return BBPromise.all([firstPromise, secondPromise]).then((results) => {
+            assert.deepEqual(results, ['first', 'first']);
+            assert.ok(first.processCount === 1 && second.processCount === 0);
+            assert.ok(!q.canJoin(second), 'Finished job cannot be joined');
+        });
+    });
+
+    it('cancels the coalesced job once all clients are gone', () => {
+        const q = new Queue(defaultQueueOptions, logger, metrics);
+        const first = new CoalescedJob('first', 'same', 50);
+        const firstPromise = q.push(first);
+        const secondPromise = q.push(new CoalescedJob('second', 'same', 50));
+        return BBPromise.delay(10).then(() => {
+            firstPromise.cancel();
+            return BBPromise.delay(10);
+        }).then(() => {
+            assert.ok(first.cancelCount === 0, 'Job is still awaited by a client');
+            secondPromise.cancel();
+            return BBPromise.delay(10);
+        }).then(() => {
+            assert.ok(first.cancelCount === 1, 'Job has to be cancelled');
+            assert.ok(q.countJobsInQueue() === 0, 'Cancelled job has to leave the queue');
+        });
+    });
+
+    it('processes more urgent priority classes first', () => {
+        const order = [];
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { maxTaskCount: 5 }));
+        return BBPromise.all([
+            q.push(new ScheduledJob('first', 'batch', 'a', order)),
+            q.push(new ScheduledJob('prefetch', 'prefetch', 'a', order)),
+            q.push(new ScheduledJob('batch', 'batch', 'a', order)),
+            q.push(new ScheduledJob('interactive', 'interactive', 'a', order))
+        ]).then(() => {
+            assert.deepEqual(order, ['first', 'interactive', 'batch', 'prefetch']);
+        });
+    });
+
+    it('takes turns between fairness keys', () => {
+        const order = [];
+        const q = new Queue(Object.assign({}, defaultQueueOptions, { maxTaskCount: 6 }));
+        return BBPromise.all([
+            q.push(new ScheduledJob('a1', 'interactive', 'a', order)),
+            q.push(new ScheduledJob('a2', 'interactive', 'a', order)),
+            q.push(new ScheduledJob('a3', 'interactive', 'a', order)),
+            q.push(new ScheduledJob('a4', 'interactive', 'a', order)),
+            q.push(new ScheduledJob('b1', 'interactive', 'b', order)),
+            q.push(new ScheduledJob('b2', 'interactive', 'b', order))
+        ]).then(() => {
+            assert.deepEqual(order, ['a1', 'a2', 'b1', 'a3', 'b2', 'a4']);
+        });
+    });
+
+    it('limits the jobs of a priority class', () => {
+        const order = [];
+        const q = new Queue(Object.assign({}, defaultQueueOptions, {
+            maxTaskCount: 5,
+            priorities: { prefetch: { maxTaskCount: 1 } }
+        }));
+        const first = q.push(new ScheduledJob('first', 'prefetch', 'a', order));
+        assert.ok(q.isQueueFull('prefetch'), 'Prefetch class has to be full');
+        assert.ok(!q.isQueueFull('interactive'), 'Other classes cannot be affected');
+        return q.push(new ScheduledJob('second', 'prefetch', 'a', order)).then(() => {
+            assert.ok(false, 'Job over the class limit has to be rejected');
+        }, (err) => {
+            assert.ok(err instanceof errors.QueueFull);
+            return first;
+        });
+    });
+
 });
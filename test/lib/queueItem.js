@@ -39,4 +39,19 @@ describe('Queue', function() {
             done();
         });
     });
+
+    it('takes a screenshot when the job has screenshot options', () => {
+        const queueItem = new QueueItem({
+            uri: 'https://en.wikipedia.org/wiki/Foo',
+            headers: {},
+            options: { content: null },
+            screenshot: { imageType: 'webp' },
+            renderer: {
+                articleToScreenshot: (url, headers, options) => BBPromise.resolve(options)
+            }
+        });
+        return queueItem.process().then((options) => {
+            assert.deepEqual(options, { content: null, imageType: 'webp' });
+        });
+    });
 });
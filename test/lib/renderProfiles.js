@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('../utils/assert.js');
+const {
+    DEFAULT_PROFILE, readRenderProfiles, getProfileName, getRenderProfile
+} = require('../../lib/renderProfiles');
+
+describe('renderProfiles', () => {
+    const conf = {
+        pdf_templates: { attribution: {} },
+        render_profiles: {
+            'large-print': {
+                pdf_options: { scale: 1.5 },
+                css: 'body { line-height: 1.8; }',
+                template: 'none',
+                render_execution_timeout: 120
+            },
+            'e-reader': {
+                viewport: { width: 600, height: 800 },
+                user_agent: 'e-reader',
+                template: 'attribution',
+                navigation_timeout: 20
+            }
+        },
+        domain_render_profiles: { 'en.wikisource.org': 'e-reader' }
+    };
+    const app = { conf, renderProfiles: readRenderProfiles(conf) };
+
+    it('reads the profiles from the config', () => {
+        assert.deepEqual(getRenderProfile(app, 'large-print'), {
+            name: 'large-print',
+            viewport: undefined,
+            userAgent: undefined,
+            pdfOptions: { scale: 1.5 },
+            css: 'body { line-height: 1.8; }',
+            template: 'none',
+            executionTimeout: 120000,
+            navigationTimeout: undefined
+        });
+        assert.deepEqual(getRenderProfile(app, 'e-reader').navigationTimeout, 20000);
+        assert.deepEqual(getRenderProfile(app, undefined).name, DEFAULT_PROFILE);
+        assert.deepEqual(getRenderProfile(app, undefined).pdfOptions, {});
+    });
+
+    it('selects the requested profile or the one of the domain', () => {
+        assert.deepEqual(getProfileName(app, 'en.wikipedia.org', 'large-print'), 'large-print');
+        assert.deepEqual(getProfileName(app, 'en.wikisource.org', 'default'), 'default');
+        assert.deepEqual(getProfileName(app, 'en.wikisource.org', undefined), 'e-reader');
+        assert.deepEqual(getProfileName(app, 'en.wikipedia.org', ''), 'default');
+        assert.deepEqual(getProfileName(
+            { conf: { default_render_profile: 'large-print' }, renderProfiles: app.renderProfiles },
+            'en.wikipedia.org'
+        ), 'large-print');
+    });
+
+    it('rejects unknown profiles', () => {
+        let error;
+        try {
+            getProfileName(app, 'en.wikipedia.org', 'tablet');
+        } catch (e) {
+            error = e;
+        }
+        assert.ok(error, 'The profile has to be rejected');
+        assert.deepEqual(error.status, 400);
+        assert.deepEqual(error.parameter, 'profile');
+    });
+
+    it('refuses misconfigured profiles', () => {
+        [
+            { render_profiles: { broken: { template: 'missing' } } },
+            { domain_render_profiles: { 'en.wikipedia.org': 'missing' } },
+            { default_render_profile: 'missing' }
+        ].forEach((brokenConf) => {
+            let error;
+            try {
+                readRenderProfiles(brokenConf);
+            } catch (e) {
+                error = e;
+            }
+            assert.ok(error, `${JSON.stringify(brokenConf)} has to be refused`);
+        });
+    });
+});
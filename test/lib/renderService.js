@@ -0,0 +1,383 @@
+'use strict';
+
+const http = require('http');
+const BBPromise = require('bluebird');
+const assert = require('../utils/assert.js');
+const apiUtil = require('../../lib/api-util');
+const errors = require('../../lib/errors');
+const sUtil = require('../../lib/util');
+const { NetworkPolicy } = require('../../lib/networkPolicy');
+const { Queue } = require('../../lib/queue');
+const { QueueItem } = require('../../lib/queueItem');
+const {
+    assembleRequest, parseRevision, resolveVariant, getScheduling, handleRenderError,
+    getReadiness
+} = require('../../lib/renderService');
+BBPromise.config({
+    cancellation: true
+});
+
+describe('parseRevision', () => {
+    it('returns the requested revision', () => {
+        assert.deepEqual(parseRevision(undefined, ''), undefined);
+        assert.deepEqual(parseRevision('123', undefined), '123');
+        assert.deepEqual(parseRevision(undefined, '123'), '123');
+        assert.deepEqual(parseRevision('123', '123'), '123');
+    });
+
+    it('rejects invalid and conflicting revisions', () => {
+        ['abc', '0', '-1', '1.5'].concat([['1', '2']]).forEach((values) => {
+            let error;
+            try {
+                parseRevision(...[].concat(values));
+            } catch (e) {
+                error = e;
+            }
+            assert.ok(error, `${values} has to be rejected`);
+            assert.deepEqual(error.status, 400);
+            assert.deepEqual(error.parameter, 'oldid');
+        });
+    });
+});
+
+describe('getScheduling', () => {
+    const req = {
+        query: {},
+        params: { domain: 'en.wikipedia.org' },
+        headers: { 'x-client-ip': '192.0.2.1' },
+        ip: '198.51.100.1'
+    };
+
+    it('takes turns between domains by default', () => {
+        const app = { conf: {} };
+        assert.deepEqual(getScheduling(app, req, 'interactive'),
+            { priority: 'interactive', fairnessKey: 'en.wikipedia.org' });
+    });
+
+    it('takes turns between client addresses and ignores x-client-ip', () => {
+        const app = { conf: { render_fairness_key: 'client' } };
+        assert.deepEqual(getScheduling(app, req, 'interactive').fairnessKey, '198.51.100.1');
+    });
+});
+
+describe('assembleRequest', () => {
+    const app = {
+        conf: {
+            mw_req: {
+                method: 'get',
+                uri: 'https://{{extdomain}}/w/index.php',
+                query: { title: '{{request.params.title}}' }
+            }
+        }
+    };
+    apiUtil.setupRequestTemplate(app);
+
+    it('requests the latest revision by default', () => {
+        const request = assembleRequest(app, { domain: 'en.wikipedia.org', title: 'Foo' });
+        assert.deepEqual(request.uri, 'https://en.wikipedia.org/w/index.php?title=Foo');
+    });
+
+    it('requests the revision with its oldid', () => {
+        const request = assembleRequest(app, {
+            domain: 'en.wikipedia.org', title: 'Foo', type: 'mobile', revision: '123'
+        });
+        assert.deepEqual(request.uri, 'https://en.m.wikipedia.org/w/index.php?title=Foo&oldid=123');
+    });
+
+    it('requests the language variant', () => {
+        const request = assembleRequest(app, {
+            domain: 'zh.wikipedia.org', title: 'Foo', variant: 'zh-hant'
+        });
+        assert.deepEqual(
+            request.uri,
+            'https://zh.wikipedia.org/w/index.php?title=Foo&variant=zh-hant'
+        );
+        assert.deepEqual(request.headers['accept-language'], 'zh-hant');
+    });
+});
+
+describe('resolveVariant', function() {
+    this.timeout(5000);
+
+    let server;
+    let requestCount = 0;
+    const app = {
+        conf: { user_agent: 'proton-test' },
+        networkPolicy: new NetworkPolicy({}),
+        siteVariants: new Map()
+    };
+
+    before((done) => {
+        server = http.createServer((req, res) => {
+            requestCount++;
+            const general = /^zh\./.test(req.headers.host) ? {
+                lang: 'zh',
+                variants: [{ code: 'zh' }, { code: 'zh-hans' }, { code: 'zh-hant' }]
+            } : { lang: 'en' };
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({ query: { general } }));
+        }).listen(0, () => {
+            app.conf.mwapi_req = {
+                method: 'post',
+                uri: `http://localhost:${server.address().port}/w/api.php`,
+                headers: { host: '{{request.params.domain}}' },
+                body: '{{ default(request.query, {}) }}'
+            };
+            apiUtil.setupRequestTemplate(app);
+            done();
+        });
+    });
+
+    after(done => server.close(done));
+
+    const rejects = (promise) => promise.then(() => {
+        throw new Error('The variant has to be rejected');
+    }, (error) => {
+        assert.deepEqual(error.status, 400);
+        assert.deepEqual(error.parameter, 'variant');
+    });
+
+    it('accepts the variants of the wiki', () => {
+        return resolveVariant(app, 'zh.wikipedia.org', 'zh-Hant')
+        .then((variant) => {
+            assert.deepEqual(variant, 'zh-hant');
+            return resolveVariant(app, 'zh.wikipedia.org', 'zh-hans');
+        })
+        .then((variant) => {
+            assert.deepEqual(variant, 'zh-hans');
+            assert.deepEqual(requestCount, 1, 'The variants have to be looked up once');
+        });
+    });
+
+    it('rejects unknown variants', () => {
+        return BBPromise.all([
+            rejects(resolveVariant(app, 'zh.wikipedia.org', 'sr-el')),
+            rejects(resolveVariant(app, 'en.wikipedia.org', 'en-gb')),
+            rejects(resolveVariant(app, 'zh.wikipedia.org', '../zh'))
+        ]);
+    });
+
+    it('leaves the variant out unless requested', () => {
+        return resolveVariant(app, 'zh.wikipedia.org', undefined).then((variant) => {
+            assert.deepEqual(variant, undefined);
+        });
+    });
+});
+
+class FakeResponse {
+    constructor() {
+        this.headers = { etag: '"1-abc"', 'last-modified': 'Wed, 01 Jan 2020 00:00:00 GMT' };
+        this.req = { method: 'GET', originalUrl: '/en.wikipedia.org/v1/pdf/Foo' };
+        this.statusCode = 200;
+        this.body = undefined;
+        this.ended = false;
+    }
+    set(name, value) {
+        this.headers[name.toLowerCase()] = String(value);
+        return this;
+    }
+    removeHeader(name) {
+        delete this.headers[name];
+    }
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+    type(contentType) {
+        return this.set('content-type', contentType);
+    }
+    json(body) {
+        this.body = body;
+        this.ended = true;
+    }
+    end() {
+        this.ended = true;
+    }
+}
+
+describe('handleRenderError', () => {
+    const logged = [];
+    const logger = { log: (level, info) => logged.push(level) };
+    const app = { conf: { render_queue_timeout: 30 }, logger };
+
+    const cases = [
+        [new errors.NavigationError(403, 'Forbidden'), 403, 'upstream_forbidden'],
+        [new errors.NavigationError(404, 'Not Found'), 404, 'not_found'],
+        [new errors.NavigationError(410, 'Gone'), 410, 'gone'],
+        [new errors.NavigationError(429, 'Too Many Requests'), 429, 'upstream_rate_limited', '30'],
+        [new errors.NavigationError(503, 'Service Unavailable'), 503, 'upstream_unavailable', '30'],
+        [new errors.NavigationError(500, 'Internal Server Error'), 502, 'upstream_error'],
+        [new errors.NavigationError(400, 'Bad Request'), 502, 'upstream_error'],
+        [new errors.ForbiddenError('URL is blacklisted'), 403, 'forbidden_url'],
+        [new errors.QueueFull(), 503, 'queue_full', '30'],
+        [new errors.QueuePaused(), 503, 'queue_paused', '30'],
+        [new errors.QueueDraining(), 503, 'queue_draining', '30'],
+        [new errors.JobCancelled(), 503, 'job_cancelled', '30'],
+        [new errors.QueueTimeout(), 503, 'queue_timeout', '30'],
+        [new errors.JobTimeout(), 503, 'render_timeout', '30'],
+        [new errors.ProcessingCancelled(), 503, 'render_cancelled', '30'],
+        [new errors.JobNotFound(), 404, 'job_not_found'],
+        [new errors.BudgetExceeded('subresources', 1000), 422, 'budget_exceeded'],
+        [new errors.BudgetExceeded('transfer_size', 1024), 422, 'budget_exceeded'],
+        [new errors.BudgetExceeded('pages', 1000), 413, 'budget_exceeded'],
+        [new errors.BudgetExceeded('output_size', 1024), 413, 'budget_exceeded'],
+        [new errors.PuppeteerMalformedResponseError(), 500, 'malformed_response'],
+        [new sUtil.HTTPError({ status: 400, type: 'bad_request', detail: 'Bad' }), 400, 'bad_request'],
+        [new Error('Unexpected'), 500, 'internal_error']
+    ];
+
+    cases.forEach(([error, status, type, retryAfter]) => {
+        it(`maps ${error.constructor.name} ${error.httpCode || ''} to ${status} ${type}`, () => {
+            const res = new FakeResponse();
+            handleRenderError(app, error, 'Foo', res, logger);
+            assert.deepEqual(res.statusCode, status);
+            assert.deepEqual(res.headers['content-type'], 'application/problem+json');
+            assert.deepEqual(res.headers['retry-after'], retryAfter);
+            assert.deepEqual(res.headers.etag, undefined, 'The validators have to be removed');
+            assert.deepEqual(res.body.status, status);
+            assert.deepEqual(res.body.type, type);
+            assert.ok(res.body.title, 'The problem has to have a title');
+            assert.ok(res.body.detail, 'The problem has to have a detail');
+            assert.deepEqual(res.body.uri, '/en.wikipedia.org/v1/pdf/Foo');
+        });
+    });
+
+    it('names the exceeded budget', () => {
+        const res = new FakeResponse();
+        handleRenderError(app, new errors.BudgetExceeded('pages', 1000), 'Foo', res, logger);
+        assert.deepEqual(res.body.budget, 'pages');
+        assert.ok(res.body.detail.includes('pages budget of 1000'));
+    });
+
+    it('sends nothing to clients which went away', () => {
+        const res = new FakeResponse();
+        res.destroyed = true;
+        handleRenderError(app, new errors.ProcessingCancelled(), 'Foo', res, logger);
+        assert.ok(res.ended);
+        assert.deepEqual(res.body, undefined);
+    });
+
+    it('logs internal errors', () => {
+        logged.length = 0;
+        handleRenderError(app, new Error('Unexpected'), 'Foo', new FakeResponse(), logger);
+        handleRenderError(app, new errors.QueueFull(), 'Foo', new FakeResponse(), logger);
+        assert.deepEqual(logged, ['error/request']);
+    });
+});
+
+describe('aborted renders', () => {
+    const logger = { log: () => {} };
+    const app = { conf: { render_queue_timeout: 30 }, logger };
+
+    /**
+     * Job which, like the renderer, fails with ProcessingCancelled as soon as
+     * its browser is destroyed
+     */
+    class AbortedJob extends QueueItem {
+        constructor(name) {
+            super({});
+            this.name = name;
+        }
+        get jobId() {
+            return this.name;
+        }
+        process() {
+            return new BBPromise((resolve, reject) => {
+                this.abort = () => reject(new errors.ProcessingCancelled());
+            });
+        }
+        cancel() {
+            this.abort();
+            return BBPromise.resolve();
+        }
+    }
+
+    function createQueue() {
+        return new Queue({
+            queueTimeout: 500,
+            executionTimeout: 500,
+            concurrency: 1,
+            maxTaskCount: 1
+        });
+    }
+
+    it('answers the client of the cancelled render', () => {
+        const queue = createQueue();
+        const promise = queue.push(new AbortedJob('cancelled'));
+        const res = new FakeResponse();
+        return BBPromise.delay(10).then(() => {
+            assert.ok(queue.cancel('cancelled'), 'Running job has to be cancelled');
+            return promise;
+        }).catch(error => handleRenderError(app, error, 'Foo', res, logger)).then(() => {
+            assert.deepEqual(res.statusCode, 503);
+            assert.deepEqual(res.body.type, 'job_cancelled');
+            assert.deepEqual(res.headers.etag, undefined);
+        });
+    });
+
+    it('answers the clients of the renders aborted by the drain', () => {
+        const queue = createQueue();
+        const promise = queue.push(new AbortedJob('drained'));
+        const res = new FakeResponse();
+        return queue.drain(20).then(() => promise)
+        .catch(error => handleRenderError(app, error, 'Foo', res, logger)).then(() => {
+            assert.deepEqual(res.statusCode, 503);
+            assert.deepEqual(res.body.type, 'queue_draining');
+            assert.deepEqual(res.headers['retry-after'], '30');
+            assert.deepEqual(res.headers.etag, undefined);
+        });
+    });
+});
+
+describe('getReadiness', () => {
+    function createApp(poolState, selfTestResult) {
+        return {
+            queue: new Queue({
+                queueTimeout: 500,
+                executionTimeout: 500,
+                concurrency: 1,
+                maxTaskCount: 1
+            }),
+            browserPool: {
+                getState: () => Object.assign(
+                    { size: 1, idle: 1, busy: 0, launching: 0, waiting: 0 }, poolState
+                )
+            },
+            selfTest: { getResult: () => selfTestResult || { status: 'ok' } }
+        };
+    }
+
+    it('reports the service ready', () => {
+        const readiness = getReadiness(createApp());
+        assert.deepEqual(readiness.status, 'ready');
+        assert.deepEqual(readiness.queue, { status: 'ok', waiting: 0, inProgress: 0 });
+        assert.deepEqual(readiness.browsers.status, 'ok');
+        assert.deepEqual(readiness.selfTest.status, 'ok');
+    });
+
+    it('waits for the first self-test', () => {
+        const app = createApp({ idle: 0, launching: 1 }, { status: 'pending' });
+        assert.deepEqual(getReadiness(app).status, 'ready');
+    });
+
+    it('reports the service not ready', () => {
+        const app = createApp();
+        app.queue.pause();
+        assert.deepEqual(getReadiness(app).queue.status, 'paused');
+        assert.deepEqual(getReadiness(app).status, 'not_ready');
+
+        const down = getReadiness(createApp({ idle: 0 }));
+        assert.deepEqual(down.browsers.status, 'down');
+        assert.deepEqual(down.status, 'not_ready');
+
+        const failed = getReadiness(createApp({}, { status: 'failed', error: 'Broken' }));
+        assert.deepEqual(failed.status, 'not_ready');
+    });
+
+    it('reports the service draining', () => {
+        const app = createApp();
+        return app.queue.drain(100).then(() => {
+            assert.deepEqual(getReadiness(app).status, 'draining');
+        });
+    });
+});
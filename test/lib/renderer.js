@@ -1,31 +1,330 @@
 'use strict';
 
 const { Renderer } = require('../../lib/renderer');
+const { NetworkPolicy } = require('../../lib/networkPolicy');
+const errors = require('../../lib/errors');
 const assert = require('../utils/assert.js');
+const BBPromise = require('bluebird');
+const { PDFDocument } = require('pdf-lib');
 const logger = { log: (level, data) => {} };
+const networkPolicy = new NetworkPolicy({});
 
 describe('Renderer', function() {
     this.timeout(1000);
 
-    it('kills hung browser', () => {
-        let killed = false;
-        const renderer = new Renderer({}, {}, /(?!)/, '', false, logger);
-        renderer._browser = {
+    it('destroys the browser when render is aborted', () => {
+        const browser = {};
+        let destroyed = null;
+        const renderer = new Renderer({
+            destroy: (b) => {
+                destroyed = b;
+                return BBPromise.resolve();
+            }
+        }, {}, networkPolicy, '', false, logger);
+        renderer._browser = browser;
+
+        return renderer.abortRender().then(() => {
+            assert.ok(destroyed === browser, 'Renderer has to destroy its browser');
+            assert.ok(renderer.isAborted(), 'Renderer has to be marked as aborted');
+        });
+    });
+
+    it('destroys the browser when the context does not close', () => {
+        const browser = {};
+        let destroyed = false;
+        const renderer = new Renderer({
+            release: () => BBPromise.resolve(),
+            destroy: () => {
+                destroyed = true;
+                return BBPromise.resolve();
+            }
+        }, {}, networkPolicy, '', false, logger);
+        renderer._browser = browser;
+        renderer._context = {
             // return a promise that never resolves
-            close: () => new Promise(() => null),
+            close: () => new Promise(() => null)
+        };
+        renderer.CLOSE_TIMEOUT = 10;
 
-            process: () => ({
-                pid: 123,
-                kill() {
-                    killed = true;
-                },
-                on() {},
+        return renderer._releaseBrowser().then(() => {
+            assert.ok(destroyed, 'Renderer has to destroy the browser with hung context');
+        });
+    });
+
+    it('serves the posted content', () => {
+        const renderer = new Renderer({}, {}, networkPolicy, '', false, logger);
+        const content = {
+            url: 'https://en.wikipedia.org/_proton/document/',
+            resources: {
+                'https://en.wikipedia.org/_proton/document/': {
+                    contentType: 'text/html',
+                    body: '<p>Foo</p>'
+                }
+            }
+        };
+        const request = (url) => ({
+            url: () => url,
+            respond: response => response
+        });
+
+        assert.deepEqual(
+            renderer._respondWithContent(request(content.url), content),
+            { status: 200, contentType: 'text/html', body: '<p>Foo</p>' }
+        );
+        assert.deepEqual(
+            renderer._respondWithContent(request(`${content.url}missing.css`), content),
+            { status: 404, body: '' }
+        );
+        assert.ok(
+            renderer._respondWithContent(request('https://en.wikipedia.org/w/load.php'), content) === null,
+            'Requests outside of the content have to be left alone'
+        );
+    });
+
+    it('refuses to load a blocked URL', () => {
+        let acquired = false;
+        const renderer = new Renderer({
+            acquire: () => {
+                acquired = true;
+                return BBPromise.reject(new Error('No browser'));
+            }
+        }, {}, new NetworkPolicy({ blacklist: /^en\.wikipedia\.org$/ }), '', false, logger);
+
+        return renderer.articleToPdf('https://en.wikipedia.org/wiki/Foo', 'a4', {}).then(() => {
+            throw new Error('The render has to be refused');
+        }, (error) => {
+            assert.ok(error instanceof errors.ForbiddenError, 'The render has to be forbidden');
+            assert.ok(!acquired, 'No browser has to be spent on the render');
+        });
+    });
+
+    it('takes the screenshot in the emulated viewport', () => {
+        const calls = {};
+        const page = {
+            emulate: (options) => {
+                calls.emulate = options;
+            },
+            setJavaScriptEnabled: () => BBPromise.resolve(),
+            setRequestInterception: () => BBPromise.resolve(),
+            on: () => null,
+            setExtraHTTPHeaders: () => null,
+            goto: () => BBPromise.resolve({
+                ok: () => true,
+                headers: () => ({ 'last-modified': 'Sun, 01 Mar 2020 12:00:00 GMT' })
             }),
+            screenshot: (options) => {
+                calls.screenshot = options;
+                return BBPromise.resolve(Buffer.from('image'));
+            }
         };
-        renderer.CLOSE_TIMEOUT = 10;
+        const browser = {
+            on: () => null,
+            off: () => null,
+            createIncognitoBrowserContext: () => BBPromise.resolve({
+                newPage: () => BBPromise.resolve(page),
+                close: () => BBPromise.resolve()
+            })
+        };
+        const renderer = new Renderer({
+            acquire: () => BBPromise.resolve(browser),
+            release: () => BBPromise.resolve()
+        }, {}, networkPolicy, '', true, logger);
+
+        return renderer.articleToScreenshot('https://en.wikipedia.org/wiki/Foo', {}, {
+            imageType: 'jpeg',
+            quality: 80,
+            fullPage: true,
+            deviceScaleFactor: 2
+        }).then((result) => {
+            assert.deepEqual(result.contentType, 'image/jpeg');
+            assert.deepEqual(result.buffer.toString(), 'image');
+            assert.deepEqual(result.lastModified, 'Sun, 01 Mar 2020 12:00:00 GMT');
+            assert.deepEqual(calls.screenshot, { type: 'jpeg', fullPage: true, quality: 80 });
+            assert.deepEqual(calls.emulate.viewport.deviceScaleFactor, 2);
+            assert.ok(calls.emulate.viewport.isMobile, 'The mobile viewport has to be emulated');
+        });
+    });
+
+    it('sets the page up by the render profile', () => {
+        const calls = { evaluate: [] };
+        const page = {
+            emulate: (options) => {
+                calls.emulate = options;
+            },
+            setJavaScriptEnabled: () => BBPromise.resolve(),
+            setRequestInterception: () => BBPromise.resolve(),
+            on: () => null,
+            setExtraHTTPHeaders: () => null,
+            goto: (url, options) => {
+                calls.goto = options;
+                return BBPromise.resolve({ ok: () => true, headers: () => ({}) });
+            },
+            evaluate: (fn, css) => {
+                calls.evaluate.push(css);
+                return BBPromise.resolve();
+            },
+            screenshot: () => BBPromise.resolve(Buffer.from('image'))
+        };
+        const browser = {
+            on: () => null,
+            off: () => null,
+            createIncognitoBrowserContext: () => BBPromise.resolve({
+                newPage: () => BBPromise.resolve(page),
+                close: () => BBPromise.resolve()
+            })
+        };
+        const renderer = new Renderer({
+            acquire: () => BBPromise.resolve(browser),
+            release: () => BBPromise.resolve()
+        }, {}, networkPolicy, 'e-reader', false, logger, {
+            viewport: { width: 600, height: 800 },
+            css: 'body { font-size: 150%; }',
+            navigationTimeout: 5000
+        });
+
+        return renderer.articleToScreenshot('https://en.wikipedia.org/wiki/Foo', {}).then(() => {
+            assert.deepEqual(calls.emulate.userAgent, 'e-reader');
+            assert.deepEqual(calls.emulate.viewport.width, 600);
+            assert.deepEqual(calls.emulate.viewport.height, 800);
+            assert.ok(!calls.emulate.viewport.isMobile, 'The desktop viewport has to be the base');
+            assert.deepEqual(calls.goto, { waitUntil: 'networkidle0', timeout: 5000 });
+            assert.deepEqual(calls.evaluate, ['body { font-size: 150%; }']);
+        });
+    });
+
+    it('stops the render when the page reaches a private address', () => {
+        // the host passes the check, but the browser connects to a private address
+        const policy = new NetworkPolicy({ blockPrivateAddresses: true }, (hostname, options, callback) => {
+            callback(null, [{ address: '208.80.154.224', family: 4 }]);
+        });
+        const handlers = {};
+        const page = {
+            emulate: () => null,
+            setJavaScriptEnabled: () => BBPromise.resolve(),
+            setRequestInterception: () => BBPromise.resolve(),
+            on: (event, handler) => {
+                handlers[event] = handler;
+            },
+            setExtraHTTPHeaders: () => null,
+            goto: () => {
+                handlers.response({
+                    url: () => 'https://rebound.example.org/wiki/Foo',
+                    request: () => ({ isNavigationRequest: () => true }),
+                    remoteAddress: () => ({ ip: '[::1]', port: 443 })
+                });
+                return new Promise(() => null);
+            }
+        };
+        const browser = {
+            on: () => null,
+            off: () => null,
+            createIncognitoBrowserContext: () => BBPromise.resolve({
+                newPage: () => BBPromise.resolve(page),
+                close: () => BBPromise.resolve()
+            })
+        };
+        const renderer = new Renderer({
+            acquire: () => BBPromise.resolve(browser),
+            release: () => BBPromise.resolve()
+        }, {}, policy, '', false, logger);
+
+        return renderer.articleToPdf('https://rebound.example.org/wiki/Foo', 'a4', {}).then(() => {
+            throw new Error('The render has to be stopped');
+        }, (error) => {
+            assert.ok(error instanceof errors.ForbiddenError, 'The render has to be forbidden');
+        });
+    });
+
+    describe('budget', () => {
+        /**
+         * Renders a page which requests the assets and receives the chunks of
+         * data, and never finishes loading
+         * @param {Object} budget
+         * @param {number} assetCount
+         * @param {Array<number>} chunks
+         * @return {BBPromise}
+         */
+        const renderHeavyPage = (budget, assetCount, chunks) => {
+            const handlers = {};
+            const session = {
+                on: (event, handler) => {
+                    handlers[event] = handler;
+                },
+                send: () => BBPromise.resolve()
+            };
+            const page = {
+                emulate: () => null,
+                setJavaScriptEnabled: () => BBPromise.resolve(),
+                setRequestInterception: () => BBPromise.resolve(),
+                on: (event, handler) => {
+                    handlers[event] = handler;
+                },
+                target: () => ({ createCDPSession: () => BBPromise.resolve(session) }),
+                mainFrame: () => 'main',
+                setExtraHTTPHeaders: () => null,
+                goto: () => {
+                    for (let i = 0; i < assetCount; i++) {
+                        handlers.request({
+                            url: () => `https://upload.wikimedia.org/${i}.png`,
+                            isNavigationRequest: () => false,
+                            frame: () => 'main',
+                            abort: () => BBPromise.resolve(),
+                            continue: () => BBPromise.resolve()
+                        });
+                    }
+                    chunks.forEach(length => handlers['Network.dataReceived']({
+                        dataLength: length,
+                        encodedDataLength: length
+                    }));
+                    return new Promise(() => null);
+                }
+            };
+            const browser = {
+                on: () => null,
+                off: () => null,
+                createIncognitoBrowserContext: () => BBPromise.resolve({
+                    newPage: () => BBPromise.resolve(page),
+                    close: () => BBPromise.resolve()
+                })
+            };
+            const renderer = new Renderer({
+                acquire: () => BBPromise.resolve(browser),
+                release: () => BBPromise.resolve()
+            }, {}, networkPolicy, '', false, logger, { budget });
+            return renderer.articleToPdf('https://en.wikipedia.org/wiki/Foo', 'a4', {});
+        };
+
+        const rejects = (promise, budget) => promise.then(() => {
+            throw new Error('The render has to exceed its budget');
+        }, (error) => {
+            assert.ok(error instanceof errors.BudgetExceeded, 'The render has to exceed its budget');
+            assert.deepEqual(error.budget, budget);
+        });
+
+        it('stops the page requesting too many subresources', () => {
+            return rejects(renderHeavyPage({ subresources: 2 }, 3, []), 'subresources');
+        });
+
+        it('stops the page receiving too many bytes', () => {
+            return rejects(renderHeavyPage({ transferSize: 1000 }, 1, [600, 600]), 'transfer_size');
+        });
 
-        return renderer._closeBrowser().finally(() => {
-            assert.ok(killed, 'Renderer has to kill hung browser');
+        it('rejects too large outputs', () => {
+            return PDFDocument.create().then((doc) => {
+                [1, 2, 3].forEach(() => doc.addPage());
+                return doc.save();
+            }).then((bytes) => {
+                const buffer = Buffer.from(bytes);
+                const check = budget => new Renderer({}, {}, networkPolicy, '', false, logger, { budget })
+                ._checkOutput(buffer, true);
+                return BBPromise.all([
+                    rejects(check({ pages: 2 }), 'pages'),
+                    rejects(check({ outputSize: 100 }), 'output_size'),
+                    check({ pages: 3, outputSize: buffer.length }).then((result) => {
+                        assert.ok(result === buffer, 'The output within the budget has to pass');
+                    })
+                ]);
+            });
         });
     });
 });
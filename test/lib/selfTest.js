@@ -0,0 +1,93 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const assert = require('../utils/assert.js');
+const { SELF_TEST_URL, SelfTest } = require('../../lib/selfTest');
+
+class FakeRenderer {
+    constructor(render) {
+        this.render = render;
+        this.urls = [];
+        this.aborted = false;
+    }
+    articleToPdf(url) {
+        this.urls.push(url);
+        return this.render();
+    }
+    abortRender() {
+        this.aborted = true;
+        return BBPromise.resolve();
+    }
+}
+
+function createSelfTest(render, poolState) {
+    const renderers = [];
+    const pool = {
+        getState: () => Object.assign({ size: 1, idle: 1, busy: 0 }, poolState)
+    };
+    const selfTest = new SelfTest({ interval: 1000, timeout: 50 }, pool, () => {
+        const renderer = new FakeRenderer(render);
+        renderers.push(renderer);
+        return renderer;
+    });
+    return { selfTest, renderers };
+}
+
+describe('SelfTest', () => {
+    it('renders the built-in page', () => {
+        const { selfTest, renderers } = createSelfTest(
+            () => BBPromise.resolve({ buffer: Buffer.from('%PDF') })
+        );
+        assert.deepEqual(selfTest.getResult().status, 'pending');
+        return selfTest.run().then((result) => {
+            assert.deepEqual(result.status, 'ok');
+            assert.ok(result.checkedAt, 'The time of the render has to be reported');
+            assert.deepEqual(renderers[0].urls, [SELF_TEST_URL]);
+            assert.ok(SELF_TEST_URL.startsWith('data:text/html'));
+        });
+    });
+
+    it('reports the failed render', () => {
+        const { selfTest, renderers } = createSelfTest(
+            () => BBPromise.reject(new Error('Could not launch Chromium'))
+        );
+        let reported;
+        selfTest.on('selftest.failure', (failure) => {
+            reported = failure;
+        });
+        return selfTest.run().then((result) => {
+            assert.deepEqual(result.status, 'failed');
+            assert.deepEqual(result.error, 'Could not launch Chromium');
+            assert.ok(reported.err instanceof Error, 'The failure has to be reported');
+            assert.ok(renderers[0].aborted, 'The render has to be aborted');
+        });
+    });
+
+    it('aborts the render which takes too long', () => {
+        const { selfTest, renderers } = createSelfTest(() => BBPromise.delay(500));
+        return selfTest.run().then((result) => {
+            assert.deepEqual(result.status, 'failed');
+            assert.deepEqual(result.error, 'The render timed out');
+            assert.ok(renderers[0].aborted, 'The render has to be aborted');
+        });
+    });
+
+    it('renders once at a time', () => {
+        const { selfTest, renderers } = createSelfTest(
+            () => BBPromise.delay(10).then(() => ({ buffer: Buffer.from('%PDF') }))
+        );
+        return BBPromise.all([selfTest.run(), selfTest.run()]).then(() => {
+            assert.deepEqual(renderers.length, 1);
+        });
+    });
+
+    it('leaves the busy browsers alone', () => {
+        const { selfTest, renderers } = createSelfTest(
+            () => BBPromise.resolve({ buffer: Buffer.from('%PDF') }), { idle: 0, busy: 1 }
+        );
+        return selfTest.run().then((result) => {
+            assert.deepEqual(result.status, 'pending');
+            assert.deepEqual(renderers.length, 0);
+        });
+    });
+});
@@ -16,4 +16,22 @@ describe('getContentDisposition', function() {
                 'filename*=UTF-8\'\'%22To%20be%2C%20or%20not%20to%20be%22.pdf'
         );
     });
+
+    it('adds the revision to the file name', function() {
+        assert.ok(
+            util.getContentDisposition('Foo_bar', null, null, '12345') ===
+            'attachment; filename="Foo_bar-12345.pdf"; filename*=UTF-8\'\'Foo_bar-12345.pdf'
+        );
+    });
+});
+
+describe('badRequest', function() {
+    it('names the invalid parameter', function() {
+        const error = util.badRequest('format', 'Unsupported format');
+        assert.ok(error instanceof util.HTTPError);
+        assert.deepEqual(error.status, 400);
+        assert.deepEqual(error.type, 'bad_request');
+        assert.deepEqual(error.parameter, 'format');
+        assert.deepEqual(error.detail, 'Unsupported format');
+    });
 });
@@ -0,0 +1,68 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const http = require('http');
+
+/**
+ * Revision the stub wiki reports for every page
+ */
+const REVISION = { revid: 42, timestamp: '2020-01-01T00:00:00Z' };
+
+/**
+ * Starts a stub wiki on localhost, whose MW API reports the revision
+ * REVISION for every page, and the revision as one of the page Foo when it
+ * is looked up by its ID. The service options it resolves with point the
+ * service at the wiki, and until the wiki is closed the service launches
+ * a fake Chromium, which never starts, so that the routes can be tested
+ * without rendering a PDF.
+ * @return {BBPromise<Object>} the `options` to start the test server with,
+ * and a `close` function which stops the wiki
+ */
+function startWiki() {
+    // the environment takes precedence over the puppeteer_options
+    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    process.env.PUPPETEER_EXECUTABLE_PATH = `${__dirname}/fake-chromium`;
+    const wiki = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const query = new URLSearchParams(body);
+            const title = query.get('revids') ? 'Foo' : (query.get('titles') || '').replace(/_/g, ' ');
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({
+                query: {
+                    general: { lang: 'en', case: 'first-letter' },
+                    pages: [{ pageid: title === 'Foo' ? 1 : 2, title, revisions: [REVISION] }]
+                }
+            }));
+        });
+    });
+    return new BBPromise(resolve => wiki.listen(0, 'localhost', resolve)).then(() => ({
+        options: {
+            mwapi_req: {
+                method: 'post',
+                uri: `http://localhost:${wiki.address().port}/w/api.php`,
+                body: '{{ default(request.query, {}) }}'
+            },
+            // the wiki runs on localhost
+            block_private_addresses: false,
+            self_test_interval: 0,
+            // renders never finish, the test server must not wait for them
+            drain_timeout: 0.1
+        },
+        close: () => new BBPromise(resolve => wiki.close(resolve)).then(() => {
+            if (executablePath === undefined) {
+                delete process.env.PUPPETEER_EXECUTABLE_PATH;
+            } else {
+                process.env.PUPPETEER_EXECUTABLE_PATH = executablePath;
+            }
+        })
+    }));
+}
+
+module.exports = {
+    REVISION,
+    startWiki
+};